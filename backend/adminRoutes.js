@@ -0,0 +1,175 @@
+/**
+ * Admin cache management routes
+ * Mounted at /api/admin and guarded by the ADMIN_TOKEN environment variable
+ * Send the token as `Authorization: Bearer <token>` or `X-Admin-Token: <token>`
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import {
+  getCacheKey,
+  getCacheStats,
+  getCacheEntry,
+  isValidCacheKey,
+  clearCacheByKey,
+  clearAllCache
+} from './cacheManager.js';
+import { fillHistoricalCache, getCoalescingStats } from './historicalFetcher.js';
+import { resolveHistoricalRange } from './historicalRange.js';
+import { verifyPendingForecasts } from './forecastAccuracy.js';
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+const router = express.Router();
+
+/**
+ * Compare tokens in constant time
+ */
+function tokensMatch(provided, expected) {
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Reject requests without a valid admin token
+ * Admin routes are disabled entirely when ADMIN_TOKEN isn't set
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({ error: 'Admin routes are disabled (ADMIN_TOKEN not set)' });
+  }
+
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : req.get('x-admin-token');
+
+  if (!token || !tokensMatch(token, ADMIN_TOKEN)) {
+    return res.status(401).json({ error: 'Invalid or missing admin token' });
+  }
+
+  next();
+}
+
+/**
+ * Resolve the cache key from a :key param or lat/lon query parameters
+ */
+function resolveCacheKey(req) {
+  if (req.params.key) {
+    return isValidCacheKey(req.params.key) ? req.params.key : null;
+  }
+
+  const lat = parseFloat(req.query.lat ?? req.query.latitude);
+  const lon = parseFloat(req.query.lon ?? req.query.longitude);
+  return Number.isFinite(lat) && Number.isFinite(lon) ? getCacheKey(lat, lon) : null;
+}
+
+router.use(requireAdmin);
+
+/**
+ * List all cached locations
+ */
+router.get('/cache', async (req, res) => {
+  const stats = await getCacheStats();
+  if (!stats) {
+    return res.status(500).json({ error: 'Failed to read cache index' });
+  }
+  res.json({ ...stats, coalescing: getCoalescingStats() });
+});
+
+/**
+ * Purge the whole cache
+ */
+router.post('/cache/purge', async (req, res) => {
+  const cleared = await clearAllCache();
+  if (!cleared) {
+    return res.status(500).json({ error: 'Failed to purge cache' });
+  }
+  console.log('🛠️  Admin purged all cache');
+  res.json({ purged: true });
+});
+
+/**
+ * Inspect one location's metadata - by key or ?lat=&lon=
+ */
+router.get(['/cache/location', '/cache/:key'], async (req, res) => {
+  const cacheKey = resolveCacheKey(req);
+  if (!cacheKey) {
+    return res.status(400).json({ error: 'Provide a cache key or lat/lon' });
+  }
+
+  const entry = await getCacheEntry(cacheKey);
+  if (!entry) {
+    return res.status(404).json({ error: `No cache entry for ${cacheKey}` });
+  }
+  res.json(entry);
+});
+
+/**
+ * Delete one location - by key or ?lat=&lon=
+ */
+router.delete(['/cache/location', '/cache/:key'], async (req, res) => {
+  const cacheKey = resolveCacheKey(req);
+  if (!cacheKey) {
+    return res.status(400).json({ error: 'Provide a cache key or lat/lon' });
+  }
+
+  const cleared = await clearCacheByKey(cacheKey);
+  if (!cleared) {
+    return res.status(404).json({ error: `No cache entry for ${cacheKey}` });
+  }
+  console.log(`🛠️  Admin cleared cache for ${cacheKey}`);
+  res.json({ deleted: cacheKey });
+});
+
+/**
+ * Force re-fetch of a cached location's date range, ignoring freshness
+ * Optional JSON body: { startDate, endDate } to override the cached range
+ */
+router.post(['/cache/location/refresh', '/cache/:key/refresh'], async (req, res) => {
+  const cacheKey = resolveCacheKey(req);
+  if (!cacheKey) {
+    return res.status(400).json({ error: 'Provide a cache key or lat/lon' });
+  }
+
+  const entry = await getCacheEntry(cacheKey);
+  if (!entry) {
+    return res.status(404).json({ error: `No cache entry for ${cacheKey}` });
+  }
+
+  // Same YYYY-MM-DD checks, archive bounds and ordering as the public historical routes
+  const range = resolveHistoricalRange({
+    startDate: req.body?.startDate ?? entry.metadata?.dateRange?.start ?? `${new Date().getFullYear()}-01-01`,
+    endDate: req.body?.endDate ?? entry.metadata?.dateRange?.end ?? new Date().toISOString().split('T')[0]
+  });
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  const { startDate, endDate } = range;
+
+  try {
+    const { latitude, longitude, name } = entry.location;
+    const { newDaysFetched } = await fillHistoricalCache(latitude, longitude, name, startDate, endDate, { force: true });
+
+    console.log(`🛠️  Admin refreshed ${cacheKey} (${startDate} to ${endDate})`);
+    res.json({ refreshed: cacheKey, startDate, endDate, newDaysFetched });
+  } catch (error) {
+    console.error(`❌ Admin refresh failed for ${cacheKey}:`, error.message);
+    res.status(502).json({ error: 'Failed to refresh cache', details: error.message });
+  }
+});
+
+/**
+ * Compare settled forecasts with observed scores now instead of waiting for the schedule
+ */
+router.post('/accuracy/verify', async (req, res) => {
+  try {
+    const result = await verifyPendingForecasts();
+    console.log(`🛠️  Admin ran accuracy verification (${result.verifiedDays} days verified)`);
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Admin accuracy verification failed:', error.message);
+    res.status(500).json({ error: 'Failed to verify forecasts', details: error.message });
+  }
+});
+
+export default router;
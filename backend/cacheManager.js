@@ -1,17 +1,16 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { createCacheStore } from './stores/index.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Cache directory path
-const CACHE_DIR = path.join(__dirname, 'cache', 'historical');
-const CACHE_INDEX_FILE = path.join(CACHE_DIR, 'index.json');
+// Storage backend (file or sqlite, see stores/index.js)
+const store = createCacheStore();
 
 // Cache configuration
 const CACHE_CONFIG = {
-  maxAgeMonths: 6, // Don't re-fetch data older than 6 months
+  maxAgeMonths: parseInt(process.env.CACHE_MAX_AGE_MONTHS, 10) || 6, // Don't re-fetch data older than 6 months
+  // ERA5 data for the last few days is preliminary and gets revised
+  // Days fetched within this window of their date are re-fetched on the next request
+  settlementDays: parseInt(process.env.CACHE_SETTLEMENT_DAYS, 10) || 5,
+  // Minimum time between re-fetches of the same preliminary day
+  revalidateAfterHours: parseInt(process.env.CACHE_REVALIDATE_HOURS, 10) || 6,
   popularCities: [
     // Major cities to pre-cache
     { lat: 40.7128, lon: -74.0060, name: 'New York' },
@@ -27,28 +26,20 @@ const CACHE_CONFIG = {
   ]
 };
 
+// Fields fetched per cached day - bump when the fetch adds fields that scoring reads,
+// so days cached before are re-fetched once (even frozen ones)
+// 1: original weather and US AQI (untagged days)
+// 2: aerosol optical depth, dust and PM2.5
+// 3: sea-level pressure and precipitation (clearing storm detection)
+const CACHE_FIELDS_VERSION = 3;
+
 /**
- * Initialize cache directory structure
+ * Initialize cache storage
  */
 async function initializeCache() {
   try {
-    await fs.mkdir(CACHE_DIR, { recursive: true });
-    
-    // Create index file if it doesn't exist
-    try {
-      await fs.access(CACHE_INDEX_FILE);
-    } catch {
-      await fs.writeFile(CACHE_INDEX_FILE, JSON.stringify({
-        version: '1.0',
-        locations: {},
-        stats: {
-          totalCachedDays: 0,
-          lastUpdated: new Date().toISOString()
-        }
-      }, null, 2));
-    }
-    
-    console.log('✅ Cache system initialized');
+    await store.init();
+    console.log(`✅ Cache system initialized (${store.name} store)`);
   } catch (error) {
     console.error('❌ Failed to initialize cache:', error);
     throw error;
@@ -66,38 +57,97 @@ function getCacheKey(latitude, longitude) {
 }
 
 /**
- * Get cache file path for a location
+ * Convert CSV-like rows back to API format (parallel arrays keyed by field)
  */
-function getCacheFilePath(cacheKey) {
-  return path.join(CACHE_DIR, `${cacheKey}.json`);
+function rowsToApiFormat(rows, timeKey = 'time') {
+  if (!rows || rows.length === 0) return null;
+  
+  const result = {};
+  const keys = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  
+  keys.forEach(key => {
+    result[key === timeKey ? 'time' : key] = rows.map(row => row[key] ?? null);
+  });
+  
+  return result;
 }
 
 /**
- * Load cache index
+ * Convert API format (parallel arrays) into human-readable CSV-like rows
  */
-async function loadCacheIndex() {
-  try {
-    const data = await fs.readFile(CACHE_INDEX_FILE, 'utf-8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('Failed to load cache index:', error);
-    return {
-      version: '1.0',
-      locations: {},
-      stats: { totalCachedDays: 0, lastUpdated: new Date().toISOString() }
-    };
+function apiFormatToRows(series, timeKey = 'time') {
+  const rows = [];
+  if (!series || !series.time) return rows;
+  
+  for (let i = 0; i < series.time.length; i++) {
+    const row = { [timeKey]: series.time[i] };
+    
+    Object.keys(series).forEach(key => {
+      if (key !== 'time') {
+        row[key] = series[key]?.[i] ?? null;
+      }
+    });
+    
+    rows.push(row);
   }
+  
+  return rows;
 }
 
 /**
- * Save cache index
+ * List every date (YYYY-MM-DD) between startDate and endDate inclusive
  */
-async function saveCacheIndex(index) {
-  try {
-    await fs.writeFile(CACHE_INDEX_FILE, JSON.stringify(index, null, 2));
-  } catch (error) {
-    console.error('Failed to save cache index:', error);
+function getDateRange(startDate, endDate) {
+  const dates = [];
+  const current = new Date(`${startDate}T00:00:00Z`);
+  const end = new Date(`${endDate}T00:00:00Z`);
+  
+  while (current <= end) {
+    dates.push(current.toISOString().split('T')[0]);
+    current.setUTCDate(current.getUTCDate() + 1);
   }
+  
+  return dates;
+}
+
+/**
+ * Whole days elapsed between two dates (YYYY-MM-DD or ISO strings)
+ */
+function daysBetween(from, to) {
+  const start = Date.parse(`${from.slice(0, 10)}T00:00:00Z`);
+  const end = Date.parse(`${to.slice(0, 10)}T00:00:00Z`);
+  return Math.round((end - start) / 86400000);
+}
+
+/**
+ * Check whether a cached day needs to be re-fetched under the freshness policy
+ * - Days fetched before the current CACHE_FIELDS_VERSION (or while the Air Quality API was down)
+ *   lack fields and are re-fetched
+ * - Days older than maxAgeMonths are frozen permanently
+ * - Days fetched within settlementDays of their date hold preliminary data
+ *   and are re-fetched on the next request (at most every revalidateAfterHours)
+ * @param {string} date - Day in YYYY-MM-DD format
+ * @param {string} fetchedAt - ISO timestamp the day was fetched at
+ * @param {Date} now - Reference time
+ * @param {number} fieldsVersion - CACHE_FIELDS_VERSION the day was fetched with (untagged days are 1)
+ * @returns {boolean} True if the cached copy should be replaced
+ */
+function isDayStale(date, fetchedAt, now = new Date(), fieldsVersion = null) {
+  if ((fieldsVersion || 1) < CACHE_FIELDS_VERSION) return true;
+  
+  const frozenBefore = new Date(now);
+  frozenBefore.setMonth(frozenBefore.getMonth() - CACHE_CONFIG.maxAgeMonths);
+  if (date < frozenBefore.toISOString().split('T')[0]) return false;
+  
+  // Untagged days can't be trusted to be settled
+  if (!fetchedAt) return true;
+  
+  const wasPreliminary = daysBetween(date, fetchedAt) < CACHE_CONFIG.settlementDays;
+  if (!wasPreliminary) return false;
+  
+  const hoursSinceFetch = (now - new Date(fetchedAt)) / 3600000;
+  return hoursSinceFetch >= CACHE_CONFIG.revalidateAfterHours ||
+    daysBetween(date, now.toISOString()) >= CACHE_CONFIG.settlementDays;
 }
 
 /**
@@ -106,149 +156,201 @@ async function saveCacheIndex(index) {
  */
 async function getCachedData(latitude, longitude) {
   const cacheKey = getCacheKey(latitude, longitude);
-  const cacheFile = getCacheFilePath(cacheKey);
   
   try {
-    const data = await fs.readFile(cacheFile, 'utf-8');
-    const cached = JSON.parse(data);
+    const cached = await store.get(cacheKey);
+    if (!cached) {
+      console.log(`📭 Cache miss for ${cacheKey}`);
+      return null;
+    }
     
-    // Convert from CSV-like format back to API format
-    const convertToApiFormat = (rows, timeKey = 'date') => {
-      if (!rows || rows.length === 0) return null;
-      
-      const result = {};
-      const keys = Object.keys(rows[0]);
-      
-      keys.forEach(key => {
-        result[key === timeKey ? 'time' : key] = rows.map(row => row[key]);
-      });
-      
-      return result;
-    };
+    // Days cached before per-day tagging inherit the file timestamp
+    const dailyRows = (cached.daily || []).map(row => ({
+      ...row,
+      fetched_at: row.fetched_at || cached.cachedAt
+    }));
     
     const apiFormat = {
       location: cached.location,
       cachedAt: cached.cachedAt,
       metadata: cached.metadata,
-      daily: convertToApiFormat(cached.daily, 'date'),
-      hourly: convertToApiFormat(cached.hourly, 'time'),
-      aqi: cached.aqi ? convertToApiFormat(cached.aqi, 'time') : null
+      daily: rowsToApiFormat(dailyRows, 'date'),
+      hourly: rowsToApiFormat(cached.hourly, 'time'),
+      aqi: cached.aqi ? rowsToApiFormat(cached.aqi, 'time') : null
     };
     
     const totalDays = cached.daily?.length || 0;
     console.log(`📦 Cache hit for ${cacheKey} - ${totalDays} days cached`);
     return apiFormat;
   } catch (error) {
-    console.log(`📭 Cache miss for ${cacheKey}`);
+    console.error(`Failed to read cache for ${cacheKey}:`, error);
     return null;
   }
 }
 
 /**
- * Save historical data to cache
- * Now stores RAW API data (daily, hourly, aqi) in human-readable format
+ * Group sorted dates (YYYY-MM-DD) into runs of consecutive days
+ * @returns {Array} [{ startDate, endDate }]
  */
-async function saveCachedData(latitude, longitude, locationName, data) {
-  const cacheKey = getCacheKey(latitude, longitude);
-  const cacheFile = getCacheFilePath(cacheKey);
-  
-  try {
-    // Calculate total days from raw daily data
-    const totalDays = data.daily?.time?.length || 0;
-    const dateRange = totalDays > 0 ? {
-      start: data.daily.time[0],
-      end: data.daily.time[totalDays - 1]
-    } : null;
-    
-    // Transform data into more readable format (like CSV rows)
-    const dailyData = [];
-    if (data.daily && data.daily.time) {
-      for (let i = 0; i < data.daily.time.length; i++) {
-        const dayData = { date: data.daily.time[i] };
-        
-        // Add all daily fields for this date
-        Object.keys(data.daily).forEach(key => {
-          if (key !== 'time') {
-            dayData[key] = data.daily[key][i];
-          }
-        });
-        
-        dailyData.push(dayData);
-      }
-    }
-    
-    // Transform hourly data into readable rows
-    const hourlyData = [];
-    if (data.hourly && data.hourly.time) {
-      for (let i = 0; i < data.hourly.time.length; i++) {
-        const hourData = { time: data.hourly.time[i] };
-        
-        // Add all hourly fields for this time
-        Object.keys(data.hourly).forEach(key => {
-          if (key !== 'time') {
-            hourData[key] = data.hourly[key][i];
-          }
-        });
-        
-        hourlyData.push(hourData);
-      }
+function groupDateRuns(dates) {
+  const runs = [];
+  dates.forEach(date => {
+    const run = runs[runs.length - 1];
+    if (run && daysBetween(run.endDate, date) === 1) {
+      run.endDate = date;
+    } else {
+      runs.push({ startDate: date, endDate: date });
     }
-    
-    // Transform AQI data into readable rows
-    const aqiData = [];
-    if (data.aqi && data.aqi.time) {
-      for (let i = 0; i < data.aqi.time.length; i++) {
-        const aqiHour = { time: data.aqi.time[i] };
-        
-        // Add all AQI fields for this time
-        Object.keys(data.aqi).forEach(key => {
-          if (key !== 'time') {
-            aqiHour[key] = data.aqi[key][i];
-          }
-        });
-        
-        aqiData.push(aqiHour);
-      }
+  });
+  return runs;
+}
+
+/**
+ * Find which dates of a requested range are not in the cache yet or are stale
+ * Returns them as contiguous runs so each gap is fetched on its own, leaving the
+ * cached days between gaps untouched. startDate/endDate span every run.
+ */
+async function getMissingDates(latitude, longitude, startDate, endDate) {
+  const cachedData = await getCachedData(latitude, longitude);
+  const cachedDays = new Map();
+  (cachedData?.daily?.time || []).forEach((date, i) => {
+    cachedDays.set(date, {
+      fetchedAt: cachedData.daily.fetched_at?.[i],
+      fieldsVersion: cachedData.daily.fields_version?.[i]
+    });
+  });
+  
+  const now = new Date();
+  const missingDates = [];
+  const staleDates = [];
+  getDateRange(startDate, endDate).forEach(date => {
+    const cachedDay = cachedDays.get(date);
+    if (!cachedDay) {
+      missingDates.push(date);
+    } else if (isDayStale(date, cachedDay.fetchedAt, now, cachedDay.fieldsVersion)) {
+      staleDates.push(date);
     }
-    
-    const cacheData = {
-      location: {
-        name: locationName,
-        latitude,
-        longitude,
-        cacheKey
-      },
-      cachedAt: new Date().toISOString(),
-      metadata: {
-        totalDays,
-        dateRange
-      },
-      // Human-readable data organized like CSV rows
-      daily: dailyData,
-      hourly: hourlyData,
-      aqi: aqiData.length > 0 ? aqiData : null
-    };
-    
-    // Save with pretty formatting (2 spaces indentation)
-    await fs.writeFile(cacheFile, JSON.stringify(cacheData, null, 2));
-    
-    // Update index
-    const index = await loadCacheIndex();
-    index.locations[cacheKey] = {
+  });
+  
+  const datesToFetch = [...missingDates, ...staleDates].sort();
+  
+  return {
+    startDate: datesToFetch[0] || null,
+    endDate: datesToFetch[datesToFetch.length - 1] || null,
+    ranges: groupDateRuns(datesToFetch),
+    cachedData,
+    missingDates,
+    missingDatesCount: missingDates.length,
+    staleDates,
+    staleDatesCount: staleDates.length
+  };
+}
+
+/**
+ * Keep only the rows of API-format data that fall within a date range
+ */
+function sliceSeries(series, startDate, endDate) {
+  if (!series || !series.time) return series || null;
+  
+  const indices = [];
+  series.time.forEach((time, i) => {
+    const date = time.slice(0, 10);
+    if (date >= startDate && date <= endDate) indices.push(i);
+  });
+  
+  const result = {};
+  Object.keys(series).forEach(key => {
+    result[key] = indices.map(i => series[key]?.[i] ?? null);
+  });
+  
+  return result;
+}
+
+/**
+ * Restrict cached data (API format) to the requested date range
+ */
+function sliceCachedData(data, startDate, endDate) {
+  return {
+    daily: sliceSeries(data?.daily, startDate, endDate),
+    hourly: sliceSeries(data?.hourly, startDate, endDate),
+    aqi: sliceSeries(data?.aqi, startDate, endDate)
+  };
+}
+
+/**
+ * Build a store record from API-format data
+ * Transforms the raw API data (daily, hourly, aqi) into human-readable CSV-like rows
+ */
+function toCacheRecord(latitude, longitude, locationName, data) {
+  // Calculate total days from raw daily data
+  const totalDays = data.daily?.time?.length || 0;
+  const dateRange = totalDays > 0 ? {
+    start: data.daily.time[0],
+    end: data.daily.time[totalDays - 1]
+  } : null;
+  
+  const cachedAt = new Date().toISOString();
+  // Fresh rows are tagged with when and with which fields they were fetched (unless the fetch
+  // tagged them as incomplete); cached rows keep their tags
+  const dailyData = apiFormatToRows(data.daily, 'date').map(row => ({
+    ...row,
+    fetched_at: row.fetched_at || cachedAt,
+    fields_version: row.fields_version ?? (row.fetched_at ? null : CACHE_FIELDS_VERSION)
+  }));
+  const hourlyData = apiFormatToRows(data.hourly, 'time');
+  const aqiData = apiFormatToRows(data.aqi, 'time');
+  
+  return {
+    location: {
       name: locationName,
       latitude,
       longitude,
-      lastUpdated: new Date().toISOString(),
-      totalDays
-    };
-    index.stats.totalCachedDays = Object.values(index.locations).reduce(
-      (sum, loc) => sum + (loc.totalDays || 0), 0
-    );
-    index.stats.lastUpdated = new Date().toISOString();
-    
-    await saveCacheIndex(index);
+      cacheKey: getCacheKey(latitude, longitude)
+    },
+    cachedAt,
+    metadata: {
+      totalDays,
+      dateRange
+    },
+    // Human-readable data organized like CSV rows
+    daily: dailyData,
+    hourly: hourlyData,
+    aqi: aqiData.length > 0 ? aqiData : null
+  };
+}
+
+/**
+ * Merge newly fetched days into the existing cache for a location
+ * Only the incoming rows are written - the store replaces them at matching timestamps
+ * and keeps every other cached day
+ * @returns {Object|null} Merged data in API format, or null if saving failed
+ */
+async function mergeCachedData(latitude, longitude, locationName, newData) {
+  const cacheKey = getCacheKey(latitude, longitude);
+  
+  try {
+    const record = toCacheRecord(latitude, longitude, locationName, newData);
+    await store.merge(cacheKey, record);
+    console.log(`💾 Merged ${record.daily.length} days into ${locationName || cacheKey} (${cacheKey})`);
+  } catch (error) {
+    console.error('Failed to merge into cache:', error);
+    return null;
+  }
+  
+  return getCachedData(latitude, longitude);
+}
+
+/**
+ * Save historical data to cache, replacing whatever the location held
+ */
+async function saveCachedData(latitude, longitude, locationName, data) {
+  const cacheKey = getCacheKey(latitude, longitude);
+  
+  try {
+    const record = toCacheRecord(latitude, longitude, locationName, data);
+    await store.put(cacheKey, record);
     
-    console.log(`💾 Cached ${totalDays} days for ${locationName} (${cacheKey})`);
+    console.log(`💾 Cached ${record.metadata.totalDays} days for ${locationName} (${cacheKey})`);
     return true;
   } catch (error) {
     console.error('Failed to save cache:', error);
@@ -261,16 +363,18 @@ async function saveCachedData(latitude, longitude, locationName, data) {
  */
 async function getCacheStats() {
   try {
-    const index = await loadCacheIndex();
-    const files = await fs.readdir(CACHE_DIR);
-    const cacheFiles = files.filter(f => f.endsWith('.json') && f !== 'index.json');
+    const [storeStats, locations] = await Promise.all([store.stats(), store.list()]);
     
     return {
-      totalLocations: Object.keys(index.locations).length,
-      totalCachedDays: index.stats.totalCachedDays,
-      totalFiles: cacheFiles.length,
-      lastUpdated: index.stats.lastUpdated,
-      locations: Object.values(index.locations).map(loc => ({
+      store: store.name,
+      ...storeStats,
+      freshnessPolicy: {
+        maxAgeMonths: CACHE_CONFIG.maxAgeMonths,
+        settlementDays: CACHE_CONFIG.settlementDays,
+        revalidateAfterHours: CACHE_CONFIG.revalidateAfterHours
+      },
+      locations: locations.map(loc => ({
+        cacheKey: loc.cacheKey,
         name: loc.name,
         totalDays: loc.totalDays,
         lastUpdated: loc.lastUpdated
@@ -282,19 +386,61 @@ async function getCacheStats() {
   }
 }
 
+/**
+ * Check that a cache key has the `lat_lon` shape produced by getCacheKey
+ * Guards storage paths built from user-supplied keys
+ */
+function isValidCacheKey(cacheKey) {
+  return /^-?\d+(\.\d+)?_-?\d+(\.\d+)?$/.test(cacheKey);
+}
+
+/**
+ * Get metadata for one cached location (no data rows)
+ * @param {string} cacheKey - Cache key (lat_lon)
+ * @returns {Promise<Object|null>} Entry metadata, or null if not cached
+ */
+async function getCacheEntry(cacheKey) {
+  if (!isValidCacheKey(cacheKey)) return null;
+  
+  try {
+    const cached = await store.get(cacheKey);
+    if (!cached) return null;
+    
+    const now = new Date();
+    const staleDays = (cached.daily || []).filter(row =>
+      isDayStale(row.date, row.fetched_at || cached.cachedAt, now, row.fields_version)
+    ).length;
+    
+    return {
+      cacheKey,
+      location: cached.location,
+      cachedAt: cached.cachedAt,
+      metadata: cached.metadata,
+      totalDays: cached.daily?.length || 0,
+      totalHours: cached.hourly?.length || 0,
+      totalAqiHours: cached.aqi?.length || 0,
+      staleDays
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Clear cache for a specific location
  */
 async function clearLocationCache(latitude, longitude) {
-  const cacheKey = getCacheKey(latitude, longitude);
-  const cacheFile = getCacheFilePath(cacheKey);
+  return clearCacheByKey(getCacheKey(latitude, longitude));
+}
+
+/**
+ * Clear cache for a cache key
+ */
+async function clearCacheByKey(cacheKey) {
+  if (!isValidCacheKey(cacheKey)) return false;
   
   try {
-    await fs.unlink(cacheFile);
-    
-    const index = await loadCacheIndex();
-    delete index.locations[cacheKey];
-    await saveCacheIndex(index);
+    if (!await store.delete(cacheKey)) return false;
     
     console.log(`🗑️  Cleared cache for ${cacheKey}`);
     return true;
@@ -309,20 +455,9 @@ async function clearLocationCache(latitude, longitude) {
  */
 async function clearAllCache() {
   try {
-    const files = await fs.readdir(CACHE_DIR);
-    const cacheFiles = files.filter(f => f.endsWith('.json') && f !== 'index.json');
-    
-    for (const file of cacheFiles) {
-      await fs.unlink(path.join(CACHE_DIR, file));
-    }
-    
-    await fs.writeFile(CACHE_INDEX_FILE, JSON.stringify({
-      version: '1.0',
-      locations: {},
-      stats: { totalCachedDays: 0, lastUpdated: new Date().toISOString() }
-    }, null, 2));
+    const removed = await store.clear();
     
-    console.log(`🗑️  Cleared all cache (${cacheFiles.length} files)`);
+    console.log(`🗑️  Cleared all cache (${removed} locations)`);
     return true;
   } catch (error) {
     console.error('Failed to clear all cache:', error);
@@ -335,8 +470,16 @@ export {
   getCacheKey,
   getCachedData,
   saveCachedData,
+  getMissingDates,
+  groupDateRuns,
+  mergeCachedData,
+  sliceCachedData,
   getCacheStats,
+  getCacheEntry,
+  isValidCacheKey,
   clearLocationCache,
+  clearCacheByKey,
   clearAllCache,
-  CACHE_CONFIG
+  CACHE_CONFIG,
+  CACHE_FIELDS_VERSION
 };
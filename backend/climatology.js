@@ -0,0 +1,179 @@
+/**
+ * Sunset and sunrise climatology
+ * Scores every day of the past N calendar years from the historical cache and
+ * describes, per day of year, how sunset (or sunrise) scores are distributed at a
+ * location (pooled over a ± window of days so each date has a useful sample)
+ */
+
+import { getCacheKey } from './cacheManager.js';
+import { getScoredHistorical } from './sunsetScoring.js';
+import { createRequestCoalescer } from './requestCoalescer.js';
+import { DEFAULT_SCORING_PROFILE } from '../src/services/scoringProfiles.js';
+import { SUNSET_CONSTANTS, SOLAR_EVENTS } from '../src/constants/app.js';
+import { getSolarEventView } from '../src/utils/solarEvents.js';
+
+// Climatology configuration
+const CLIMATOLOGY_CONFIG = {
+  years: parseInt(process.env.CLIMATOLOGY_YEARS, 10) || 5,
+  // Days either side of the target day pooled into its distribution
+  windowDays: parseInt(process.env.CLIMATOLOGY_WINDOW_DAYS, 10) || 7,
+  // Past years don't change - rebuild only when the year rolls over or after this long
+  ttlHours: parseFloat(process.env.CLIMATOLOGY_TTL_HOURS) || 24,
+  maxEntries: 200
+};
+
+const DAYS_IN_YEAR = 365;
+
+// cacheKey:event:profile:model:window -> { builtAt, firstYear, lastYear, scoresByDay: number[][] }
+const climatologyCache = new Map();
+const coalescer = createRequestCoalescer();
+
+/**
+ * Day of year (0-364) on a non-leap calendar - Feb 29 shares Mar 1's slot
+ */
+function getDayOfYear(date) {
+  const [, month, day] = date.split('-').map(Number);
+  const reference = Date.UTC(2001, month - 1, day);
+  return Math.round((reference - Date.UTC(2001, 0, 1)) / 86400000) % DAYS_IN_YEAR;
+}
+
+/**
+ * Value at a percentile of a sorted array (linear interpolation)
+ */
+function quantile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return Math.round(sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower));
+}
+
+/**
+ * Share of historical scores a score beats (ties count half), 0-100
+ */
+function getPercentileRank(sorted, score) {
+  if (sorted.length === 0) return null;
+  const below = sorted.filter(s => s < score).length;
+  const equal = sorted.filter(s => s === score).length;
+  return Math.round(((below + equal / 2) / sorted.length) * 100);
+}
+
+/**
+ * Score the past N full years and bucket the event's scores by day of year
+ * @param {Object} scoring - { event, scoringProfile, scoringModel, weatherWindow }
+ */
+async function buildClimatology(location, firstYear, lastYear, scoring) {
+  const { event, scoringProfile, scoringModel, weatherWindow } = scoring;
+  const { days } = await getScoredHistorical(
+    location, `${firstYear}-01-01`, `${lastYear}-12-31`, 0, { scoringProfile, scoringModel, weatherWindow }
+  );
+
+  const scoresByDay = Array.from({ length: DAYS_IN_YEAR }, () => []);
+  days.forEach(day => {
+    const { score } = getSolarEventView(day, event);
+    if (Number.isFinite(score)) {
+      scoresByDay[getDayOfYear(day.date)].push(score);
+    }
+  });
+
+  console.log(`📈 Built ${scoringProfile}/${scoringModel}/${weatherWindow} ${event} climatology for ${location.name} (${firstYear}-${lastYear}, ${days.length} days)`);
+  return { builtAt: Date.now(), firstYear, lastYear, totalDays: days.length, scoresByDay };
+}
+
+/**
+ * Get (building if needed) the climatology for a location, scored like the forecast it is compared with
+ * @param {Object} location - { name, latitude, longitude }
+ * @param {Object} scoring - { event, scoringProfile, scoringModel, weatherWindow }
+ */
+async function getClimatology(location, scoring) {
+  const { event, scoringProfile, scoringModel, weatherWindow } = scoring;
+  const cacheKey = `${getCacheKey(location.latitude, location.longitude)}:${event}:${scoringProfile}:${scoringModel}:${weatherWindow}`;
+  const lastYear = new Date().getUTCFullYear() - 1;
+  const firstYear = lastYear - CLIMATOLOGY_CONFIG.years + 1;
+
+  const cached = climatologyCache.get(cacheKey);
+  const maxAgeMs = CLIMATOLOGY_CONFIG.ttlHours * 3600000;
+  if (cached && cached.lastYear === lastYear && Date.now() - cached.builtAt < maxAgeMs) {
+    return cached;
+  }
+
+  return coalescer.run(cacheKey, async () => {
+    const climatology = await buildClimatology(location, firstYear, lastYear, scoring);
+
+    climatologyCache.delete(cacheKey);
+    climatologyCache.set(cacheKey, climatology);
+    while (climatologyCache.size > CLIMATOLOGY_CONFIG.maxEntries) {
+      climatologyCache.delete(climatologyCache.keys().next().value);
+    }
+
+    return climatology;
+  });
+}
+
+/**
+ * Historical scores pooled over the window around a date, sorted ascending
+ */
+function getWindowScores(climatology, date) {
+  const center = getDayOfYear(date);
+  const scores = [];
+
+  for (let offset = -CLIMATOLOGY_CONFIG.windowDays; offset <= CLIMATOLOGY_CONFIG.windowDays; offset++) {
+    const dayOfYear = (center + offset + DAYS_IN_YEAR) % DAYS_IN_YEAR;
+    scores.push(...climatology.scoresByDay[dayOfYear]);
+  }
+
+  return scores.sort((a, b) => a - b);
+}
+
+/**
+ * Compare dates (and optionally their scores) against the location's climatology
+ * Scores should leave out the horizon term - past years are scored without horizon samples
+ * @param {Object} location - { name, latitude, longitude }
+ * @param {Array} entries - [{ date: 'YYYY-MM-DD', score?: number }]
+ * @param {Object} options - { event: which event the scores are for (default sunset),
+ *   scoringProfile, scoringModel, weatherWindow: how the scores were computed (defaults as in the scoring modules) }
+ * @returns {Promise<Object>} { years, windowDays, event, profile, model, window,
+ *   days: [{ date, score, betterThanPercent, sampleSize, percentiles }] }
+ */
+async function getClimatologyForDates(location, entries, {
+  event = SOLAR_EVENTS.SUNSET,
+  scoringProfile = DEFAULT_SCORING_PROFILE,
+  scoringModel = SUNSET_CONSTANTS.SCORING_MODEL,
+  weatherWindow = SUNSET_CONSTANTS.WEATHER_WINDOW
+} = {}) {
+  const climatology = await getClimatology(location, { event, scoringProfile, scoringModel, weatherWindow });
+
+  return {
+    event,
+    profile: scoringProfile,
+    model: scoringModel,
+    window: weatherWindow,
+    years: { first: climatology.firstYear, last: climatology.lastYear },
+    windowDays: CLIMATOLOGY_CONFIG.windowDays,
+    days: entries.map(({ date, score }) => {
+      const scores = getWindowScores(climatology, date);
+      const hasScore = Number.isFinite(score);
+
+      return {
+        date,
+        score: hasScore ? score : null,
+        betterThanPercent: hasScore ? getPercentileRank(scores, score) : null,
+        sampleSize: scores.length,
+        percentiles: {
+          p10: quantile(scores, 0.1),
+          p25: quantile(scores, 0.25),
+          p50: quantile(scores, 0.5),
+          p75: quantile(scores, 0.75),
+          p90: quantile(scores, 0.9)
+        }
+      };
+    })
+  };
+}
+
+export {
+  getClimatologyForDates,
+  getDayOfYear,
+  getPercentileRank,
+  CLIMATOLOGY_CONFIG
+};
@@ -0,0 +1,372 @@
+/**
+ * Forecast accuracy tracking
+ * Records the sunset and sunrise scores of every freshly fetched forecast at each lead time
+ * (0 = forecast for the same day, 1 = the day before, ...), then scores the same days from
+ * the archive once they have settled and reports how far the forecasts were off
+ */
+
+import { getCacheKey, getMissingDates, groupDateRuns, CACHE_CONFIG } from './cacheManager.js';
+import { getScoredHistorical } from './sunsetScoring.js';
+import { getGridCell } from './forecastProxy.js';
+import { createKeyedMutex } from './keyedMutex.js';
+import { createAccuracyStore } from './stores/index.js';
+import { processDayData } from '../src/services/forecastDataProcessor.js';
+import { DEFAULT_SCORING_PROFILE } from '../src/services/scoringProfiles.js';
+import { SOLAR_EVENTS } from '../src/constants/app.js';
+
+// Accuracy tracking configuration
+const ACCURACY_CONFIG = {
+  enabled: process.env.ACCURACY_TRACKING_ENABLED !== 'false',
+  // Archive data is preliminary for a few days - only compare once it has settled
+  verifyAfterDays: parseInt(process.env.ACCURACY_VERIFY_AFTER_DAYS, 10) || CACHE_CONFIG.settlementDays,
+  verifyIntervalHours: parseFloat(process.env.ACCURACY_VERIFY_INTERVAL_HOURS) || 6,
+  retentionDays: parseInt(process.env.ACCURACY_RETENTION_DAYS, 10) || 400
+};
+
+const EVENTS = Object.values(SOLAR_EVENTS);
+
+// One record per location (keyed like the historical cache), one daily row per forecast date:
+// { date, forecasts: { [lead]: { issuedAt, sunset, sunrise } }, observed: { sunset, sunrise, verifiedAt } }
+const store = createAccuracyStore();
+const runExclusive = createKeyedMutex();
+
+let storeReady = null;
+let scheduleTimer = null;
+
+const verifyStatus = {
+  running: false,
+  lastRunAt: null,
+  lastVerifiedDays: 0,
+  nextRunAt: null
+};
+
+/**
+ * Whole days from one YYYY-MM-DD date to another
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * The accuracy store, initialised on first use
+ */
+async function getStore() {
+  if (!storeReady) {
+    storeReady = store.init().catch((error) => {
+      storeReady = null;
+      throw error;
+    });
+  }
+  await storeReady;
+  return store;
+}
+
+/**
+ * Store record for a location's accuracy rows
+ */
+function toAccuracyRecord({ name, latitude, longitude }, daily) {
+  return {
+    location: { name, latitude, longitude },
+    cachedAt: new Date().toISOString(),
+    metadata: {
+      totalDays: daily.length,
+      dateRange: daily.length > 0 ? { start: daily[0].date, end: daily[daily.length - 1].date } : null
+    },
+    daily,
+    hourly: [],
+    aqi: null
+  };
+}
+
+/**
+ * Record a fresh forecast's scores - registered with the forecast proxy's onFreshForecast
+ * Scored with the default profile and without horizon or ensemble data, the same inputs the
+ * archive side has, so forecast and observed scores are comparable. Logged under the requested
+ * location, so verification reads the historical cache that location already has. The first
+ * forecast at each lead time is kept; later refreshes at the same lead don't overwrite it.
+ * @param {Object} fresh - { location: { latitude, longitude }, forecast, aqi, fetchedAt }
+ */
+async function recordForecast({ location, forecast, aqi, fetchedAt }) {
+  if (!ACCURACY_CONFIG.enabled) return;
+
+  const dates = forecast?.daily?.time || [];
+  if (dates.length === 0) return;
+
+  const issuedAt = new Date(fetchedAt || Date.now()).toISOString();
+  const scored = dates.map((date, dayIndex) => {
+    const day = processDayData(forecast, dayIndex, forecast.hourly, aqi, { scoringProfile: DEFAULT_SCORING_PROFILE });
+    return { date, lead: dayIndex, sunset: day.sunset_score, sunrise: day.sunrise_score };
+  });
+
+  const cacheKey = getCacheKey(location.latitude, location.longitude);
+  await runExclusive(cacheKey, async () => {
+    const accuracyStore = await getStore();
+    const existing = await accuracyStore.get(cacheKey);
+    const daysByDate = new Map((existing?.daily || []).map(day => [day.date, day]));
+
+    // Only the days gaining a forecast are written
+    const changed = [];
+    scored.forEach(({ date, lead, sunset, sunrise }) => {
+      const day = daysByDate.get(date);
+      if (day?.observed || day?.forecasts?.[lead]) return;
+      changed.push({ date, forecasts: { ...day?.forecasts, [lead]: { issuedAt, sunset, sunrise } } });
+    });
+
+    if (changed.length > 0) {
+      const owner = existing?.location || { name: `${location.latitude},${location.longitude}`, ...location };
+      await accuracyStore.merge(cacheKey, toAccuracyRecord(owner, changed));
+    }
+  });
+}
+
+/**
+ * Drop a location's days older than the retention period (the whole location once none are left)
+ */
+async function dropExpiredDays(accuracyStore, cacheKey, today) {
+  await runExclusive(cacheKey, async () => {
+    const record = await accuracyStore.get(cacheKey);
+    if (!record) return;
+
+    const daily = record.daily.filter(day => daysBetween(day.date, today) <= ACCURACY_CONFIG.retentionDays);
+    if (daily.length === record.daily.length) return;
+
+    if (daily.length === 0) {
+      await accuracyStore.delete(cacheKey);
+    } else {
+      await accuracyStore.put(cacheKey, toAccuracyRecord(record.location, daily));
+    }
+  });
+}
+
+/**
+ * Score one run of pending dates from the archive
+ * Never from stale data: a run Open-Meteo can't refresh throws, and days the cache still holds
+ * as preliminary or incomplete (e.g. fetched without AQI) or without both scores are left out,
+ * so they stay pending for the next pass
+ * @returns {Promise<Array>} [{ date, observed: { sunset, sunrise, verifiedAt } }]
+ */
+async function scoreObservedRun(location, { startDate, endDate }) {
+  const { days, metadata } = await getScoredHistorical(location, startDate, endDate, 0, { serveStale: false });
+  if (metadata.servedStale) return [];
+
+  const { missingDates, staleDates } = await getMissingDates(location.latitude, location.longitude, startDate, endDate);
+  const unsettled = new Set([...missingDates, ...staleDates]);
+  const verifiedAt = new Date().toISOString();
+
+  return days
+    .filter(day => !unsettled.has(day.date) && Number.isFinite(day.sunset_score) && Number.isFinite(day.sunrise_score))
+    .map(day => ({ date: day.date, observed: { sunset: day.sunset_score, sunrise: day.sunrise_score, verifiedAt } }));
+}
+
+/**
+ * Score settled days from the archive and store them next to their forecasts
+ * Only the runs of pending dates are scored, from the location's own historical cache.
+ * A run that fails is skipped and its days stay pending. Also drops days older than the retention period
+ * @returns {Promise<Object>} { verifiedDays, failedLocations }
+ */
+async function verifyPendingForecasts() {
+  if (verifyStatus.running) {
+    console.log('⏳ Accuracy verification already running, skipping');
+    return { verifiedDays: 0, failedLocations: 0 };
+  }
+
+  verifyStatus.running = true;
+  const today = new Date().toISOString().split('T')[0];
+  let verifiedDays = 0;
+  let failedLocations = 0;
+
+  try {
+    const accuracyStore = await getStore();
+
+    for (const { cacheKey } of await accuracyStore.list()) {
+      await dropExpiredDays(accuracyStore, cacheKey, today);
+
+      const record = await accuracyStore.get(cacheKey);
+      if (!record) continue;
+
+      const pending = record.daily
+        .filter(day => !day.observed && daysBetween(day.date, today) >= ACCURACY_CONFIG.verifyAfterDays)
+        .map(day => day.date)
+        .sort();
+      if (pending.length === 0) continue;
+
+      const observed = [];
+      let failed = false;
+      for (const run of groupDateRuns(pending)) {
+        try {
+          observed.push(...await scoreObservedRun(record.location, run));
+        } catch (error) {
+          failed = true;
+          console.warn(`⚠️ Accuracy verification failed for ${cacheKey} ${run.startDate} to ${run.endDate}: ${error.message}`);
+        }
+      }
+
+      if (observed.length > 0) {
+        try {
+          await runExclusive(cacheKey, () => accuracyStore.merge(cacheKey, toAccuracyRecord(record.location, observed)));
+          verifiedDays += observed.length;
+        } catch (error) {
+          failed = true;
+          console.warn(`⚠️ Saving verified days failed for ${cacheKey}: ${error.message}`);
+        }
+      }
+      if (failed) failedLocations++;
+    }
+
+    console.log(`🎯 Accuracy verification finished: ${verifiedDays} days verified, ${failedLocations} locations failed`);
+    return { verifiedDays, failedLocations };
+  } finally {
+    verifyStatus.running = false;
+    verifyStatus.lastRunAt = new Date().toISOString();
+    verifyStatus.lastVerifiedDays = verifiedDays;
+  }
+}
+
+/**
+ * Mean absolute error and bias (forecast minus observed) of paired scores
+ */
+function summarizeErrors(errors) {
+  if (errors.length === 0) return { count: 0, mae: null, bias: null };
+
+  const round = (value) => Math.round(value * 10) / 10;
+  return {
+    count: errors.length,
+    mae: round(errors.reduce((sum, error) => sum + Math.abs(error), 0) / errors.length),
+    bias: round(errors.reduce((sum, error) => sum + error, 0) / errors.length)
+  };
+}
+
+/**
+ * Error metrics per event, overall and by lead time, for a set of logged days
+ */
+function getEventStats(days) {
+  return Object.fromEntries(EVENTS.map(event => {
+    const errorsByLead = new Map();
+
+    days.forEach(day => {
+      const observed = day.observed?.[event];
+      if (!Number.isFinite(observed)) return;
+
+      Object.entries(day.forecasts).forEach(([lead, forecast]) => {
+        if (!Number.isFinite(forecast[event])) return;
+        const leadErrors = errorsByLead.get(Number(lead)) || [];
+        leadErrors.push(forecast[event] - observed);
+        errorsByLead.set(Number(lead), leadErrors);
+      });
+    });
+
+    const byLead = [...errorsByLead.keys()].sort((a, b) => a - b)
+      .map(lead => ({ lead, ...summarizeErrors(errorsByLead.get(lead)) }));
+
+    return [event, {
+      overall: summarizeErrors([...errorsByLead.values()].flat()),
+      byLead
+    }];
+  }));
+}
+
+/**
+ * Forecast skill for one location (lat/lon, pooling the logged locations in its forecast grid cell)
+ * or all locations
+ * @param {Object} options - { latitude, longitude } to limit to one location (omit both for all)
+ * @returns {Promise<Object>} { profile, verifyAfterDays, verifiedDays, pendingDays,
+ *   events: { sunset: { overall: { count, mae, bias }, byLead: [{ lead, count, mae, bias }] }, sunrise },
+ *   locations: [{ cacheKey, name, latitude, longitude, verifiedDays, pendingDays }] }
+ */
+async function getAccuracyStats({ latitude, longitude } = {}) {
+  const accuracyStore = await getStore();
+
+  let entries = await accuracyStore.list();
+  if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+    const { cellKey } = getGridCell(latitude, longitude);
+    entries = entries.filter(entry => getGridCell(entry.latitude, entry.longitude).cellKey === cellKey);
+  }
+
+  const locations = [];
+  const days = [];
+  for (const { cacheKey } of entries) {
+    const record = await accuracyStore.get(cacheKey);
+    if (!record) continue;
+
+    const verified = record.daily.filter(day => day.observed).length;
+    locations.push({
+      cacheKey,
+      name: record.location.name,
+      latitude: record.location.latitude,
+      longitude: record.location.longitude,
+      verifiedDays: verified,
+      pendingDays: record.daily.length - verified
+    });
+    days.push(...record.daily);
+  }
+
+  return {
+    profile: DEFAULT_SCORING_PROFILE,
+    verifyAfterDays: ACCURACY_CONFIG.verifyAfterDays,
+    verifiedDays: locations.reduce((sum, location) => sum + location.verifiedDays, 0),
+    pendingDays: locations.reduce((sum, location) => sum + location.pendingDays, 0),
+    events: getEventStats(days),
+    locations
+  };
+}
+
+/**
+ * Verify settled forecasts now and then on the configured interval
+ */
+function startAccuracySchedule() {
+  if (!ACCURACY_CONFIG.enabled) {
+    console.log('🎯 Forecast accuracy tracking disabled');
+    return;
+  }
+
+  const intervalMs = ACCURACY_CONFIG.verifyIntervalHours * 3600000;
+  const scheduleNext = () => {
+    verifyStatus.nextRunAt = new Date(Date.now() + intervalMs).toISOString();
+  };
+
+  scheduleNext();
+  verifyPendingForecasts().catch(error => console.error('❌ Accuracy verification failed:', error));
+
+  scheduleTimer = setInterval(() => {
+    scheduleNext();
+    verifyPendingForecasts().catch(error => console.error('❌ Accuracy verification failed:', error));
+  }, intervalMs);
+  // Don't keep the process alive just for verification
+  scheduleTimer.unref();
+}
+
+/**
+ * Stop the verification schedule
+ */
+function stopAccuracySchedule() {
+  if (scheduleTimer) {
+    clearInterval(scheduleTimer);
+    scheduleTimer = null;
+    verifyStatus.nextRunAt = null;
+  }
+}
+
+/**
+ * Snapshot of the verification schedule
+ */
+function getAccuracyStatus() {
+  return {
+    ...verifyStatus,
+    config: {
+      enabled: ACCURACY_CONFIG.enabled,
+      verifyAfterDays: ACCURACY_CONFIG.verifyAfterDays,
+      verifyIntervalHours: ACCURACY_CONFIG.verifyIntervalHours,
+      retentionDays: ACCURACY_CONFIG.retentionDays
+    }
+  };
+}
+
+export {
+  recordForecast,
+  verifyPendingForecasts,
+  getAccuracyStats,
+  startAccuracySchedule,
+  stopAccuracySchedule,
+  getAccuracyStatus,
+  ACCURACY_CONFIG
+};
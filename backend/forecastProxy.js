@@ -0,0 +1,281 @@
+/**
+ * Forecast proxy for the cache server
+ * Calls the Open-Meteo forecast, ensemble and air-quality APIs (plus horizon cloud samples along
+ * the sunset/sunrise bearings) with the server-held API key and keeps results in memory per grid cell for a short TTL, so the commercial key
+ * never reaches the browser and nearby users share one upstream call
+ */
+
+import { fetchUpstreamJson } from './upstreamClient.js';
+import { createRequestCoalescer } from './requestCoalescer.js';
+import { getHorizonSamplePoints, buildHorizonData, HORIZON_HOURLY_FIELDS } from '../src/services/horizonSampling.js';
+import { ENSEMBLE_CONSTANTS, AIR_QUALITY_CONSTANTS } from '../src/constants/app.js';
+
+// Forecast cache configuration
+const FORECAST_CONFIG = {
+  ttlMinutes: parseFloat(process.env.FORECAST_CACHE_TTL_MINUTES) || 30,
+  // Entries missing AQI, horizon samples or ensemble members are re-fetched sooner
+  partialTtlMinutes: parseFloat(process.env.FORECAST_PARTIAL_TTL_MINUTES) || 5,
+  // Grid cell size in degrees (0.1° ≈ 11 km, close to the forecast model resolution)
+  gridDegrees: parseFloat(process.env.FORECAST_GRID_DEGREES) || 0.1,
+  maxEntries: parseInt(process.env.FORECAST_CACHE_MAX_ENTRIES, 10) || 1000,
+  forecastDays: 7
+};
+
+const OPEN_METEO_URLS = {
+  forecast: {
+    free: 'https://api.open-meteo.com/v1/forecast',
+    commercial: 'https://customer-api.open-meteo.com/v1/forecast'
+  },
+  ensemble: {
+    free: 'https://ensemble-api.open-meteo.com/v1/ensemble',
+    commercial: 'https://customer-ensemble-api.open-meteo.com/v1/ensemble'
+  },
+  airQuality: {
+    free: 'https://air-quality-api.open-meteo.com/v1/air-quality',
+    commercial: 'https://customer-air-quality-api.open-meteo.com/v1/air-quality'
+  }
+};
+
+// Insertion-ordered, so the first key is always the oldest entry
+const forecastCache = new Map();
+const coalescer = createRequestCoalescer();
+
+// Called with every freshly fetched forecast (accuracy tracking)
+const freshForecastListeners = [];
+
+const forecastCounts = {
+  hits: 0,
+  misses: 0,
+  staleServed: 0
+};
+
+/**
+ * Snap coordinates to the centre of their grid cell
+ * @returns {Object} { cellKey, latitude, longitude }
+ */
+function getGridCell(latitude, longitude) {
+  const size = FORECAST_CONFIG.gridDegrees;
+  const snap = (value) => Number(((Math.floor(value / size) + 0.5) * size).toFixed(4));
+  const cellLat = snap(latitude);
+  const cellLon = snap(longitude);
+
+  return { cellKey: `${cellLat}_${cellLon}`, latitude: cellLat, longitude: cellLon };
+}
+
+/**
+ * Build a forecast or air-quality URL, switching to the commercial host when a key is set
+ */
+function buildUrl(urls, params) {
+  const apiKey = process.env.OPENMETEO_API_KEY;
+  const search = new URLSearchParams(params);
+
+  if (apiKey) {
+    search.append('apikey', apiKey);
+  }
+
+  return `${apiKey ? urls.commercial : urls.free}?${search.toString()}`;
+}
+
+/**
+ * Fetch cloud layers along the sunset and sunrise bearings in one multi-coordinate request
+ * Requested in the forecast's timezone so the hourly times line up with the forecast
+ */
+async function fetchHorizonFromAPI(latitude, longitude, forecast) {
+  const samplePoints = getHorizonSamplePoints(latitude, longitude, forecast.daily.time[0]);
+
+  const response = await fetchUpstreamJson(buildUrl(OPEN_METEO_URLS.forecast, {
+    latitude: samplePoints.map(point => point.latitude).join(','),
+    longitude: samplePoints.map(point => point.longitude).join(','),
+    hourly: HORIZON_HOURLY_FIELDS,
+    timezone: forecast.timezone || 'auto',
+    forecast_days: String(FORECAST_CONFIG.forecastDays)
+  }), { optional: true });
+
+  return buildHorizonData(samplePoints, response);
+}
+
+/**
+ * Fetch ensemble members for the forecast confidence range, in the forecast's timezone
+ */
+async function fetchEnsembleFromAPI(latitude, longitude, forecast) {
+  return fetchUpstreamJson(buildUrl(OPEN_METEO_URLS.ensemble, {
+    latitude,
+    longitude,
+    hourly: ENSEMBLE_CONSTANTS.HOURLY_FIELDS.join(','),
+    models: ENSEMBLE_CONSTANTS.MODEL,
+    timezone: forecast.timezone || 'auto',
+    forecast_days: String(FORECAST_CONFIG.forecastDays)
+  }), { optional: true });
+}
+
+/**
+ * Fetch an optional part of the forecast, null if it fails
+ * @returns {Promise<Object>} { data, failed }
+ */
+async function fetchOptional(label, request) {
+  try {
+    return { data: await request(), failed: false };
+  } catch (error) {
+    console.warn(`⚠️ ${label} request failed (${error.message}), continuing without it`);
+    return { data: null, failed: true };
+  }
+}
+
+/**
+ * Fetch 7-day forecast, matching AQI, horizon cloud samples and ensemble members for a grid cell from Open-Meteo
+ * forecast_days=7 keeps day 0 at today's midnight even after sunset. The optional parts are
+ * fetched side by side once the forecast is in; `missing` names those that failed
+ * @returns {Promise<Object>} { forecast, aqi, horizon, ensemble, missing: ['aqi' | 'horizon' | 'ensemble'] }
+ */
+async function fetchForecastFromAPI(latitude, longitude) {
+  console.log(`🌤️ Fetching forecast from Open-Meteo: ${latitude}, ${longitude}`);
+
+  const forecast = await fetchUpstreamJson(buildUrl(OPEN_METEO_URLS.forecast, {
+    latitude,
+    longitude,
+    daily: 'weather_code,temperature_2m_max,temperature_2m_min,sunset,sunrise',
+    hourly: 'temperature_2m,relative_humidity_2m,precipitation_probability,weather_code,cloud_cover,cloud_cover_low,cloud_cover_mid,cloud_cover_high,visibility,wind_speed_10m,pressure_msl,precipitation',
+    timezone: 'auto',
+    forecast_days: String(FORECAST_CONFIG.forecastDays)
+  }));
+
+  const [aqi, horizon, ensemble] = await Promise.all([
+    fetchOptional('Forecast AQI', () => fetchUpstreamJson(buildUrl(OPEN_METEO_URLS.airQuality, {
+      latitude,
+      longitude,
+      hourly: AIR_QUALITY_CONSTANTS.HOURLY_FIELDS.join(','),
+      timezone: 'auto',
+      forecast_days: String(FORECAST_CONFIG.forecastDays)
+    }))),
+    fetchOptional('Horizon cloud', () => fetchHorizonFromAPI(latitude, longitude, forecast)),
+    fetchOptional('Ensemble', () => fetchEnsembleFromAPI(latitude, longitude, forecast))
+  ]);
+
+  const missing = Object.entries({ aqi, horizon, ensemble })
+    .filter(([, part]) => part.failed)
+    .map(([name]) => name);
+
+  return { forecast, aqi: aqi.data, horizon: horizon.data, ensemble: ensemble.data, missing };
+}
+
+/**
+ * Store an entry, evicting the oldest cells beyond maxEntries
+ */
+function storeForecast(cellKey, entry) {
+  forecastCache.delete(cellKey);
+  forecastCache.set(cellKey, entry);
+
+  while (forecastCache.size > FORECAST_CONFIG.maxEntries) {
+    forecastCache.delete(forecastCache.keys().next().value);
+  }
+}
+
+/**
+ * Register a listener for freshly fetched forecasts
+ * Listeners run after the response is ready and their failures are only logged
+ * @param {Function} listener - ({ cell, location, forecast, aqi, fetchedAt }) => void | Promise -
+ *   location is the requested point, cell the grid cell the forecast was fetched for
+ */
+function onFreshForecast(listener) {
+  freshForecastListeners.push(listener);
+}
+
+/**
+ * Notify listeners about a fresh forecast without delaying or failing the request
+ * @param {Object} location - { latitude, longitude } of the request that fetched it
+ */
+function notifyFreshForecast(cell, entry, location) {
+  freshForecastListeners.forEach((listener) => {
+    Promise.resolve()
+      .then(() => listener({ cell, location, forecast: entry.forecast, aqi: entry.aqi, fetchedAt: entry.fetchedAt }))
+      .catch(error => console.warn(`⚠️ Fresh forecast listener failed for ${cell.cellKey}: ${error.message}`));
+  });
+}
+
+/**
+ * Get the forecast for a location, from the grid-cell cache when fresh
+ * An entry missing optional parts expires after partialTtlMinutes, so one failed request doesn't
+ * hold them back for the whole TTL. An expired entry is still served if Open-Meteo is failing
+ * @param {number} latitude - Latitude coordinate
+ * @param {number} longitude - Longitude coordinate
+ * @returns {Promise<Object>} { forecast, aqi, horizon, ensemble, metadata }
+ */
+async function getForecast(latitude, longitude) {
+  const cell = getGridCell(latitude, longitude);
+  const cached = forecastCache.get(cell.cellKey);
+  const now = Date.now();
+
+  const respond = (entry, extra) => ({
+    forecast: entry.forecast,
+    aqi: entry.aqi,
+    horizon: entry.horizon,
+    ensemble: entry.ensemble,
+    metadata: {
+      cell: { latitude: cell.latitude, longitude: cell.longitude, sizeDegrees: FORECAST_CONFIG.gridDegrees },
+      fetchedAt: new Date(entry.fetchedAt).toISOString(),
+      expiresAt: new Date(entry.expiresAt).toISOString(),
+      missing: entry.missing,
+      ...extra
+    }
+  });
+
+  if (cached && cached.expiresAt > now) {
+    forecastCounts.hits++;
+    return respond(cached, { fromCache: true, servedStale: false });
+  }
+
+  forecastCounts.misses++;
+
+  try {
+    const entry = await coalescer.run(cell.cellKey, async () => {
+      const { forecast, aqi, horizon, ensemble, missing } = await fetchForecastFromAPI(cell.latitude, cell.longitude);
+      const fetchedAt = Date.now();
+      const ttlMinutes = missing.length > 0
+        ? Math.min(FORECAST_CONFIG.partialTtlMinutes, FORECAST_CONFIG.ttlMinutes)
+        : FORECAST_CONFIG.ttlMinutes;
+      const fresh = {
+        forecast,
+        aqi,
+        horizon,
+        ensemble,
+        missing,
+        fetchedAt,
+        expiresAt: fetchedAt + ttlMinutes * 60 * 1000
+      };
+      storeForecast(cell.cellKey, fresh);
+      notifyFreshForecast(cell, fresh, { latitude, longitude });
+      return fresh;
+    });
+
+    return respond(entry, { fromCache: false, servedStale: false });
+  } catch (error) {
+    if (error.upstream && cached) {
+      forecastCounts.staleServed++;
+      console.warn(`⚠️ Serving expired forecast for ${cell.cellKey}: ${error.message}`);
+      return respond(cached, { fromCache: true, servedStale: true, upstreamError: error.message });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Forecast cache counters for /api/cache/stats
+ */
+function getForecastCacheStats() {
+  return {
+    ttlMinutes: FORECAST_CONFIG.ttlMinutes,
+    gridDegrees: FORECAST_CONFIG.gridDegrees,
+    cells: forecastCache.size,
+    maxEntries: FORECAST_CONFIG.maxEntries,
+    ...forecastCounts,
+    coalescing: coalescer.stats()
+  };
+}
+
+export {
+  getForecast,
+  getGridCell,
+  onFreshForecast,
+  getForecastCacheStats,
+  FORECAST_CONFIG
+};
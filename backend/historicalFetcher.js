@@ -0,0 +1,146 @@
+/**
+ * Historical data fetching for the cache server
+ * Talks to the Open-Meteo Archive/Air Quality APIs and keeps the cache topped up
+ */
+
+import { getCacheKey, getMissingDates, mergeCachedData, CACHE_FIELDS_VERSION } from './cacheManager.js';
+import { createRequestCoalescer } from './requestCoalescer.js';
+import { fetchUpstreamJson } from './upstreamClient.js';
+import { AIR_QUALITY_CONSTANTS } from '../src/constants/app.js';
+
+// Concurrent requests for the same location and date run share one upstream fetch
+const coalescer = createRequestCoalescer();
+
+/**
+ * Fetch air quality data from Open-Meteo API
+ * US AQI plus aerosol optical depth, dust and PM2.5 - cached as extra columns of the AQI rows
+ */
+async function fetchAirQualityFromAPI(latitude, longitude, startDate, endDate) {
+  const url = `https://air-quality-api.open-meteo.com/v1/air-quality?latitude=${latitude}&longitude=${longitude}&start_date=${startDate}&end_date=${endDate}&hourly=${AIR_QUALITY_CONSTANTS.HOURLY_FIELDS.join(',')}&timezone=auto`;
+  
+  console.log(`🌫️ Fetching air quality data: ${startDate} to ${endDate}`);
+  
+  return await fetchUpstreamJson(url);
+}
+
+/**
+ * Fetch historical data from Open-Meteo API
+ */
+async function fetchHistoricalFromAPI(latitude, longitude, startDate, endDate) {
+  // NOTE: Using free Archive API - no API key needed for historical data
+  // The commercial API key is only for forecast data
+  const url = `https://archive-api.open-meteo.com/v1/archive?latitude=${latitude}&longitude=${longitude}&start_date=${startDate}&end_date=${endDate}&hourly=temperature_2m,relative_humidity_2m,precipitation_probability,weather_code,cloud_cover,cloud_cover_low,cloud_cover_mid,cloud_cover_high,visibility,wind_speed_10m,pressure_msl,precipitation&daily=weather_code,temperature_2m_max,temperature_2m_min,sunset,sunrise&timezone=auto`;
+  
+  console.log(`🌐 Fetching from Open-Meteo Archive API: ${startDate} to ${endDate}`);
+  
+  return await fetchUpstreamJson(url);
+}
+
+/**
+ * Process raw API data - Just pass through the raw data structure
+ * The frontend will handle all the sunset scoring logic
+ */
+function processHistoricalData(rawData, aqiData) {
+  const { daily, hourly } = rawData;
+  
+  if (!daily || !daily.time) {
+    return { days: [] };
+  }
+  
+  // Return the raw data structure that matches what the frontend expects
+  return {
+    daily: rawData.daily,
+    hourly: rawData.hourly,
+    aqi: aqiData?.hourly || null
+  };
+}
+
+/**
+ * Fetch one contiguous run of days and merge it into the cache
+ * @returns {Promise<Object>} { data: merged cache in API format, newDaysFetched }
+ */
+function fetchDateRun(latitude, longitude, locationName, { startDate, endDate }) {
+  const fetchKey = `${getCacheKey(latitude, longitude)}:${startDate}:${endDate}`;
+  return coalescer.run(fetchKey, async () => {
+    const rawWeatherData = await fetchHistoricalFromAPI(latitude, longitude, startDate, endDate);
+    let rawAqiData = null;
+    let aqiUnavailable = false;
+    try {
+      rawAqiData = await fetchAirQualityFromAPI(latitude, longitude, startDate, endDate);
+    } catch (error) {
+      // Open-Meteo failing is temporary, a rejected request (e.g. dates the AQI record doesn't cover) is not
+      aqiUnavailable = error.upstream;
+      console.warn(`⚠️ Air quality request failed (${error.message}), continuing without AQI data`);
+    }
+    
+    const rawData = processHistoricalData(rawWeatherData, rawAqiData);
+    const fetchedDays = rawData.daily?.time?.length || 0;
+    if (aqiUnavailable && fetchedDays > 0) {
+      // Tag the days one fields version behind so they're re-fetched once the Air Quality API answers again
+      rawData.daily = { ...rawData.daily, fields_version: rawData.daily.time.map(() => CACHE_FIELDS_VERSION - 1) };
+    }
+    
+    const merged = await mergeCachedData(latitude, longitude, locationName, rawData) || rawData;
+    console.log(`✅ Merged ${fetchedDays} new days into cache`);
+    
+    return { data: merged, newDaysFetched: fetchedDays };
+  });
+}
+
+/**
+ * Bring the cache for a location up to date for a date range
+ * Only dates that are missing or stale are fetched from the API, one request per contiguous run
+ * @param {Object} options - { force: re-fetch the whole range regardless of freshness,
+ *   serveStale: answer from the cache when Open-Meteo is failing instead of throwing }
+ * @returns {Promise<Object>} Cached data in API format plus fetch counts
+ */
+async function fillHistoricalCache(latitude, longitude, locationName, startDate, endDate, { force = false, serveStale = false } = {}) {
+  // Work out which requested dates the cache doesn't have yet or holds preliminary data for
+  const missing = await getMissingDates(latitude, longitude, startDate, endDate);
+  const { cachedData, missingDatesCount } = missing;
+  const staleDatesCount = force
+    ? (cachedData?.daily?.time || []).filter(date => date >= startDate && date <= endDate).length
+    : missing.staleDatesCount;
+  const ranges = force ? [{ startDate, endDate }] : missing.ranges;
+  
+  if (missingDatesCount + staleDatesCount === 0) {
+    return { data: cachedData, cachedData, newDaysFetched: 0, missingDatesCount, staleDatesCount, servedStale: false };
+  }
+  
+  // Fetch only the missing/stale runs and merge each into the cache
+  console.log(`🌐 Fetching ${missingDatesCount} missing and ${staleDatesCount} stale days from API in ${ranges.length} run(s)...`);
+  let data = cachedData;
+  let newDaysFetched = 0;
+  try {
+    for (const range of ranges) {
+      console.log(`📅 Fetching ${range.startDate} to ${range.endDate}`);
+      const fetched = await fetchDateRun(latitude, longitude, locationName, range);
+      data = fetched.data;
+      newDaysFetched += fetched.newDaysFetched;
+    }
+  } catch (error) {
+    // Upstream is down or rate limiting us - whatever is cached beats an error page
+    if (serveStale && error.upstream && data) {
+      console.warn(`⚠️ Serving cached data for ${locationName} without refresh: ${error.message}`);
+      return { data, cachedData, newDaysFetched, missingDatesCount, staleDatesCount, servedStale: true, upstreamError: error };
+    }
+    throw error;
+  }
+  
+  return { data, cachedData, newDaysFetched, missingDatesCount, staleDatesCount, servedStale: false };
+}
+
+/**
+ * Upstream fetch coalescing counters (reported alongside cache stats)
+ */
+function getCoalescingStats() {
+  return coalescer.stats();
+}
+
+export {
+  fetchAirQualityFromAPI,
+  fetchHistoricalFromAPI,
+  processHistoricalData,
+  fillHistoricalCache,
+  getCoalescingStats
+};
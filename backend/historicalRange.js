@@ -0,0 +1,80 @@
+/**
+ * Historical date range resolution for the cache server
+ * Requests can name an explicit range, a calendar year, or a rolling window of days
+ */
+
+// First day the Open-Meteo Archive API has data for
+const ARCHIVE_START_DATE = '1940-01-01';
+const DEFAULT_WINDOW_DAYS = 365;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Today's date (YYYY-MM-DD, UTC)
+ */
+function getToday() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Rolling window of `days` days ending today (inclusive)
+ * @returns {Object} { startDate, endDate }
+ */
+function getRollingWindow(days = DEFAULT_WINDOW_DAYS) {
+  const start = new Date(`${getToday()}T00:00:00Z`);
+  start.setUTCDate(start.getUTCDate() - (days - 1));
+  return { startDate: start.toISOString().split('T')[0], endDate: getToday() };
+}
+
+/**
+ * Resolve the date range of a historical request
+ * Accepts { startDate, endDate }, { year } or { days } (rolling window ending today);
+ * the end date is clamped to today (Archive API constraint)
+ * @param {Object} query - Request query parameters
+ * @param {Object} options - { defaultDays: window used when nothing is given, null to require a range }
+ * @returns {Object} { startDate, endDate } or { error }
+ */
+function resolveHistoricalRange(query, { defaultDays = null } = {}) {
+  const today = getToday();
+  let startDate = query.startDate;
+  let endDate = query.endDate;
+
+  if (query.year !== undefined) {
+    const year = parseInt(query.year, 10);
+    const firstYear = parseInt(ARCHIVE_START_DATE.slice(0, 4), 10);
+    const lastYear = parseInt(today.slice(0, 4), 10);
+    if (!Number.isInteger(year) || year < firstYear || year > lastYear) {
+      return { error: `year must be between ${firstYear} and ${lastYear}` };
+    }
+    startDate = `${year}-01-01`;
+    endDate = `${year}-12-31`;
+  } else if (query.days !== undefined || (!startDate && !endDate && defaultDays)) {
+    const days = query.days !== undefined ? parseInt(query.days, 10) : defaultDays;
+    if (!Number.isInteger(days) || days < 1 || days > 366 * 10) {
+      return { error: 'days must be a whole number between 1 and 3660' };
+    }
+    ({ startDate, endDate } = getRollingWindow(days));
+  }
+
+  if (!startDate || !endDate) {
+    return { error: 'Provide startDate and endDate, year, or days' };
+  }
+  if (!DATE_PATTERN.test(startDate) || !DATE_PATTERN.test(endDate)) {
+    return { error: 'startDate and endDate must be YYYY-MM-DD' };
+  }
+
+  if (startDate < ARCHIVE_START_DATE) startDate = ARCHIVE_START_DATE;
+  if (endDate > today) endDate = today;
+
+  if (startDate > endDate) {
+    return { error: 'startDate must not be after endDate' };
+  }
+
+  return { startDate, endDate };
+}
+
+export {
+  getRollingWindow,
+  resolveHistoricalRange,
+  ARCHIVE_START_DATE,
+  DEFAULT_WINDOW_DAYS
+};
@@ -0,0 +1,31 @@
+/**
+ * In-process keyed mutex
+ * Serializes async critical sections that share a key; different keys run concurrently
+ */
+
+/**
+ * Create a keyed mutex
+ * @returns {Function} runExclusive(key, fn) - runs fn once every earlier holder of key has finished
+ */
+export function createKeyedMutex() {
+  const tails = new Map();
+
+  return async function runExclusive(key, fn) {
+    const previous = tails.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    tails.set(key, tail);
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+      // Drop the entry once nobody else has queued behind us
+      if (tails.get(key) === tail) {
+        tails.delete(key);
+      }
+    }
+  };
+}
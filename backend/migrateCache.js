@@ -0,0 +1,58 @@
+/**
+ * Import existing JSON cache files into the SQLite cache store
+ *
+ * Usage:
+ *   node migrateCache.js          # npm run cache:migrate
+ *
+ * The JSON files are left in place; set CACHE_STORE=sqlite afterwards
+ */
+
+import 'dotenv/config';
+import { createCacheStore } from './stores/index.js';
+
+async function migrate() {
+  const source = createCacheStore('file');
+  const target = createCacheStore('sqlite');
+
+  await source.init();
+  await target.init();
+
+  const keys = await source.listKeys();
+  console.log(`📦 Migrating ${keys.length} cached locations from JSON files to SQLite`);
+
+  let migrated = 0;
+  let failed = 0;
+
+  for (const cacheKey of keys) {
+    const record = await source.get(cacheKey);
+
+    if (!record?.location) {
+      console.error(`   ❌ ${cacheKey}: unreadable or corrupt JSON file, skipped`);
+      failed++;
+      continue;
+    }
+
+    try {
+      await target.put(cacheKey, record);
+      console.log(`   ✅ ${record.location.name} (${cacheKey}): ${record.daily?.length || 0} days`);
+      migrated++;
+    } catch (error) {
+      console.error(`   ❌ ${cacheKey}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  const stats = await target.stats();
+  await target.close();
+
+  console.log(`\n✅ Migrated ${migrated} locations (${failed} failed)`);
+  console.log(`   SQLite cache now holds ${stats.totalLocations} locations, ${stats.totalCachedDays} days`);
+  return failed;
+}
+
+migrate()
+  .then(failed => process.exit(failed > 0 ? 1 : 0))
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,251 @@
+/**
+ * Popular-city cache prewarming
+ * Fills and tops up the historical cache for a list of cities so their
+ * first visitors get an instant response
+ *
+ * Usage:
+ *   node prewarm.js            # one-off run (npm run cache:prewarm)
+ */
+
+import 'dotenv/config';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { initializeCache, getCacheKey, CACHE_CONFIG } from './cacheManager.js';
+import { fillHistoricalCache } from './historicalFetcher.js';
+import { readCountEnv } from './upstreamClient.js';
+import { getRollingWindow, DEFAULT_WINDOW_DAYS } from './historicalRange.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Prewarm configuration
+const PREWARM_CONFIG = {
+  enabled: process.env.PREWARM_ENABLED !== 'false',
+  intervalHours: parseFloat(process.env.PREWARM_INTERVAL_HOURS) || 24,
+  concurrency: parseInt(process.env.PREWARM_CONCURRENCY, 10) || 2,
+  maxRetries: readCountEnv('PREWARM_MAX_RETRIES', 3), // 0 disables retries
+  retryBaseDelayMs: readCountEnv('PREWARM_RETRY_DELAY_MS', 5000),
+  // Extra cities: inline JSON array or path to a JSON file of { name, lat, lon }
+  extraCities: process.env.PREWARM_CITIES || '',
+  extraCitiesFile: process.env.PREWARM_CITIES_FILE || ''
+};
+
+// Progress of the current (or last) run, served by /api/cache/prewarm
+const prewarmStatus = {
+  running: false,
+  lastRunStartedAt: null,
+  lastRunFinishedAt: null,
+  nextRunAt: null,
+  cities: []
+};
+
+let scheduleTimer = null;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Load the extra city list from env (inline JSON or JSON file)
+ */
+async function loadExtraCities() {
+  const cities = [];
+
+  if (PREWARM_CONFIG.extraCities) {
+    try {
+      cities.push(...JSON.parse(PREWARM_CONFIG.extraCities));
+    } catch (error) {
+      console.error('❌ PREWARM_CITIES is not valid JSON:', error.message);
+    }
+  }
+
+  if (PREWARM_CONFIG.extraCitiesFile) {
+    const filePath = path.resolve(__dirname, PREWARM_CONFIG.extraCitiesFile);
+    try {
+      cities.push(...JSON.parse(await fs.readFile(filePath, 'utf-8')));
+    } catch (error) {
+      console.error(`❌ Failed to load prewarm cities from ${filePath}:`, error.message);
+    }
+  }
+
+  return cities.filter(city => Number.isFinite(city?.lat) && Number.isFinite(city?.lon));
+}
+
+/**
+ * Popular cities plus any configured extras, deduplicated by cache key
+ */
+async function getPrewarmCities() {
+  const allCities = [...CACHE_CONFIG.popularCities, ...await loadExtraCities()];
+  const byKey = new Map();
+
+  allCities.forEach(city => {
+    const cacheKey = getCacheKey(city.lat, city.lon);
+    if (!byKey.has(cacheKey)) {
+      byKey.set(cacheKey, { ...city, name: city.name || cacheKey, cacheKey });
+    }
+  });
+
+  return [...byKey.values()];
+}
+
+/**
+ * Prewarm one city, retrying up to maxRetries times with exponential backoff
+ */
+async function prewarmCity(entry, startDate, endDate) {
+  const maxAttempts = PREWARM_CONFIG.maxRetries + 1;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    entry.status = 'running';
+    entry.attempts = attempt;
+    entry.updatedAt = new Date().toISOString();
+
+    try {
+      const { newDaysFetched } = await fillHistoricalCache(entry.lat, entry.lon, entry.name, startDate, endDate);
+      entry.status = 'done';
+      entry.newDaysFetched = newDaysFetched;
+      entry.error = null;
+      entry.updatedAt = new Date().toISOString();
+      return;
+    } catch (error) {
+      entry.error = error.message;
+
+      if (attempt < maxAttempts) {
+        const delay = PREWARM_CONFIG.retryBaseDelayMs * 2 ** (attempt - 1);
+        console.warn(`⚠️ Prewarm failed for ${entry.name} (attempt ${attempt}), retrying in ${delay}ms`);
+        entry.status = 'retrying';
+        await sleep(delay);
+      }
+    }
+  }
+
+  entry.status = 'failed';
+  entry.updatedAt = new Date().toISOString();
+  console.error(`❌ Prewarm gave up on ${entry.name}: ${entry.error}`);
+}
+
+/**
+ * Run one prewarm pass over every city with limited concurrency
+ * @returns {Promise<Object>} Final prewarm status
+ */
+async function runPrewarm() {
+  if (prewarmStatus.running) {
+    console.log('⏳ Prewarm already running, skipping');
+    return prewarmStatus;
+  }
+
+  // The last 12 months cover both the app's default view and the current year to date
+  const { startDate, endDate } = getRollingWindow(DEFAULT_WINDOW_DAYS);
+
+  const cities = await getPrewarmCities();
+  prewarmStatus.running = true;
+  prewarmStatus.lastRunStartedAt = new Date().toISOString();
+  prewarmStatus.cities = cities.map(city => ({
+    name: city.name,
+    lat: city.lat,
+    lon: city.lon,
+    cacheKey: city.cacheKey,
+    status: 'pending',
+    attempts: 0,
+    newDaysFetched: 0,
+    error: null,
+    updatedAt: null
+  }));
+
+  console.log(`🔥 Prewarming cache for ${cities.length} cities (${startDate} to ${endDate})`);
+
+  // Simple worker pool - each worker takes the next pending city
+  const queue = [...prewarmStatus.cities];
+  const workers = Array.from({ length: Math.min(PREWARM_CONFIG.concurrency, queue.length) }, async () => {
+    while (queue.length > 0) {
+      await prewarmCity(queue.shift(), startDate, endDate);
+    }
+  });
+  await Promise.all(workers);
+
+  prewarmStatus.running = false;
+  prewarmStatus.lastRunFinishedAt = new Date().toISOString();
+
+  const failed = prewarmStatus.cities.filter(city => city.status === 'failed').length;
+  console.log(`🔥 Prewarm finished: ${cities.length - failed} ok, ${failed} failed`);
+  return prewarmStatus;
+}
+
+/**
+ * Run prewarm now and then on the configured interval
+ */
+function startPrewarmSchedule() {
+  if (!PREWARM_CONFIG.enabled) {
+    console.log('🔥 Cache prewarming disabled');
+    return;
+  }
+
+  const intervalMs = PREWARM_CONFIG.intervalHours * 3600000;
+  const scheduleNext = () => {
+    prewarmStatus.nextRunAt = new Date(Date.now() + intervalMs).toISOString();
+  };
+
+  scheduleNext();
+  runPrewarm().catch(error => console.error('❌ Prewarm failed:', error));
+
+  scheduleTimer = setInterval(() => {
+    scheduleNext();
+    runPrewarm().catch(error => console.error('❌ Prewarm failed:', error));
+  }, intervalMs);
+  // Don't keep the process alive just for prewarming
+  scheduleTimer.unref();
+}
+
+/**
+ * Stop the prewarm schedule
+ */
+function stopPrewarmSchedule() {
+  if (scheduleTimer) {
+    clearInterval(scheduleTimer);
+    scheduleTimer = null;
+    prewarmStatus.nextRunAt = null;
+  }
+}
+
+/**
+ * Snapshot of prewarm progress
+ */
+function getPrewarmStatus() {
+  const cities = prewarmStatus.cities;
+  return {
+    ...prewarmStatus,
+    config: {
+      enabled: PREWARM_CONFIG.enabled,
+      intervalHours: PREWARM_CONFIG.intervalHours,
+      concurrency: PREWARM_CONFIG.concurrency,
+      maxRetries: PREWARM_CONFIG.maxRetries
+    },
+    progress: {
+      total: cities.length,
+      done: cities.filter(city => city.status === 'done').length,
+      failed: cities.filter(city => city.status === 'failed').length
+    }
+  };
+}
+
+// Run once when invoked directly (npm run cache:prewarm)
+if (process.argv[1] === __filename) {
+  initializeCache()
+    .then(runPrewarm)
+    .then(status => {
+      status.cities.forEach(city => {
+        console.log(`   ${city.status === 'done' ? '✅' : '❌'} ${city.name}: ${city.status === 'done' ? `${city.newDaysFetched} new days` : city.error}`);
+      });
+      process.exit(status.cities.some(city => city.status === 'failed') ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('❌ Prewarm failed:', error);
+      process.exit(1);
+    });
+}
+
+export {
+  runPrewarm,
+  startPrewarmSchedule,
+  stopPrewarmSchedule,
+  getPrewarmStatus,
+  getPrewarmCities,
+  PREWARM_CONFIG
+};
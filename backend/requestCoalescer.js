@@ -0,0 +1,55 @@
+/**
+ * In-flight request coalescing
+ * Concurrent callers asking for the same key share one pending promise
+ * instead of each starting their own upstream request
+ */
+
+/**
+ * Create a request coalescer
+ * @returns {Object} { run(key, fn), stats() }
+ */
+export function createRequestCoalescer() {
+  const inFlight = new Map();
+  const counts = {
+    started: 0,
+    coalesced: 0
+  };
+
+  /**
+   * Run fn for key, or join the call already in flight for it
+   * @param {string} key - Identifies identical requests
+   * @param {Function} fn - Starts the request, returns a promise
+   * @returns {Promise<*>} Result of the shared call
+   */
+  function run(key, fn) {
+    const pending = inFlight.get(key);
+    if (pending) {
+      counts.coalesced++;
+      return pending;
+    }
+
+    counts.started++;
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => {
+        inFlight.delete(key);
+      });
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Coalescing counters since startup
+   */
+  function stats() {
+    const total = counts.started + counts.coalesced;
+    return {
+      inFlight: inFlight.size,
+      upstreamFetches: counts.started,
+      coalescedRequests: counts.coalesced,
+      coalescingRate: total > 0 ? Math.round((counts.coalesced / total) * 1000) / 10 : 0
+    };
+  }
+
+  return { run, stats };
+}
@@ -2,18 +2,28 @@ import express from 'express';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { config } from 'dotenv';
+// Load environment variables before any module reads its configuration
+import 'dotenv/config';
 import {
   initializeCache,
-  getCachedData,
-  saveCachedData,
+  sliceCachedData,
   getCacheStats,
   clearLocationCache,
   clearAllCache
 } from './cacheManager.js';
-
-// Load environment variables
-config();
+import { fillHistoricalCache, getCoalescingStats } from './historicalFetcher.js';
+import { getUpstreamStatus } from './upstreamClient.js';
+import { getForecast, getForecastCacheStats, getGridCell, onFreshForecast } from './forecastProxy.js';
+import { getScoredForecast, getScoredHistorical } from './sunsetScoring.js';
+import { resolveHistoricalRange, DEFAULT_WINDOW_DAYS } from './historicalRange.js';
+import { getClimatologyForDates } from './climatology.js';
+import { SCORING_MODELS } from '../src/services/scoringUtils.js';
+import { WEATHER_WINDOWS } from '../src/services/sunsetDataProcessor.js';
+import { isScoringProfile, getScoringProfileOptions } from '../src/services/scoringProfiles.js';
+import { SOLAR_EVENTS } from '../src/constants/app.js';
+import { startPrewarmSchedule, getPrewarmStatus } from './prewarm.js';
+import { recordForecast, getAccuracyStats, startAccuracySchedule, getAccuracyStatus } from './forecastAccuracy.js';
+import adminRoutes from './adminRoutes.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -26,80 +36,16 @@ const OPENMETEO_API_KEY = process.env.OPENMETEO_API_KEY;
 app.use(cors());
 app.use(express.json());
 
-// Initialize cache on startup
-initializeCache().catch(console.error);
-
-/**
- * Fetch air quality data from Open-Meteo API
- */
-async function fetchAirQualityFromAPI(latitude, longitude, startDate, endDate) {
-  const url = `https://air-quality-api.open-meteo.com/v1/air-quality?latitude=${latitude}&longitude=${longitude}&start_date=${startDate}&end_date=${endDate}&hourly=us_aqi&timezone=auto`;
-  
-  console.log(`🌫️ Fetching air quality data: ${startDate} to ${endDate}`);
-  
-  const response = await fetch(url, {
-    method: 'GET',
-    headers: {
-      'Accept': 'application/json'
-    },
-    mode: 'cors',
-    credentials: 'omit'
-  });
-  
-  if (!response.ok) {
-    console.warn(`⚠️ Air quality API returned ${response.status}, continuing without AQI data`);
-    return null;
-  }
-  
-  return await response.json();
-}
-
-/**
- * Fetch historical data from Open-Meteo API
- */
-async function fetchHistoricalFromAPI(latitude, longitude, startDate, endDate) {
-  // NOTE: Using free Archive API - no API key needed for historical data
-  // The commercial API key is only for forecast data
-  const url = `https://archive-api.open-meteo.com/v1/archive?latitude=${latitude}&longitude=${longitude}&start_date=${startDate}&end_date=${endDate}&hourly=temperature_2m,relative_humidity_2m,precipitation_probability,weather_code,cloud_cover,cloud_cover_low,cloud_cover_mid,cloud_cover_high,visibility,wind_speed_10m&daily=weather_code,temperature_2m_max,temperature_2m_min,sunset,sunrise&timezone=auto`;
-  
-  console.log(`🌐 Fetching from Open-Meteo Archive API: ${startDate} to ${endDate}`);
-  
-  const response = await fetch(url, {
-    method: 'GET',
-    headers: {
-      'Accept': 'application/json'
-    },
-    mode: 'cors',
-    credentials: 'omit'
-  });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error(`❌ API Error (${response.status}):`, errorText);
-    throw new Error(`API request failed: ${response.statusText}`);
-  }
-  
-  return await response.json();
-}
+// Initialize cache on startup, then start prewarming popular cities and verifying past forecasts
+initializeCache()
+  .then(() => {
+    startPrewarmSchedule();
+    startAccuracySchedule();
+  })
+  .catch(console.error);
 
-/**
- * Process raw API data - Just pass through the raw data structure
- * The frontend will handle all the sunset scoring logic
- */
-function processHistoricalData(rawData, aqiData) {
-  const { daily, hourly } = rawData;
-  
-  if (!daily || !daily.time) {
-    return { days: [] };
-  }
-  
-  // Return the raw data structure that matches what the frontend expects
-  return {
-    daily: rawData.daily,
-    hourly: rawData.hourly,
-    aqi: aqiData?.hourly || null
-  };
-}
+// Log every fresh forecast's scores so they can be compared with what actually happened
+onFreshForecast(recordForecast);
 
 /**
  * Get weather conditions from code
@@ -138,59 +84,82 @@ function getConditionsFromWeatherCode(code) {
 }
 
 /**
- * API endpoint: Get historical data with simple caching
+ * Answer 503 + Retry-After when Open-Meteo is rate limiting us or down
+ */
+function sendUpstreamUnavailable(res, error) {
+  res.set('Retry-After', String(Math.ceil((error.retryAfterMs || 60000) / 1000)));
+  return res.status(503).json({
+    error: 'Weather data provider is temporarily unavailable',
+    details: error.message
+  });
+}
+
+/**
+ * API endpoint: Get historical data with incremental caching
+ * Only dates missing from the cache are fetched from the Archive API
+ * Range: startDate + endDate, a calendar year (?year=2024) or a rolling window (?days=365)
  */
 app.get('/api/historical', async (req, res) => {
   try {
-    const { latitude, longitude, startDate, endDate, location } = req.query;
+    const { latitude, longitude, location } = req.query;
     
-    if (!latitude || !longitude || !startDate || !endDate) {
+    if (!latitude || !longitude) {
       return res.status(400).json({ 
-        error: 'Missing required parameters: latitude, longitude, startDate, endDate' 
+        error: 'Missing required parameters: latitude, longitude' 
       });
     }
     
+    const range = resolveHistoricalRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    
     const lat = parseFloat(latitude);
     const lon = parseFloat(longitude);
     const locationName = location || `${lat},${lon}`;
-    
-    // Limit end date to today (Archive API constraint)
-    const today = new Date().toISOString().split('T')[0];
-    const actualEndDate = endDate > today ? today : endDate;
+    const { startDate, endDate: actualEndDate } = range;
     
     console.log(`\n🔍 Request: ${locationName} (${startDate} to ${actualEndDate})`);
     
-    // Check cache first
-    const cachedData = await getCachedData(lat, lon);
+    const {
+      data,
+      cachedData,
+      newDaysFetched,
+      staleDatesCount,
+      servedStale,
+      upstreamError
+    } = await fillHistoricalCache(lat, lon, locationName, startDate, actualEndDate, { serveStale: true });
     
-    if (cachedData) {
+    if (newDaysFetched === 0) {
       console.log(`✅ Serving from cache`);
-      return res.json({
-        weather: { daily: cachedData.daily, hourly: cachedData.hourly },
-        aqi: cachedData.aqi,
-        metadata: { fromCache: true, location: cachedData.location }
-      });
     }
     
-    // No cache - fetch from API
-    console.log(`🌐 Fetching from API...`);
-    const rawWeatherData = await fetchHistoricalFromAPI(lat, lon, startDate, actualEndDate);
-    const rawAqiData = await fetchAirQualityFromAPI(lat, lon, startDate, actualEndDate);
-    
-    // Store raw data
-    const rawData = processHistoricalData(rawWeatherData, rawAqiData);
-    await saveCachedData(lat, lon, locationName, rawData);
-    
-    console.log(`✅ Data cached and returned`);
+    const { daily, hourly, aqi } = sliceCachedData(data, startDate, actualEndDate);
+    const totalDays = daily?.time?.length || 0;
     
     res.json({
-      weather: { daily: rawData.daily, hourly: rawData.hourly },
-      aqi: rawData.aqi,
-      metadata: { fromCache: false }
+      weather: { daily, hourly },
+      aqi,
+      metadata: {
+        fromCache: newDaysFetched === 0,
+        totalDays,
+        newDaysFetched,
+        staleDaysRefreshed: servedStale ? 0 : staleDatesCount,
+        servedStale,
+        upstreamError: upstreamError?.message || null,
+        dateRange: totalDays > 0 ? { start: daily.time[0], end: daily.time[totalDays - 1] } : null,
+        location: cachedData?.location || { name: locationName, latitude: lat, longitude: lon }
+      }
     });
     
   } catch (error) {
     console.error('❌ Error:', error.message);
+    
+    // Open-Meteo rate limiting or outage with nothing cached to fall back on
+    if (error.upstream) {
+      return sendUpstreamUnavailable(res, error);
+    }
+    
     res.status(500).json({ 
       error: 'Failed to fetch historical data',
       details: error.message 
@@ -198,30 +167,240 @@ app.get('/api/historical', async (req, res) => {
   }
 });
 
+/**
+ * API endpoint: 7-day forecast + AQI + horizon cloud samples + ensemble members proxied through the server-held API key
+ * Cached per grid cell for FORECAST_CACHE_TTL_MINUTES, or FORECAST_PARTIAL_TTL_MINUTES when
+ * an optional part failed (listed in metadata.missing)
+ */
+app.get('/api/forecast', async (req, res) => {
+  const lat = parseFloat(req.query.latitude ?? req.query.lat);
+  const lon = parseFloat(req.query.longitude ?? req.query.lon);
+  
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return res.status(400).json({ error: 'Missing or invalid parameters: latitude, longitude' });
+  }
+  
+  try {
+    res.json(await getForecast(lat, lon));
+  } catch (error) {
+    console.error('❌ Forecast error:', error.message);
+    
+    if (error.upstream) {
+      return sendUpstreamUnavailable(res, error);
+    }
+    
+    res.status(502).json({ error: 'Failed to fetch forecast data', details: error.message });
+  }
+});
+
+/**
+ * API endpoint: Scored sunsets for a location
+ * Query: latitude, longitude, location (name), type=forecast|historical|both (default forecast),
+ * startDate/endDate, year or days for historical (default the last 365 days), top (default 10),
+ * model=buckets|curves (scoring model, default buckets), profile (scoring profile id, default classic),
+ * window=event|goldenHour (weather at the event minute or averaged over the golden hour and afterglow, default event),
+ * event=sunset|sunrise (which event the historical top list and statistics rank, default sunset).
+ * Every day carries both sunset_* and sunrise_* scores
+ */
+app.get('/api/sunsets', async (req, res) => {
+  const lat = parseFloat(req.query.latitude ?? req.query.lat);
+  const lon = parseFloat(req.query.longitude ?? req.query.lon);
+  const type = req.query.type || 'forecast';
+  const top = Math.min(Math.max(parseInt(req.query.top, 10) || 10, 1), 366);
+  const scoringModel = req.query.model;
+  const scoringProfile = req.query.profile;
+  const weatherWindow = req.query.window;
+  const event = req.query.event || SOLAR_EVENTS.SUNSET;
+  
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return res.status(400).json({ error: 'Missing or invalid parameters: latitude, longitude' });
+  }
+  if (!['forecast', 'historical', 'both'].includes(type)) {
+    return res.status(400).json({ error: 'type must be forecast, historical or both' });
+  }
+  if (scoringModel !== undefined && !Object.values(SCORING_MODELS).includes(scoringModel)) {
+    return res.status(400).json({ error: `model must be one of: ${Object.values(SCORING_MODELS).join(', ')}` });
+  }
+  if (scoringProfile !== undefined && !isScoringProfile(scoringProfile)) {
+    return res.status(400).json({ error: `profile must be one of: ${getScoringProfileOptions().map(p => p.id).join(', ')}` });
+  }
+  if (weatherWindow !== undefined && !Object.values(WEATHER_WINDOWS).includes(weatherWindow)) {
+    return res.status(400).json({ error: `window must be one of: ${Object.values(WEATHER_WINDOWS).join(', ')}` });
+  }
+  if (!Object.values(SOLAR_EVENTS).includes(event)) {
+    return res.status(400).json({ error: `event must be one of: ${Object.values(SOLAR_EVENTS).join(', ')}` });
+  }
+  
+  const range = resolveHistoricalRange(req.query, { defaultDays: DEFAULT_WINDOW_DAYS });
+  if (type !== 'forecast' && range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  
+  const { startDate, endDate } = range;
+  const location = {
+    name: req.query.location || `${lat},${lon}`,
+    latitude: lat,
+    longitude: lon
+  };
+  
+  try {
+    const result = { location };
+    
+    if (type === 'forecast' || type === 'both') {
+      result.forecast = await getScoredForecast(lat, lon, { scoringModel, scoringProfile, weatherWindow });
+    }
+    if (type === 'historical' || type === 'both') {
+      result.historical = {
+        startDate,
+        endDate,
+        ...await getScoredHistorical(location, startDate, endDate, top, { scoringModel, scoringProfile, weatherWindow, event })
+      };
+    }
+    
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Sunset scoring error:', error.message);
+    
+    if (error.upstream) {
+      return sendUpstreamUnavailable(res, error);
+    }
+    
+    res.status(500).json({ error: 'Failed to score sunsets', details: error.message });
+  }
+});
+
+/**
+ * API endpoint: How dates' sunset (or sunrise) scores compare with this location's past years
+ * Query: latitude, longitude, location (name), dates=YYYY-MM-DD,... and optional scores=n,...
+ * (same order as dates, without the horizon term) to get the share of historical days each score beats;
+ * event=sunset|sunrise (default sunset), and profile, model and window score the past years the same way
+ * as the scores (defaults as in /api/sunsets)
+ */
+app.get('/api/climatology', async (req, res) => {
+  const lat = parseFloat(req.query.latitude ?? req.query.lat);
+  const lon = parseFloat(req.query.longitude ?? req.query.lon);
+  const dates = (req.query.dates || '').split(',').filter(Boolean);
+  const scores = (req.query.scores || '').split(',').map(score => parseFloat(score));
+  const scoringProfile = req.query.profile;
+  const scoringModel = req.query.model;
+  const weatherWindow = req.query.window;
+  const event = req.query.event || SOLAR_EVENTS.SUNSET;
+  
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return res.status(400).json({ error: 'Missing or invalid parameters: latitude, longitude' });
+  }
+  if (!Object.values(SOLAR_EVENTS).includes(event)) {
+    return res.status(400).json({ error: `event must be one of: ${Object.values(SOLAR_EVENTS).join(', ')}` });
+  }
+  if (dates.length === 0 || dates.length > 31 || !dates.every(date => /^\d{4}-\d{2}-\d{2}$/.test(date))) {
+    return res.status(400).json({ error: 'dates must be 1-31 comma-separated YYYY-MM-DD dates' });
+  }
+  if (scoringProfile !== undefined && !isScoringProfile(scoringProfile)) {
+    return res.status(400).json({ error: `profile must be one of: ${getScoringProfileOptions().map(p => p.id).join(', ')}` });
+  }
+  if (scoringModel !== undefined && !Object.values(SCORING_MODELS).includes(scoringModel)) {
+    return res.status(400).json({ error: `model must be one of: ${Object.values(SCORING_MODELS).join(', ')}` });
+  }
+  if (weatherWindow !== undefined && !Object.values(WEATHER_WINDOWS).includes(weatherWindow)) {
+    return res.status(400).json({ error: `window must be one of: ${Object.values(WEATHER_WINDOWS).join(', ')}` });
+  }
+  
+  const location = {
+    name: req.query.location || `${lat},${lon}`,
+    latitude: lat,
+    longitude: lon
+  };
+  
+  try {
+    const result = await getClimatologyForDates(
+      location,
+      dates.map((date, i) => ({ date, score: scores[i] })),
+      { event, scoringProfile, scoringModel, weatherWindow }
+    );
+    res.json({ location, ...result });
+  } catch (error) {
+    console.error('❌ Climatology error:', error.message);
+    
+    if (error.upstream) {
+      return sendUpstreamUnavailable(res, error);
+    }
+    
+    res.status(500).json({ error: `Failed to build ${event} climatology`, details: error.message });
+  }
+});
+
+/**
+ * API endpoint: How far forecast scores were from the scores observed once the day had settled
+ * Optional query: latitude, longitude to limit to one location (matched by forecast grid cell);
+ * without them the stats cover every tracked location.
+ * Returns MAE and bias (forecast minus observed) per event, overall and by lead time in days
+ */
+app.get('/api/accuracy', async (req, res) => {
+  const hasLocation = req.query.latitude !== undefined || req.query.lat !== undefined ||
+    req.query.longitude !== undefined || req.query.lon !== undefined;
+  const lat = parseFloat(req.query.latitude ?? req.query.lat);
+  const lon = parseFloat(req.query.longitude ?? req.query.lon);
+  
+  if (hasLocation && (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180)) {
+    return res.status(400).json({ error: 'Invalid parameters: latitude, longitude' });
+  }
+  
+  try {
+    const stats = await getAccuracyStats(hasLocation ? { latitude: lat, longitude: lon } : {});
+    res.json({
+      location: hasLocation ? { latitude: lat, longitude: lon, cell: getGridCell(lat, lon).cellKey } : null,
+      ...stats,
+      verification: getAccuracyStatus()
+    });
+  } catch (error) {
+    console.error('❌ Accuracy stats error:', error.message);
+    res.status(500).json({ error: 'Failed to get forecast accuracy', details: error.message });
+  }
+});
+
 /**
  * API endpoint: Get cache statistics
  */
 app.get('/api/cache/stats', async (req, res) => {
   try {
     const stats = await getCacheStats();
-    res.json(stats);
+    res.json({ ...stats, coalescing: getCoalescingStats(), forecast: getForecastCacheStats() });
   } catch (error) {
     console.error('Error getting cache stats:', error);
     res.status(500).json({ error: 'Failed to get cache statistics' });
   }
 });
 
+/**
+ * API endpoint: Get cache prewarm progress per city
+ */
+app.get('/api/cache/prewarm', (req, res) => {
+  res.json(getPrewarmStatus());
+});
+
+// Admin cache management (requires ADMIN_TOKEN)
+app.use('/api/admin', adminRoutes);
+
 /**
  * Health check endpoint
  */
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  const upstream = getUpstreamStatus();
+  res.json({
+    status: upstream.breaker.state === 'closed' ? 'ok' : 'degraded',
+    timestamp: new Date().toISOString(),
+    upstream
+  });
 });
 
 // Start server
 app.listen(PORT, () => {
   console.log(`\n🚀 Suncast Cache Server running on port ${PORT}`);
+  console.log(`🌤️ Forecast proxy: http://localhost:${PORT}/api/forecast (${OPENMETEO_API_KEY ? 'commercial' : 'free'} API)`);
+  console.log(`🌅 Sunset scores: http://localhost:${PORT}/api/sunsets`);
   console.log(`📊 Cache stats: http://localhost:${PORT}/api/cache/stats`);
+  console.log(`🔥 Prewarm status: http://localhost:${PORT}/api/cache/prewarm`);
+  console.log(`🎯 Forecast accuracy: http://localhost:${PORT}/api/accuracy`);
   console.log(`🏥 Health check: http://localhost:${PORT}/api/health\n`);
 });
 
@@ -0,0 +1,337 @@
+/**
+ * File cache store
+ * One pretty-printed JSON file per location plus a shared index.json
+ * Files are written to a temp file and renamed into place so a crash never
+ * leaves half-written JSON, and index updates are serialized in-process
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { createKeyedMutex } from '../keyedMutex.js';
+
+const INDEX_LOCK = '__index__';
+
+/**
+ * Empty cache index
+ */
+function createEmptyIndex() {
+  return {
+    version: '1.0',
+    locations: {},
+    stats: {
+      totalCachedDays: 0,
+      lastUpdated: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Write a file atomically (temp file in the same directory + rename)
+ */
+async function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    await fs.writeFile(tempPath, contents);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Merge CSV-like rows, incoming fields replacing existing ones at the same timestamp
+ */
+function mergeRows(existing, incoming, timeKey) {
+  if (!incoming?.length) return existing || null;
+  if (!existing?.length) return incoming;
+
+  const rowsByTime = new Map(existing.map(row => [row[timeKey], row]));
+  incoming.forEach(row => rowsByTime.set(row[timeKey], { ...rowsByTime.get(row[timeKey]), ...row }));
+  return [...rowsByTime.values()].sort((a, b) => a[timeKey].localeCompare(b[timeKey]));
+}
+
+/**
+ * Create a file-backed cache store
+ * @param {Object} options - { dir: directory holding the JSON files }
+ * @returns {Object} Cache store (see stores/index.js for the interface)
+ */
+export function createFileStore({ dir }) {
+  const indexFile = path.join(dir, 'index.json');
+
+  const runExclusive = createKeyedMutex();
+
+  const getFilePath = (cacheKey) => path.join(dir, `${cacheKey}.json`);
+
+  /**
+   * Read and parse one location file
+   * @returns {Promise<Object>} { record } or { error: 'missing' | 'corrupt' }
+   */
+  async function readLocationFile(cacheKey) {
+    let data;
+    try {
+      data = await fs.readFile(getFilePath(cacheKey), 'utf-8');
+    } catch (error) {
+      return { error: 'missing' };
+    }
+
+    try {
+      const record = JSON.parse(data);
+      return record?.location ? { record } : { error: 'corrupt' };
+    } catch (error) {
+      return { error: 'corrupt' };
+    }
+  }
+
+  /**
+   * Index entry describing a location record
+   */
+  function toIndexEntry(record) {
+    return {
+      name: record.location.name,
+      latitude: record.location.latitude,
+      longitude: record.location.longitude,
+      lastUpdated: record.cachedAt,
+      totalDays: record.daily?.length || 0
+    };
+  }
+
+  /**
+   * Scan every location file and rebuild the index from what is on disk
+   * @returns {Promise<Object>} { index, corrupt: [cacheKey] }
+   */
+  async function buildIndexFromFiles() {
+    const index = createEmptyIndex();
+    const corrupt = [];
+
+    for (const cacheKey of await listKeys()) {
+      const { record, error } = await readLocationFile(cacheKey);
+      if (record) {
+        index.locations[cacheKey] = toIndexEntry(record);
+      } else if (error === 'corrupt') {
+        corrupt.push(cacheKey);
+      }
+    }
+
+    return { index, corrupt };
+  }
+
+  /**
+   * Read and parse the cache index
+   * @returns {Promise<Object|null>} Index, or null if missing or corrupt
+   */
+  async function readIndex() {
+    try {
+      return JSON.parse(await fs.readFile(indexFile, 'utf-8'));
+    } catch (error) {
+      console.error(`⚠️ Cache index unreadable (${error.message}), rebuilding from location files`);
+      return null;
+    }
+  }
+
+  /**
+   * Rebuild the index from the location files and save it (caller holds the index lock)
+   */
+  async function rebuildIndex() {
+    const { index } = await buildIndexFromFiles();
+    await saveIndex(index);
+    return index;
+  }
+
+  /**
+   * Load cache index
+   * A missing or corrupt index is rebuilt from the location files rather than emptied,
+   * under the index lock so the rebuild can't overwrite a concurrent update
+   */
+  async function loadIndex() {
+    return await readIndex() ?? runExclusive(INDEX_LOCK, async () => (
+      // Another caller may have rebuilt it while we waited for the lock
+      await readIndex() ?? rebuildIndex()
+    ));
+  }
+
+  /**
+   * Save cache index with recomputed totals
+   */
+  async function saveIndex(index) {
+    index.stats.totalCachedDays = Object.values(index.locations).reduce(
+      (sum, loc) => sum + (loc.totalDays || 0), 0
+    );
+    index.stats.lastUpdated = new Date().toISOString();
+
+    try {
+      await writeFileAtomic(indexFile, JSON.stringify(index, null, 2));
+    } catch (error) {
+      console.error('Failed to save cache index:', error);
+    }
+  }
+
+  /**
+   * Read-modify-write the index under the index lock
+   */
+  function updateIndex(mutate) {
+    return runExclusive(INDEX_LOCK, async () => {
+      const index = await readIndex() ?? await rebuildIndex();
+      mutate(index);
+      await saveIndex(index);
+    });
+  }
+
+  /**
+   * Write a location file and its index entry (caller holds the location lock)
+   */
+  async function writeRecord(cacheKey, record) {
+    // Save with pretty formatting (2 spaces indentation)
+    await writeFileAtomic(getFilePath(cacheKey), JSON.stringify(record, null, 2));
+    await updateIndex(index => {
+      index.locations[cacheKey] = toIndexEntry(record);
+    });
+  }
+
+  /**
+   * Cache keys of every location file on disk
+   */
+  async function listKeys() {
+    const files = await fs.readdir(dir);
+    return files
+      .filter(f => f.endsWith('.json') && f !== 'index.json')
+      .map(f => f.slice(0, -'.json'.length));
+  }
+
+  return {
+    name: 'file',
+
+    async init() {
+      await fs.mkdir(dir, { recursive: true });
+
+      // Create index file if it doesn't exist
+      try {
+        await fs.access(indexFile);
+      } catch {
+        await writeFileAtomic(indexFile, JSON.stringify(createEmptyIndex(), null, 2));
+      }
+    },
+
+    async get(cacheKey) {
+      const { record, error } = await readLocationFile(cacheKey);
+      if (error === 'corrupt') {
+        console.error(`⚠️ Cache file for ${cacheKey} is corrupt, treating as a miss`);
+      }
+      return record || null;
+    },
+
+    async put(cacheKey, record) {
+      await runExclusive(cacheKey, () => writeRecord(cacheKey, record));
+    },
+
+    async merge(cacheKey, record) {
+      await runExclusive(cacheKey, async () => {
+        const { record: existing } = await readLocationFile(cacheKey);
+        if (!existing) {
+          await writeRecord(cacheKey, record);
+          return;
+        }
+
+        const daily = mergeRows(existing.daily, record.daily, 'date') || [];
+        await writeRecord(cacheKey, {
+          location: { ...record.location, name: record.location.name ?? existing.location.name },
+          cachedAt: record.cachedAt,
+          metadata: {
+            totalDays: daily.length,
+            dateRange: daily.length > 0 ? { start: daily[0].date, end: daily[daily.length - 1].date } : null
+          },
+          daily,
+          hourly: mergeRows(existing.hourly, record.hourly, 'time') || [],
+          aqi: mergeRows(existing.aqi, record.aqi, 'time')
+        });
+      });
+    },
+
+    async list() {
+      const index = await loadIndex();
+      return Object.entries(index.locations).map(([cacheKey, loc]) => ({ cacheKey, ...loc }));
+    },
+
+    async delete(cacheKey) {
+      return runExclusive(cacheKey, async () => {
+        try {
+          await fs.unlink(getFilePath(cacheKey));
+        } catch (error) {
+          return false;
+        }
+
+        await updateIndex(index => {
+          delete index.locations[cacheKey];
+        });
+        return true;
+      });
+    },
+
+    async clear() {
+      return runExclusive(INDEX_LOCK, async () => {
+        const keys = await listKeys();
+        for (const cacheKey of keys) {
+          await fs.unlink(getFilePath(cacheKey));
+        }
+
+        await writeFileAtomic(indexFile, JSON.stringify(createEmptyIndex(), null, 2));
+        return keys.length;
+      });
+    },
+
+    async stats() {
+      const index = await loadIndex();
+      const keys = await listKeys();
+
+      return {
+        totalLocations: Object.keys(index.locations).length,
+        totalCachedDays: index.stats.totalCachedDays,
+        lastUpdated: index.stats.lastUpdated,
+        totalFiles: keys.length
+      };
+    },
+
+    listKeys,
+
+    /**
+     * Rebuild index.json from the location files and report problems
+     * @param {Object} options - { dryRun: report only, don't rewrite the index }
+     * @returns {Promise<Object>} Verification report
+     */
+    async verify({ dryRun = false } = {}) {
+      return runExclusive(INDEX_LOCK, async () => {
+        let previous = null;
+        try {
+          previous = JSON.parse(await fs.readFile(indexFile, 'utf-8'));
+        } catch (error) {
+          // Missing or corrupt - reported below
+        }
+
+        const { index, corrupt } = await buildIndexFromFiles();
+        const previousKeys = Object.keys(previous?.locations || {});
+        const files = await fs.readdir(dir);
+
+        const report = {
+          indexWasValid: !!previous,
+          locations: Object.keys(index.locations).length,
+          totalCachedDays: Object.values(index.locations).reduce((sum, loc) => sum + loc.totalDays, 0),
+          // Index entries whose location file is gone
+          orphanedIndexEntries: previousKeys.filter(key => !index.locations[key] && !corrupt.includes(key)),
+          // Location files the index didn't know about
+          unindexedFiles: Object.keys(index.locations).filter(key => !previous?.locations?.[key]),
+          corruptFiles: corrupt.map(key => `${key}.json`),
+          // Leftovers from writes interrupted before the rename
+          tempFiles: files.filter(f => f.endsWith('.tmp')),
+          rebuilt: !dryRun
+        };
+
+        if (!dryRun) {
+          await saveIndex(index);
+        }
+
+        return report;
+      });
+    }
+  };
+}
@@ -0,0 +1,67 @@
+/**
+ * Cache storage backends
+ *
+ * Every store implements the same async interface over location records
+ * ({ location, cachedAt, metadata, daily, hourly, aqi } with CSV-like rows):
+ *   init()             - prepare storage (directories, tables)
+ *   get(cacheKey)      - full record for a location, or null
+ *   put(cacheKey, rec) - replace a location's record
+ *   merge(cacheKey, rec) - upsert rec's rows into a location, replacing fields at matching
+ *                      timestamps and keeping every other row (metadata is recomputed)
+ *   list()             - [{ cacheKey, name, latitude, longitude, lastUpdated, totalDays }]
+ *   delete(cacheKey)   - remove a location, true if it existed
+ *   clear()            - remove every location, returns how many were removed
+ *   stats()            - { totalLocations, totalCachedDays, lastUpdated, ...store-specific }
+ *
+ * Select with CACHE_STORE=file (default) or CACHE_STORE=sqlite
+ * The forecast accuracy log uses the same interface in its own directory or database,
+ * one record per location and one daily row per forecast date
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createFileStore } from './fileStore.js';
+import { createSqliteStore } from './sqliteStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Default storage locations
+const CACHE_DIR = path.join(__dirname, '..', 'cache', 'historical');
+const SQLITE_FILE = process.env.CACHE_SQLITE_FILE
+  ? path.resolve(__dirname, '..', process.env.CACHE_SQLITE_FILE)
+  : path.join(__dirname, '..', 'cache', 'suncast-cache.db');
+const ACCURACY_DIR = path.join(__dirname, '..', 'cache', 'accuracy');
+const ACCURACY_SQLITE_FILE = path.join(__dirname, '..', 'cache', 'forecast-accuracy.db');
+
+/**
+ * Create a store by name over the given storage locations
+ */
+function createStore(type, { dir, file }) {
+  switch (type) {
+    case 'file':
+      return createFileStore({ dir });
+    case 'sqlite':
+      return createSqliteStore({ file });
+    default:
+      throw new Error(`Unknown CACHE_STORE "${type}" (expected "file" or "sqlite")`);
+  }
+}
+
+/**
+ * Create a cache store by name
+ * @param {string} type - 'file' or 'sqlite'
+ * @returns {Object} Cache store
+ */
+export function createCacheStore(type = process.env.CACHE_STORE || 'file') {
+  return createStore(type, { dir: CACHE_DIR, file: SQLITE_FILE });
+}
+
+/**
+ * Create the forecast accuracy store, of the same type as the cache store
+ * @param {string} type - 'file' or 'sqlite'
+ * @returns {Object} Store holding { location, daily: [{ date, forecasts, observed }] } records
+ */
+export function createAccuracyStore(type = process.env.CACHE_STORE || 'file') {
+  return createStore(type, { dir: ACCURACY_DIR, file: ACCURACY_SQLITE_FILE });
+}
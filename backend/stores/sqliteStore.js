@@ -0,0 +1,293 @@
+/**
+ * SQLite cache store
+ * One row per location-day and one row per location-hour (weather + AQI)
+ * instead of a multi-megabyte JSON file per location
+ * Requires the optional `better-sqlite3` dependency
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS locations (
+    cache_key TEXT PRIMARY KEY,
+    name TEXT,
+    latitude REAL,
+    longitude REAL,
+    cached_at TEXT,
+    metadata TEXT,
+    total_days INTEGER NOT NULL DEFAULT 0
+  );
+
+  CREATE TABLE IF NOT EXISTS daily (
+    cache_key TEXT NOT NULL,
+    date TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (cache_key, date)
+  ) WITHOUT ROWID;
+
+  CREATE TABLE IF NOT EXISTS hourly (
+    cache_key TEXT NOT NULL,
+    time TEXT NOT NULL,
+    weather TEXT,
+    aqi TEXT,
+    PRIMARY KEY (cache_key, time)
+  ) WITHOUT ROWID;
+`;
+
+/**
+ * Split a row into its timestamp and the JSON of the remaining fields
+ */
+function packRow(row, timeKey) {
+  const { [timeKey]: time, ...fields } = row;
+  return [time, JSON.stringify(fields)];
+}
+
+/**
+ * Merge a record's weather and AQI rows into one row per hour
+ * @returns {Map} time -> { weather, aqi } (JSON strings, null when absent)
+ */
+function packHours(record) {
+  const hours = new Map();
+  (record.hourly || []).forEach(row => {
+    const [time, weather] = packRow(row, 'time');
+    hours.set(time, { weather, aqi: null });
+  });
+  (record.aqi || []).forEach(row => {
+    const [time, aqi] = packRow(row, 'time');
+    hours.set(time, { weather: hours.get(time)?.weather ?? null, aqi });
+  });
+  return hours;
+}
+
+/**
+ * Create a SQLite-backed cache store
+ * @param {Object} options - { file: path of the database file }
+ * @returns {Object} Cache store (see stores/index.js for the interface)
+ */
+export function createSqliteStore({ file }) {
+  let db = null;
+  let statements = null;
+
+  /**
+   * Open the database lazily so better-sqlite3 is only needed when selected
+   */
+  async function open() {
+    if (db) return db;
+
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error('CACHE_STORE=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    statements = {
+      getLocation: db.prepare('SELECT * FROM locations WHERE cache_key = ?'),
+      getDaily: db.prepare('SELECT date, data FROM daily WHERE cache_key = ? ORDER BY date'),
+      getHourly: db.prepare('SELECT time, weather, aqi FROM hourly WHERE cache_key = ? ORDER BY time'),
+      upsertLocation: db.prepare(`
+        INSERT INTO locations (cache_key, name, latitude, longitude, cached_at, metadata, total_days)
+        VALUES (@cacheKey, @name, @latitude, @longitude, @cachedAt, @metadata, @totalDays)
+        ON CONFLICT(cache_key) DO UPDATE SET
+          name = COALESCE(excluded.name, locations.name), latitude = excluded.latitude, longitude = excluded.longitude,
+          cached_at = excluded.cached_at, metadata = excluded.metadata, total_days = excluded.total_days
+      `),
+      insertDaily: db.prepare('INSERT INTO daily (cache_key, date, data) VALUES (?, ?, ?)'),
+      insertHourly: db.prepare('INSERT INTO hourly (cache_key, time, weather, aqi) VALUES (?, ?, ?, ?)'),
+      // Merged rows keep the fields the incoming row doesn't carry
+      upsertDaily: db.prepare(`
+        INSERT INTO daily (cache_key, date, data) VALUES (?, ?, ?)
+        ON CONFLICT(cache_key, date) DO UPDATE SET data = json_patch(daily.data, excluded.data)
+      `),
+      upsertHourly: db.prepare(`
+        INSERT INTO hourly (cache_key, time, weather, aqi) VALUES (?, ?, ?, ?)
+        ON CONFLICT(cache_key, time) DO UPDATE SET
+          weather = COALESCE(json_patch(hourly.weather, excluded.weather), excluded.weather, hourly.weather),
+          aqi = COALESCE(json_patch(hourly.aqi, excluded.aqi), excluded.aqi, hourly.aqi)
+      `),
+      daySpan: db.prepare(`
+        SELECT COUNT(*) AS totalDays, MIN(date) AS start, MAX(date) AS end
+        FROM daily WHERE cache_key = ?
+      `),
+      updateDayTotals: db.prepare('UPDATE locations SET metadata = ?, total_days = ? WHERE cache_key = ?'),
+      listLocations: db.prepare('SELECT * FROM locations ORDER BY cache_key'),
+      deleteLocation: db.prepare('DELETE FROM locations WHERE cache_key = ?'),
+      deleteDaily: db.prepare('DELETE FROM daily WHERE cache_key = ?'),
+      deleteHourly: db.prepare('DELETE FROM hourly WHERE cache_key = ?'),
+      totals: db.prepare(`
+        SELECT COUNT(*) AS totalLocations,
+               COALESCE(SUM(total_days), 0) AS totalCachedDays,
+               MAX(cached_at) AS lastUpdated
+        FROM locations
+      `),
+      hourCount: db.prepare('SELECT COUNT(*) AS totalHours FROM hourly')
+    };
+
+    return db;
+  }
+
+  /**
+   * Insert or update the location row of a record
+   */
+  function upsertLocation(cacheKey, record) {
+    statements.upsertLocation.run({
+      cacheKey,
+      name: record.location.name ?? null,
+      latitude: record.location.latitude,
+      longitude: record.location.longitude,
+      cachedAt: record.cachedAt,
+      metadata: JSON.stringify(record.metadata ?? null),
+      totalDays: record.daily?.length || 0
+    });
+  }
+
+  return {
+    name: 'sqlite',
+
+    async init() {
+      await open();
+    },
+
+    async get(cacheKey) {
+      await open();
+      const location = statements.getLocation.get(cacheKey);
+      if (!location) return null;
+
+      const daily = statements.getDaily.all(cacheKey).map(row => ({
+        date: row.date,
+        ...JSON.parse(row.data)
+      }));
+
+      const hourly = [];
+      const aqi = [];
+      statements.getHourly.all(cacheKey).forEach(row => {
+        if (row.weather) hourly.push({ time: row.time, ...JSON.parse(row.weather) });
+        if (row.aqi) aqi.push({ time: row.time, ...JSON.parse(row.aqi) });
+      });
+
+      return {
+        location: {
+          name: location.name,
+          latitude: location.latitude,
+          longitude: location.longitude,
+          cacheKey
+        },
+        cachedAt: location.cached_at,
+        metadata: location.metadata ? JSON.parse(location.metadata) : null,
+        daily,
+        hourly,
+        aqi: aqi.length > 0 ? aqi : null
+      };
+    },
+
+    async put(cacheKey, record) {
+      await open();
+      const hours = packHours(record);
+
+      const write = db.transaction(() => {
+        // The record is the full location state - drop rows it no longer contains
+        statements.deleteDaily.run(cacheKey);
+        statements.deleteHourly.run(cacheKey);
+
+        upsertLocation(cacheKey, record);
+
+        (record.daily || []).forEach(row => {
+          statements.insertDaily.run(cacheKey, ...packRow(row, 'date'));
+        });
+
+        hours.forEach(({ weather, aqi }, time) => {
+          statements.insertHourly.run(cacheKey, time, weather, aqi);
+        });
+      });
+
+      write();
+    },
+
+    async merge(cacheKey, record) {
+      await open();
+      const hours = packHours(record);
+
+      // Only the incoming rows are written - the rest of the location is left alone
+      const write = db.transaction(() => {
+        upsertLocation(cacheKey, record);
+
+        (record.daily || []).forEach(row => {
+          statements.upsertDaily.run(cacheKey, ...packRow(row, 'date'));
+        });
+
+        hours.forEach(({ weather, aqi }, time) => {
+          statements.upsertHourly.run(cacheKey, time, weather, aqi);
+        });
+
+        const { totalDays, start, end } = statements.daySpan.get(cacheKey);
+        const metadata = { totalDays, dateRange: totalDays > 0 ? { start, end } : null };
+        statements.updateDayTotals.run(JSON.stringify(metadata), totalDays, cacheKey);
+      });
+
+      write();
+    },
+
+    async list() {
+      await open();
+      return statements.listLocations.all().map(row => ({
+        cacheKey: row.cache_key,
+        name: row.name,
+        latitude: row.latitude,
+        longitude: row.longitude,
+        lastUpdated: row.cached_at,
+        totalDays: row.total_days
+      }));
+    },
+
+    async delete(cacheKey) {
+      await open();
+      const remove = db.transaction(() => {
+        statements.deleteDaily.run(cacheKey);
+        statements.deleteHourly.run(cacheKey);
+        return statements.deleteLocation.run(cacheKey).changes;
+      });
+      return remove() > 0;
+    },
+
+    async clear() {
+      await open();
+      const { totalLocations } = statements.totals.get();
+      db.exec('DELETE FROM daily; DELETE FROM hourly; DELETE FROM locations;');
+      return totalLocations;
+    },
+
+    async stats() {
+      await open();
+      const totals = statements.totals.get();
+      const { totalHours } = statements.hourCount.get();
+      let databaseSizeBytes = null;
+      try {
+        databaseSizeBytes = (await fs.stat(file)).size;
+      } catch {
+        // Database not flushed to disk yet
+      }
+
+      return {
+        totalLocations: totals.totalLocations,
+        totalCachedDays: totals.totalCachedDays,
+        lastUpdated: totals.lastUpdated,
+        totalHours,
+        databaseFile: file,
+        databaseSizeBytes
+      };
+    },
+
+    async close() {
+      if (db) {
+        db.close();
+        db = null;
+      }
+    }
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Server-side sunset scoring
+ * Runs the same scoring modules as the web app (src/services) over proxied forecast
+ * and cached historical data, so other clients get identical scores without
+ * reimplementing the algorithm
+ */
+
+import { processDayData } from '../src/services/forecastDataProcessor.js';
+import {
+  processHistoricalSunsetData,
+  getTopSunsets,
+  getScoreStatistics
+} from '../src/services/dataProcessingService.js';
+import { sliceCachedData } from './cacheManager.js';
+import { fillHistoricalCache } from './historicalFetcher.js';
+import { getForecast } from './forecastProxy.js';
+import { getEnsembleMembers } from '../src/services/ensembleService.js';
+
+/**
+ * Score the 7-day forecast for a location (with ensemble confidence when members are available)
+ * @param {Object} options - { scoringModel: 'buckets' | 'curves', scoringProfile: profile id,
+ *   weatherWindow: 'event' | 'goldenHour' }
+ * @returns {Promise<Object>} { days, metadata }
+ */
+async function getScoredForecast(latitude, longitude, { scoringModel, scoringProfile, weatherWindow } = {}) {
+  const { forecast, aqi, horizon, ensemble, metadata } = await getForecast(latitude, longitude);
+  const ensembleMembers = getEnsembleMembers(ensemble, forecast.hourly);
+
+  const days = (forecast.daily?.time || []).map((date, dayIndex) =>
+    processDayData(forecast, dayIndex, forecast.hourly, aqi, {
+      scoringModel,
+      scoringProfile,
+      weatherWindow,
+      horizonData: horizon,
+      ensembleMembers
+    })
+  );
+
+  return { days, metadata };
+}
+
+/**
+ * Score cached historical days for a location, filling the cache as needed
+ * @param {Object} location - { name, latitude, longitude }
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {number} topCount - How many best sunsets to rank
+ * @param {Object} options - { scoringModel: 'buckets' | 'curves', scoringProfile: profile id,
+ *   weatherWindow: 'event' | 'goldenHour', event: 'sunset' | 'sunrise' to rank and summarise by (default sunset),
+ *   serveStale: score the cached days when Open-Meteo is failing instead of throwing (default true) }
+ * @returns {Promise<Object>} { days, top, statistics, metadata }
+ */
+async function getScoredHistorical(location, startDate, endDate, topCount = 10, { scoringModel, scoringProfile, weatherWindow, event, serveStale = true } = {}) {
+  const { latitude, longitude, name } = location;
+  const { data, newDaysFetched, servedStale } = await fillHistoricalCache(
+    latitude, longitude, name, startDate, endDate, { serveStale }
+  );
+
+  const { daily, hourly, aqi } = sliceCachedData(data, startDate, endDate);
+  const days = daily?.time?.length
+    ? processHistoricalSunsetData(
+      { daily, hourly },
+      aqi ? { hourly: aqi } : null,
+      location,
+      parseInt(startDate.slice(0, 4), 10),
+      { scoringModel, scoringProfile, weatherWindow }
+    )
+    : [];
+
+  return {
+    days,
+    top: getTopSunsets(days, topCount, { event }),
+    statistics: days.length > 0 ? getScoreStatistics(days, { event }) : null,
+    metadata: {
+      fromCache: newDaysFetched === 0,
+      newDaysFetched,
+      servedStale,
+      dateRange: days.length > 0 ? { start: days[0].date, end: days[days.length - 1].date } : null
+    }
+  };
+}
+
+export {
+  getScoredForecast,
+  getScoredHistorical
+};
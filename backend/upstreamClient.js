@@ -0,0 +1,310 @@
+/**
+ * Shared Open-Meteo client for the backend
+ * Every upstream request goes through one token-bucket rate limiter, is retried
+ * with exponential backoff (honoring Retry-After), and trips a circuit breaker
+ * after repeated failures so callers can fall back to cached data. Optional requests
+ * (horizon samples, ensemble members) trip a breaker of their own
+ */
+
+/**
+ * Non-negative integer from the environment - unlike `parseInt(...) || fallback`, 0 is kept
+ */
+function readCountEnv(name, fallback) {
+  const parsed = parseInt(process.env[name], 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+// Upstream configuration - defaults match the Open-Meteo free tier (600 calls/minute)
+const UPSTREAM_CONFIG = {
+  requestsPerMinute: parseFloat(process.env.UPSTREAM_REQUESTS_PER_MINUTE) || 600,
+  burst: parseInt(process.env.UPSTREAM_BURST, 10) || 10,
+  maxRetries: readCountEnv('UPSTREAM_MAX_RETRIES', 3), // 0 disables retries
+  retryBaseDelayMs: readCountEnv('UPSTREAM_RETRY_DELAY_MS', 1000),
+  maxRetryDelayMs: parseInt(process.env.UPSTREAM_MAX_RETRY_DELAY_MS, 10) || 30000,
+  timeoutMs: parseInt(process.env.UPSTREAM_TIMEOUT_MS, 10) || 20000,
+  breakerThreshold: parseInt(process.env.UPSTREAM_BREAKER_THRESHOLD, 10) || 5,
+  breakerCooldownMs: parseInt(process.env.UPSTREAM_BREAKER_COOLDOWN_MS, 10) || 60000
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a token bucket
+ * @param {Object} options - { capacity: max burst, refillPerSecond: sustained rate }
+ * @returns {Object} { take(), available() }
+ */
+function createTokenBucket({ capacity, refillPerSecond }) {
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  // Waiters are served in order so a burst can't starve earlier callers
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * refillPerSecond);
+    lastRefill = now;
+  }
+
+  function take() {
+    const turn = queue.then(async () => {
+      refill();
+      while (tokens < 1) {
+        await sleep(Math.ceil(((1 - tokens) / refillPerSecond) * 1000));
+        refill();
+      }
+      tokens -= 1;
+    });
+    queue = turn;
+    return turn;
+  }
+
+  function available() {
+    refill();
+    return Math.floor(tokens);
+  }
+
+  return { take, available };
+}
+
+/**
+ * Create a circuit breaker
+ * closed: requests flow; open: requests fail fast until the cooldown passes;
+ * half-open: one trial request decides whether to close or re-open
+ * @param {Object} options - { threshold: consecutive failures to open, cooldownMs, name: for logs }
+ */
+function createCircuitBreaker({ threshold, cooldownMs, name = 'Upstream' }) {
+  const breaker = {
+    state: 'closed',
+    consecutiveFailures: 0,
+    openedAt: null,
+    lastError: null,
+    lastFailureAt: null,
+    trialInFlight: false
+  };
+
+  /**
+   * Whether a request may go upstream now
+   */
+  function allowRequest() {
+    if (breaker.state === 'open' && Date.now() - breaker.openedAt >= cooldownMs) {
+      breaker.state = 'half-open';
+    }
+    if (breaker.state === 'half-open' && !breaker.trialInFlight) {
+      breaker.trialInFlight = true;
+      return true;
+    }
+    return breaker.state === 'closed';
+  }
+
+  function recordSuccess() {
+    if (breaker.state !== 'closed') {
+      console.log(`🔌 ${name} recovered, circuit breaker closed`);
+    }
+    breaker.state = 'closed';
+    breaker.consecutiveFailures = 0;
+    breaker.openedAt = null;
+    breaker.trialInFlight = false;
+  }
+
+  function recordFailure(error) {
+    breaker.consecutiveFailures++;
+    breaker.lastError = error.message;
+    breaker.lastFailureAt = new Date().toISOString();
+    breaker.trialInFlight = false;
+
+    if (breaker.state === 'half-open' || breaker.consecutiveFailures >= threshold) {
+      if (breaker.state !== 'open') {
+        console.error(`🔌 ${name} circuit breaker opened after ${breaker.consecutiveFailures} failures: ${error.message}`);
+      }
+      breaker.state = 'open';
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Milliseconds until an open breaker lets a trial request through
+   */
+  function retryAfterMs() {
+    return breaker.state === 'open'
+      ? Math.max(0, cooldownMs - (Date.now() - breaker.openedAt))
+      : 0;
+  }
+
+  function status() {
+    return {
+      state: breaker.state,
+      consecutiveFailures: breaker.consecutiveFailures,
+      openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+      retryAfterSeconds: Math.ceil(retryAfterMs() / 1000),
+      lastError: breaker.lastError,
+      lastFailureAt: breaker.lastFailureAt
+    };
+  }
+
+  return { allowRequest, recordSuccess, recordFailure, retryAfterMs, status };
+}
+
+const limiter = createTokenBucket({
+  capacity: UPSTREAM_CONFIG.burst,
+  refillPerSecond: UPSTREAM_CONFIG.requestsPerMinute / 60
+});
+
+const sharedBreaker = createCircuitBreaker({
+  threshold: UPSTREAM_CONFIG.breakerThreshold,
+  cooldownMs: UPSTREAM_CONFIG.breakerCooldownMs
+});
+
+// Optional data failing must not cut off the forecast and historical requests
+const optionalBreaker = createCircuitBreaker({
+  threshold: UPSTREAM_CONFIG.breakerThreshold,
+  cooldownMs: UPSTREAM_CONFIG.breakerCooldownMs,
+  name: 'Optional upstream'
+});
+
+const upstreamCounts = {
+  requests: 0,
+  retries: 0,
+  rateLimited: 0,
+  failures: 0,
+  rejectedByBreaker: 0
+};
+
+/**
+ * Build an upstream error
+ * `upstream` marks failures of Open-Meteo itself (network, 429, 5xx, breaker open)
+ * as opposed to a bad request we sent
+ */
+function createUpstreamError(message, { status = null, retryAfterMs = null, upstream = true } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryAfterMs = retryAfterMs;
+  error.upstream = upstream;
+  return error;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Backoff before the next attempt - the server's Retry-After wins when given
+ */
+function getRetryDelay(attempt, retryAfterMs) {
+  const backoff = UPSTREAM_CONFIG.retryBaseDelayMs * 2 ** (attempt - 1);
+  const jitter = Math.random() * UPSTREAM_CONFIG.retryBaseDelayMs;
+  return Math.min(retryAfterMs ?? backoff + jitter, UPSTREAM_CONFIG.maxRetryDelayMs);
+}
+
+/**
+ * Single rate-limited request
+ * @returns {Promise<Object>} Parsed JSON body
+ */
+async function attemptFetch(url) {
+  await limiter.take();
+  upstreamCounts.requests++;
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json'
+      },
+      signal: AbortSignal.timeout(UPSTREAM_CONFIG.timeoutMs)
+    });
+  } catch (error) {
+    throw createUpstreamError(`Upstream request failed: ${error.message}`);
+  }
+
+  if (response.ok) {
+    return await response.json();
+  }
+
+  const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+  if (response.status === 429) {
+    upstreamCounts.rateLimited++;
+    throw createUpstreamError('Open-Meteo rate limit exceeded (429)', { status: 429, retryAfterMs });
+  }
+
+  // 4xx other than 429 means the request itself is wrong - retrying won't help
+  throw createUpstreamError(`Open-Meteo API error: ${response.status}`, {
+    status: response.status,
+    retryAfterMs,
+    upstream: response.status >= 500
+  });
+}
+
+/**
+ * GET a JSON document from Open-Meteo through the limiter, retries and breaker
+ * @param {string} url - Full request URL
+ * @param {Object} options - { optional: the caller can do without the response - counted on its own breaker }
+ * @returns {Promise<Object>} Parsed JSON body
+ * @throws {Error} With `status`, `upstream` and `retryAfterMs` set
+ */
+async function fetchUpstreamJson(url, { optional = false } = {}) {
+  const breaker = optional ? optionalBreaker : sharedBreaker;
+  if (!breaker.allowRequest()) {
+    upstreamCounts.rejectedByBreaker++;
+    throw createUpstreamError('Open-Meteo is unavailable (circuit breaker open)', {
+      status: 503,
+      retryAfterMs: breaker.retryAfterMs()
+    });
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const data = await attemptFetch(url);
+      breaker.recordSuccess();
+      return data;
+    } catch (error) {
+      if (!error.upstream) {
+        // Our own request was rejected - the upstream itself is healthy
+        breaker.recordSuccess();
+        throw error;
+      }
+
+      if (attempt > UPSTREAM_CONFIG.maxRetries) {
+        upstreamCounts.failures++;
+        breaker.recordFailure(error);
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, error.retryAfterMs);
+      upstreamCounts.retries++;
+      console.warn(`⚠️ ${error.message}, retrying in ${Math.round(delay)}ms (attempt ${attempt}/${UPSTREAM_CONFIG.maxRetries})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Breaker, limiter and request counters for /api/health
+ */
+function getUpstreamStatus() {
+  return {
+    breaker: sharedBreaker.status(),
+    optionalBreaker: optionalBreaker.status(),
+    rateLimit: {
+      requestsPerMinute: UPSTREAM_CONFIG.requestsPerMinute,
+      burst: UPSTREAM_CONFIG.burst,
+      tokensAvailable: limiter.available()
+    },
+    counts: { ...upstreamCounts }
+  };
+}
+
+export {
+  readCountEnv,
+  fetchUpstreamJson,
+  getUpstreamStatus,
+  UPSTREAM_CONFIG
+};
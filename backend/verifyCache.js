@@ -0,0 +1,44 @@
+/**
+ * Verify the JSON file cache and rebuild index.json from the location files
+ *
+ * Usage:
+ *   node verifyCache.js            # npm run cache:verify
+ *   node verifyCache.js --dry-run  # report only, leave index.json untouched
+ */
+
+import 'dotenv/config';
+import { createCacheStore } from './stores/index.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function verify() {
+  const store = createCacheStore('file');
+  await store.init();
+
+  const report = await store.verify({ dryRun });
+
+  console.log(`🔎 Cache verification${dryRun ? ' (dry run)' : ''}`);
+  console.log(`   Index file: ${report.indexWasValid ? 'valid' : 'missing or corrupt'}`);
+  console.log(`   Locations: ${report.locations} (${report.totalCachedDays} days)`);
+
+  const printList = (label, items) => {
+    console.log(`   ${items.length === 0 ? '✅' : '⚠️ '} ${label}: ${items.length}`);
+    items.forEach(item => console.log(`      - ${item}`));
+  };
+
+  printList('Orphaned index entries (no file)', report.orphanedIndexEntries);
+  printList('Unindexed location files', report.unindexedFiles);
+  printList('Corrupt location files', report.corruptFiles);
+  printList('Leftover temp files', report.tempFiles);
+
+  console.log(report.rebuilt ? '\n✅ index.json rebuilt from location files' : '\nℹ️  index.json not modified');
+
+  return report.corruptFiles.length;
+}
+
+verify()
+  .then(corrupt => process.exit(corrupt > 0 ? 1 : 0))
+  .catch(error => {
+    console.error('❌ Verification failed:', error.message);
+    process.exit(1);
+  });
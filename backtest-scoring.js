@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+
+/**
+ * Scoring Backtest
+ * Replays human-rated sunsets through the scoring pipeline using cached historical
+ * weather and reports how well two scoring versions agree with the ratings
+ *
+ * Ratings file - JSON array or CSV with a header row:
+ *   [{ "date": "2025-06-14", "lat": 37.98, "lon": 23.73, "rating": 4, "event": "sunset" }]
+ *   date,lat,lon,rating,event
+ *   2025-06-14,37.98,23.73,4,sunset
+ * rating is 1-5 (Poor, Fair, Good, Excellent, Spectacular); event is optional (default sunset)
+ *
+ * A scoring version is model:profile - model is buckets or curves, profile is an id from
+ * src/config/scoringProfiles.json. To try new bucket tables, add a profile that extends the
+ * current one and backtest it against the original.
+ *
+ * Usage:
+ *   node backtest-scoring.js ratings.json                                   # buckets:classic vs curves:classic
+ *   node backtest-scoring.js ratings.csv buckets:classic buckets:candidate  # two profiles
+ *   node backtest-scoring.js ratings.csv --fetch                            # fill missing weather from the archive
+ */
+
+import fs from 'fs/promises';
+import { initializeCache, getCachedData, getCacheKey, sliceCachedData } from './backend/cacheManager.js';
+import { fillHistoricalCache } from './backend/historicalFetcher.js';
+import { processHistoricalSunsetData } from './src/services/dataProcessingService.js';
+import { SCORING_MODELS, getConditionsLabel } from './src/services/scoringUtils.js';
+import { isScoringProfile, DEFAULT_SCORING_PROFILE } from './src/services/scoringProfiles.js';
+import { getSolarEventView } from './src/utils/solarEvents.js';
+import { SOLAR_EVENTS } from './src/constants/app.js';
+import { colors, LABELS, section, mean, spearman } from './script-helpers.js';
+
+const percent = (count, total) => `${((count / total) * 100).toFixed(0)}%`;
+
+/**
+ * Parse a model:profile version spec
+ */
+function parseVersion(spec) {
+  const [model, profile = DEFAULT_SCORING_PROFILE] = spec.split(':');
+  if (!Object.values(SCORING_MODELS).includes(model)) {
+    throw new Error(`Unknown scoring model "${model}" in ${spec} (use ${Object.values(SCORING_MODELS).join(' or ')})`);
+  }
+  if (!isScoringProfile(profile)) {
+    throw new Error(`Unknown scoring profile "${profile}" in ${spec}`);
+  }
+  return { spec: `${model}:${profile}`, model, profile };
+}
+
+/**
+ * Parse CSV with a header row (no quoted fields - ratings files are plain numbers and dates)
+ */
+function parseCsv(text) {
+  const [header, ...lines] = text.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+  const columns = header.split(',').map(column => column.trim().toLowerCase());
+
+  return lines.map(line => {
+    const values = line.split(',').map(value => value.trim());
+    return Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+  });
+}
+
+/**
+ * Load and validate the ratings file
+ * @returns {Promise<Object>} { ratings: [{ date, latitude, longitude, rating, event }], skipped }
+ */
+async function loadRatings(filePath) {
+  const text = await fs.readFile(filePath, 'utf-8');
+  const rows = filePath.toLowerCase().endsWith('.csv') ? parseCsv(text) : JSON.parse(text);
+
+  const ratings = [];
+  let skipped = 0;
+
+  rows.forEach(row => {
+    const rating = {
+      date: row.date,
+      latitude: parseFloat(row.lat ?? row.latitude),
+      longitude: parseFloat(row.lon ?? row.longitude),
+      rating: Number(row.rating),
+      event: row.event || SOLAR_EVENTS.SUNSET
+    };
+
+    const isValid = /^\d{4}-\d{2}-\d{2}$/.test(rating.date) &&
+      Number.isFinite(rating.latitude) && Number.isFinite(rating.longitude) &&
+      Number.isInteger(rating.rating) && rating.rating >= 1 && rating.rating <= 5 &&
+      Object.values(SOLAR_EVENTS).includes(rating.event);
+
+    if (isValid) {
+      ratings.push(rating);
+    } else {
+      skipped++;
+    }
+  });
+
+  return { ratings, skipped };
+}
+
+/**
+ * Score every rated day with each version, one cached location at a time
+ * @returns {Promise<Array>} [{ ...rating, scores: { [spec]: score } }] for days with weather data
+ */
+async function scoreRatings(ratings, versions, { fetchMissing }) {
+  const byLocation = new Map();
+  ratings.forEach(rating => {
+    const cacheKey = getCacheKey(rating.latitude, rating.longitude);
+    if (!byLocation.has(cacheKey)) byLocation.set(cacheKey, []);
+    byLocation.get(cacheKey).push(rating);
+  });
+
+  const scored = [];
+
+  for (const [cacheKey, locationRatings] of byLocation) {
+    const dates = locationRatings.map(rating => rating.date).sort();
+    const [startDate, endDate] = [dates[0], dates[dates.length - 1]];
+    const { latitude, longitude } = locationRatings[0];
+
+    const data = fetchMissing
+      ? (await fillHistoricalCache(latitude, longitude, cacheKey, startDate, endDate)).data
+      : await getCachedData(latitude, longitude);
+    if (!data) {
+      console.log(`${colors.yellow}No cached weather for ${cacheKey} - skipping ${locationRatings.length} ratings (try --fetch)${colors.reset}`);
+      continue;
+    }
+
+    const { daily, hourly, aqi } = sliceCachedData(data, startDate, endDate);
+    if (!daily?.time?.length) {
+      console.log(`${colors.yellow}No cached days for ${cacheKey} between ${startDate} and ${endDate}${colors.reset}`);
+      continue;
+    }
+
+    const location = { ...data.location, latitude, longitude };
+    const weatherData = { daily, hourly };
+    const aqiData = aqi ? { hourly: aqi } : null;
+    const year = parseInt(startDate.slice(0, 4), 10);
+
+    const daysBySpec = Object.fromEntries(versions.map(version => {
+      const days = processHistoricalSunsetData(weatherData, aqiData, location, year, {
+        scoringModel: version.model,
+        scoringProfile: version.profile
+      });
+      return [version.spec, new Map(days.map(day => [day.date, day]))];
+    }));
+
+    locationRatings.forEach(rating => {
+      const scores = {};
+      for (const version of versions) {
+        const day = daysBySpec[version.spec].get(rating.date);
+        if (!day) return;
+        scores[version.spec] = getSolarEventView(day, rating.event).score;
+      }
+      scored.push({ ...rating, cacheKey, scores });
+    });
+  }
+
+  return scored;
+}
+
+/**
+ * Agreement metrics of one version with the ratings
+ */
+function evaluate(days, spec) {
+  const scores = days.map(day => day.scores[spec]);
+  const predicted = scores.map(score => LABELS.indexOf(getConditionsLabel(score)));
+  const confusion = LABELS.map(() => LABELS.map(() => 0));
+
+  days.forEach((day, i) => {
+    confusion[day.rating - 1][predicted[i]]++;
+  });
+
+  return {
+    spec,
+    correlation: spearman(days.map(day => day.rating), scores),
+    exact: days.filter((day, i) => predicted[i] === day.rating - 1).length,
+    withinOne: days.filter((day, i) => Math.abs(predicted[i] - (day.rating - 1)) <= 1).length,
+    meanScoreByRating: LABELS.map((_, i) => {
+      const rated = days.filter(day => day.rating === i + 1).map(day => day.scores[spec]);
+      return rated.length ? mean(rated) : null;
+    }),
+    confusion
+  };
+}
+
+/**
+ * Print a rating × predicted-label confusion table
+ */
+function printConfusion(result) {
+  console.log(`\n${colors.bright}${result.spec} - rated (rows) vs scored label (columns)${colors.reset}`);
+  console.log(`  ${''.padEnd(13)}${LABELS.map(label => label.slice(0, 6).padStart(8)).join('')}`);
+  result.confusion.forEach((row, i) => {
+    const cells = row.map((count, j) => {
+      const text = String(count).padStart(8);
+      return count > 0 && i === j ? `${colors.green}${text}${colors.reset}` : text;
+    });
+    console.log(`  ${`${i + 1} ${LABELS[i]}`.padEnd(13)}${cells.join('')}`);
+  });
+}
+
+/**
+ * Print both versions side by side, plus the days where they disagree most
+ */
+function report(days, [a, b]) {
+  section(`Backtest: ${a.spec} vs ${b.spec} (${days.length} rated days)`);
+
+  const formatCorrelation = (value) => (value === null ? 'n/a' : value.toFixed(3));
+  const better = (valueA, valueB) => (valueA > valueB ? colors.green : colors.reset);
+  const width = Math.max(20, a.spec.length, b.spec.length) + 2;
+  const column = (text) => String(text).padStart(width);
+
+  console.log(`${''.padEnd(24)}${column(a.spec)}${column(b.spec)}`);
+  console.log(`${'Spearman correlation'.padEnd(24)}${better(a.correlation, b.correlation)}${column(formatCorrelation(a.correlation))}${colors.reset}${better(b.correlation, a.correlation)}${column(formatCorrelation(b.correlation))}${colors.reset}`);
+  console.log(`${'Label matches rating'.padEnd(24)}${better(a.exact, b.exact)}${column(percent(a.exact, days.length))}${colors.reset}${better(b.exact, a.exact)}${column(percent(b.exact, days.length))}${colors.reset}`);
+  console.log(`${'Within one label'.padEnd(24)}${better(a.withinOne, b.withinOne)}${column(percent(a.withinOne, days.length))}${colors.reset}${better(b.withinOne, a.withinOne)}${column(percent(b.withinOne, days.length))}${colors.reset}`);
+
+  console.log(`\n${colors.bright}Mean score by rating${colors.reset}`);
+  LABELS.forEach((label, i) => {
+    const count = days.filter(day => day.rating === i + 1).length;
+    const format = (value) => (value === null ? '-' : value.toFixed(1));
+    console.log(`  ${`${i + 1} ${label}`.padEnd(14)}${`(${count})`.padStart(6)}${column(format(a.meanScoreByRating[i]))}${column(format(b.meanScoreByRating[i]))}`);
+  });
+
+  printConfusion(a);
+  printConfusion(b);
+
+  const disagreements = days
+    .map(day => ({ ...day, shift: day.scores[b.spec] - day.scores[a.spec] }))
+    .filter(day => day.shift !== 0)
+    .sort((x, y) => Math.abs(y.shift) - Math.abs(x.shift))
+    .slice(0, 10);
+
+  console.log(`\n${colors.bright}Biggest score differences${colors.reset}`);
+  if (disagreements.length === 0) {
+    console.log('  Both versions score every rated day the same');
+  }
+  disagreements.forEach(day => {
+    console.log(`  ${day.date} ${day.cacheKey.padEnd(14)} ${day.event.padEnd(8)} rated ${day.rating}  ${String(day.scores[a.spec]).padStart(3)} → ${String(day.scores[b.spec]).padStart(3)}`);
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const fetchMissing = args.includes('--fetch');
+  const [ratingsFile, specA = `${SCORING_MODELS.BUCKETS}:${DEFAULT_SCORING_PROFILE}`, specB = `${SCORING_MODELS.CURVES}:${DEFAULT_SCORING_PROFILE}`] =
+    args.filter(arg => !arg.startsWith('--'));
+
+  if (!ratingsFile) {
+    console.log('Usage: node backtest-scoring.js <ratings.json|ratings.csv> [model:profile] [model:profile] [--fetch]');
+    process.exit(1);
+  }
+
+  const versions = [parseVersion(specA), parseVersion(specB)];
+  const { ratings, skipped } = await loadRatings(ratingsFile);
+  if (skipped > 0) {
+    console.log(`${colors.yellow}Skipped ${skipped} invalid rows (need date, lat, lon, rating 1-5)${colors.reset}`);
+  }
+
+  await initializeCache();
+  const days = await scoreRatings(ratings, versions, { fetchMissing });
+
+  if (days.length < 2) {
+    console.log(`${colors.red}Need at least 2 rated days with weather data (found ${days.length})${colors.reset}`);
+    process.exit(1);
+  }
+
+  report(days, versions.map(version => evaluate(days, version.spec)));
+}
+
+main().catch(error => {
+  console.error(`${colors.red}❌ Backtest failed: ${error.message}${colors.reset}`);
+  process.exit(1);
+});
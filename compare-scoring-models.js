@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * Scoring Model Comparison
+ * Re-scores a year of cached historical data with the legacy bucket model and
+ * the interpolated curve model, and reports how the scores shift
+ *
+ * Usage:
+ *   node compare-scoring-models.js                      # every cached location, last 365 days
+ *   node compare-scoring-models.js 37.98 23.73          # one cached location
+ *   node compare-scoring-models.js 37.98 23.73 2025     # one calendar year
+ */
+
+import { initializeCache, getCacheStats, getCachedData, sliceCachedData } from './backend/cacheManager.js';
+import { getRollingWindow } from './backend/historicalRange.js';
+import { processHistoricalSunsetData, getTopSunsets } from './src/services/dataProcessingService.js';
+import { SCORING_MODELS, getConditionsLabel } from './src/services/scoringUtils.js';
+import { colors, LABELS, section, mean } from './script-helpers.js';
+
+const SHIFT_BINS = [-Infinity, -15, -10, -5, -2, 2, 5, 10, 15, Infinity];
+
+const signed = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+
+/**
+ * Score the same days with both models
+ */
+function scoreWithBothModels(data, location, startDate, endDate) {
+  const { daily, hourly, aqi } = sliceCachedData(data, startDate, endDate);
+  if (!daily?.time?.length) return [];
+
+  const weatherData = { daily, hourly };
+  const aqiData = aqi ? { hourly: aqi } : null;
+  const year = parseInt(startDate.slice(0, 4), 10);
+
+  const legacy = processHistoricalSunsetData(weatherData, aqiData, location, year, { scoringModel: SCORING_MODELS.BUCKETS });
+  const curves = processHistoricalSunsetData(weatherData, aqiData, location, year, { scoringModel: SCORING_MODELS.CURVES });
+
+  return legacy.map((day, i) => ({
+    date: day.date,
+    legacy: day.sunset_score,
+    curves: curves[i].sunset_score,
+    shift: curves[i].sunset_score - day.sunset_score,
+    legacyDay: day,
+    curvesDay: curves[i]
+  }));
+}
+
+/**
+ * Print the comparison report for one location
+ */
+function report(location, startDate, endDate, days) {
+  section(`${location.name} (${startDate} to ${endDate})`);
+
+  if (days.length === 0) {
+    console.log(`${colors.yellow}No cached days in this range${colors.reset}`);
+    return;
+  }
+
+  const shifts = days.map(d => d.shift);
+  console.log(`Days compared:        ${days.length}`);
+  console.log(`Mean score:           buckets ${mean(days.map(d => d.legacy)).toFixed(1)}  →  curves ${mean(days.map(d => d.curves)).toFixed(1)}`);
+  console.log(`Mean shift:           ${signed(mean(shifts))}`);
+  console.log(`Mean absolute shift:  ${mean(shifts.map(Math.abs)).toFixed(1)}`);
+  console.log(`Unchanged scores:     ${days.filter(d => d.shift === 0).length}`);
+
+  const sortedByShift = [...days].sort((a, b) => a.shift - b.shift);
+  const biggestDrop = sortedByShift[0];
+  const biggestGain = sortedByShift[sortedByShift.length - 1];
+  console.log(`Biggest gain:         ${biggestGain.date} ${biggestGain.legacy} → ${biggestGain.curves} (${signed(biggestGain.shift)})`);
+  console.log(`Biggest drop:         ${biggestDrop.date} ${biggestDrop.legacy} → ${biggestDrop.curves} (${signed(biggestDrop.shift)})`);
+
+  // Distribution of shifts
+  console.log(`\n${colors.bright}Shift distribution${colors.reset}`);
+  for (let i = 0; i < SHIFT_BINS.length - 1; i++) {
+    const [low, high] = [SHIFT_BINS[i], SHIFT_BINS[i + 1]];
+    const count = shifts.filter(s => s >= low && s < high).length;
+    const label = `${low === -Infinity ? '< ' + high : high === Infinity ? '≥ ' + low : `${low} to ${high}`}`.padEnd(10);
+    const color = high <= -2 ? colors.red : low >= 2 ? colors.green : colors.reset;
+    console.log(`  ${label} ${color}${'█'.repeat(Math.ceil((count / days.length) * 50))}${colors.reset} ${count}`);
+  }
+
+  // Label transitions
+  const transitions = {};
+  days.forEach(d => {
+    const from = getConditionsLabel(d.legacy);
+    const to = getConditionsLabel(d.curves);
+    if (from !== to) {
+      const key = `${from} → ${to}`;
+      transitions[key] = (transitions[key] || 0) + 1;
+    }
+  });
+  const changed = Object.values(transitions).reduce((sum, n) => sum + n, 0);
+  console.log(`\n${colors.bright}Label changes: ${changed} of ${days.length} days${colors.reset}`);
+  Object.entries(transitions)
+    .sort((a, b) => LABELS.indexOf(a[0].split(' → ')[0]) - LABELS.indexOf(b[0].split(' → ')[0]) || b[1] - a[1])
+    .forEach(([transition, count]) => console.log(`  ${transition.padEnd(28)} ${count}`));
+
+  // Month-by-month mean shift
+  console.log(`\n${colors.bright}Mean shift by month${colors.reset}`);
+  const byMonth = {};
+  days.forEach(d => {
+    const month = d.date.slice(0, 7);
+    (byMonth[month] = byMonth[month] || []).push(d.shift);
+  });
+  Object.entries(byMonth).forEach(([month, monthShifts]) => {
+    console.log(`  ${month}  ${signed(mean(monthShifts)).padStart(6)}  (${monthShifts.length} days)`);
+  });
+
+  // Does the top 10 change?
+  const legacyTop = getTopSunsets(days.map(d => d.legacyDay)).map(d => d.date);
+  const curvesTop = getTopSunsets(days.map(d => d.curvesDay)).map(d => d.date);
+  const overlap = legacyTop.filter(date => curvesTop.includes(date)).length;
+  console.log(`\n${colors.bright}Top 10 overlap: ${overlap}/10${colors.reset}`);
+  console.log(`  buckets: ${legacyTop.join(', ')}`);
+  console.log(`  curves:  ${curvesTop.join(', ')}`);
+}
+
+async function main() {
+  const [latArg, lonArg, yearArg] = process.argv.slice(2);
+
+  const { startDate, endDate } = yearArg
+    ? { startDate: `${yearArg}-01-01`, endDate: `${yearArg}-12-31` }
+    : getRollingWindow(365);
+
+  await initializeCache();
+
+  let locations;
+  if (latArg && lonArg) {
+    locations = [{ latitude: parseFloat(latArg), longitude: parseFloat(lonArg) }];
+  } else {
+    const stats = await getCacheStats();
+    locations = (stats?.locations || []).map(loc => {
+      const [latitude, longitude] = loc.cacheKey.split('_').map(Number);
+      return { latitude, longitude };
+    });
+  }
+
+  if (locations.length === 0) {
+    console.log(`${colors.yellow}No cached locations - load a location in the app or run npm run cache:prewarm in backend/ first${colors.reset}`);
+    return;
+  }
+
+  for (const { latitude, longitude } of locations) {
+    const data = await getCachedData(latitude, longitude);
+    if (!data) {
+      console.log(`${colors.red}No cached data for ${latitude}, ${longitude}${colors.reset}`);
+      continue;
+    }
+
+    const location = { ...data.location, latitude, longitude };
+    report(location, startDate, endDate, scoreWithBothModels(data, location, startDate, endDate));
+  }
+}
+
+main().catch(error => {
+  console.error(`${colors.red}❌ Comparison failed: ${error.message}${colors.reset}`);
+  process.exit(1);
+});
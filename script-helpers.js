@@ -0,0 +1,71 @@
+/**
+ * Script Helpers
+ * Terminal output and statistics shared by the scoring scripts (compare-scoring-models.js, backtest-scoring.js)
+ */
+
+// Colors for output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+// getConditionsLabel buckets, worst to best - a backtest rating of 1-5 indexes into this
+const LABELS = ['Poor', 'Fair', 'Good', 'Excellent', 'Spectacular'];
+
+function section(title) {
+  console.log(`\n${colors.bright}${colors.cyan}${'='.repeat(60)}`);
+  console.log(`  ${title}`);
+  console.log(`${'='.repeat(60)}${colors.reset}\n`);
+}
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Ranks with ties sharing their average rank
+ */
+function rank(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+    const averageRank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) ranks[order[i].index] = averageRank;
+    start = end + 1;
+  }
+
+  return ranks;
+}
+
+/**
+ * Spearman rank correlation (Pearson correlation of the tie-averaged ranks)
+ */
+function spearman(xs, ys) {
+  const [rx, ry] = [rank(xs), rank(ys)];
+  const [mx, my] = [mean(rx), mean(ry)];
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+
+  rx.forEach((x, i) => {
+    covariance += (x - mx) * (ry[i] - my);
+    varianceX += (x - mx) ** 2;
+    varianceY += (ry[i] - my) ** 2;
+  });
+
+  return varianceX && varianceY ? covariance / Math.sqrt(varianceX * varianceY) : null;
+}
+
+export {
+  colors,
+  LABELS,
+  section,
+  mean,
+  rank,
+  spearman
+};
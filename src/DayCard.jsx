@@ -1,19 +1,51 @@
 import { memo } from "react";
 import PropTypes from 'prop-types';
 import { Card } from "./components/ui/card";
-import { Sun } from "lucide-react";
+import { Sun, CloudSunRain } from "lucide-react";
 import WeatherIcon from "./components/weather/WeatherIcon";
 import { getScoreColors } from "./utils/colorPalette";
+import { getSolarEventView, getSolarEventLabels } from "./utils/solarEvents";
+import { SOLAR_EVENTS } from "./constants/app";
 
-const DayCard = memo(({ day }) => {
-  const scoreColors = getScoreColors(day.sunset_score);
+const DayCard = memo(({ day, event = SOLAR_EVENTS.SUNSET, climatology, isBreakdownOpen = false, onToggleBreakdown }) => {
+  const view = getSolarEventView(day, event);
+  const eventLabels = getSolarEventLabels(event);
+  const eventLabel = eventLabels.singular;
+  // Ensemble median is the headline when available; the range shows how sure the forecast is
+  const { confidence } = view;
+  const headlineScore = confidence ? confidence.median : view.score;
+  const scoreColors = getScoreColors(headlineScore);
+  const monthName = new Date(`${day.date}T00:00:00`).toLocaleDateString('en-US', { month: 'long' });
+  // Climatology is fetched for the event being shown
+  const showClimatology = climatology && climatology.event === event && climatology.betterThanPercent !== null && climatology.sampleSize > 0;
+  const clearingStorm = view.weather?.clearing_storm;
+  // The whole card opens the day detail (score breakdown and golden-hour timeline)
+  const isExpandable = Boolean(view.breakdown && onToggleBreakdown);
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      onToggleBreakdown(day.date);
+    }
+  };
 
   return (
     <div
       role="listitem"
       className="relative z-10"
     >
-      <Card className="relative bg-white/60 backdrop-blur-sm border-0 shadow-lg rounded-xl sm:rounded-2xl overflow-hidden">
+      <Card
+        className={`relative bg-white/60 backdrop-blur-sm border-0 shadow-lg rounded-xl sm:rounded-2xl overflow-hidden ${
+          isExpandable ? 'cursor-pointer hover:bg-white/70 focus:outline-none focus-visible:ring-2 focus-visible:ring-orange-300' : ''
+        } ${isBreakdownOpen ? 'ring-2 ring-orange-300' : ''}`}
+        {...(isExpandable && {
+          role: 'button',
+          tabIndex: 0,
+          'aria-expanded': isBreakdownOpen,
+          'aria-label': `${day.day_of_week} ${day.date} ${eventLabel.toLowerCase()} details`,
+          onClick: () => onToggleBreakdown(day.date),
+          onKeyDown: handleKeyDown
+        })}
+      >
         <div className="p-2 sm:p-3 flex flex-col items-center space-y-1.5 sm:space-y-2">
           {/* Date Header - More Compact */}
           <div className="text-center pb-1 border-b border-gray-200 min-h-[32px] sm:min-h-[40px] flex flex-col justify-center w-full">
@@ -37,9 +69,9 @@ const DayCard = memo(({ day }) => {
               <span 
                 className={`text-lg sm:text-xl font-black ${scoreColors.text}`}
                 style={{ fontFamily: "'Inter', sans-serif" }}
-                aria-label={`Sunset quality score: ${day.sunset_score} out of 100`}
+                aria-label={`${eventLabel} quality score: ${headlineScore} out of 100`}
               >
-                {day.sunset_score}
+                {headlineScore}
               </span>
             </div>
             <p 
@@ -48,21 +80,59 @@ const DayCard = memo(({ day }) => {
             >
               {scoreColors.label}
             </p>
+            {confidence && (
+              <p 
+                className="text-[9px] sm:text-[10px] font-light text-gray-600 text-center leading-tight"
+                style={{ fontFamily: "'Inter', sans-serif" }}
+                title={`Likely ${confidence.low}-${confidence.high} across ${confidence.members} forecast model runs`}
+                aria-label={`Likely range ${confidence.low} to ${confidence.high}`}
+              >
+                ±{confidence.spread} ({confidence.low}-{confidence.high})
+              </p>
+            )}
+            {clearingStorm && (
+              <p 
+                className="flex items-center gap-0.5 text-[9px] sm:text-[10px] font-semibold text-sky-700 text-center leading-tight mt-0.5"
+                style={{ fontFamily: "'Inter', sans-serif" }}
+                title={`Rain earlier (${clearingStorm.rainMm} mm), pressure up ${clearingStorm.pressureRise} hPa, low cloud down ${clearingStorm.lowCloudDrop}%`}
+              >
+                <CloudSunRain className="w-3 h-3 flex-shrink-0" aria-hidden="true" />
+                Clearing storm
+              </p>
+            )}
+            {showClimatology && (
+              <p 
+                className="text-[9px] sm:text-[10px] font-light text-gray-600 text-center leading-tight mt-0.5"
+                style={{ fontFamily: "'Inter', sans-serif" }}
+                title={`Compared with ${climatology.sampleSize} ${eventLabels.plural.toLowerCase()} within ${climatology.windowDays} days of this date, ${climatology.years.first}-${climatology.years.last} (horizon clouds left out, past years have no horizon samples)`}
+              >
+                Better than {climatology.betterThanPercent}% of {monthName} {eventLabels.plural.toLowerCase()} here
+              </p>
+            )}
+            {isExpandable && (
+              <span
+                className="text-[9px] sm:text-[10px] font-medium text-gray-600 underline underline-offset-2 mt-0.5"
+                style={{ fontFamily: "'Inter', sans-serif" }}
+                aria-hidden="true"
+              >
+                {isBreakdownOpen ? 'Hide details' : 'Why this score?'}
+              </span>
+            )}
           </div>
 
           {/* Weather Icon - More Compact */}
           <div className="min-h-[32px] sm:min-h-[40px] flex items-center justify-center">
-            <WeatherIcon day={day} />
+            <WeatherIcon day={view.weather} />
           </div>
 
-          {/* Sunset Time */}
+          {/* Event Time */}
           <div className="flex items-center justify-center gap-0.5 sm:gap-1 px-1.5 sm:px-2 py-0.5 sm:py-1 rounded-lg bg-gradient-to-r from-orange-500 to-pink-500 w-3/4 mx-auto">
             <Sun className="w-2.5 h-2.5 sm:w-3 sm:h-3 text-white flex-shrink-0" aria-hidden="true" />
             <span 
               className="text-white text-[10px] sm:text-xs font-bold uppercase tracking-wider"
               style={{ fontFamily: "'Inter', sans-serif" }}
             >
-              {day.sunset_time}
+              {view.time}
             </span>
           </div>
         </div>
@@ -89,8 +159,34 @@ DayCard.propTypes = {
     humidity: PropTypes.number,
     precipitation_chance: PropTypes.number,
     visibility: PropTypes.number,
-    wind_speed: PropTypes.number
-  }).isRequired
+    wind_speed: PropTypes.number,
+    clearing_storm: PropTypes.shape({
+      rainMm: PropTypes.number,
+      pressureRise: PropTypes.number,
+      lowCloudDrop: PropTypes.number
+    }),
+    score_breakdown: PropTypes.object,
+    sunrise_score: PropTypes.number,
+    sunrise_time: PropTypes.string,
+    sunrise_conditions: PropTypes.string,
+    sunrise_weather: PropTypes.object,
+    sunrise_score_breakdown: PropTypes.object,
+    sunset_confidence: PropTypes.object,
+    sunrise_confidence: PropTypes.object
+  }).isRequired,
+  event: PropTypes.oneOf(Object.values(SOLAR_EVENTS)),
+  climatology: PropTypes.shape({
+    event: PropTypes.oneOf(Object.values(SOLAR_EVENTS)),
+    betterThanPercent: PropTypes.number,
+    sampleSize: PropTypes.number.isRequired,
+    windowDays: PropTypes.number,
+    years: PropTypes.shape({
+      first: PropTypes.number,
+      last: PropTypes.number
+    })
+  }),
+  isBreakdownOpen: PropTypes.bool,
+  onToggleBreakdown: PropTypes.func
 };
 
 export default DayCard;
\ No newline at end of file
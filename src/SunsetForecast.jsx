@@ -1,21 +1,97 @@
-import { useState, useEffect, memo } from "react";
+import { useState, useEffect, useCallback, useMemo, memo } from "react";
 import PropTypes from 'prop-types';
 import { Button } from "./components/ui/button";
 import { ArrowUp } from "lucide-react";
 import DayCard from "./DayCard";
+import ScoreBreakdown from "./components/ScoreBreakdown";
+import ScoringProfilePicker from "./components/ScoringProfilePicker";
+import SolarEventToggle from "./components/SolarEventToggle";
 import MinimalHistoricalSunsets from "./components/MinimalHistoricalSunsets";
+import HistoricalCalendarHeatmap from "./components/HistoricalCalendarHeatmap";
+import ForecastAccuracy from "./components/ForecastAccuracy";
 import { fetchHistoricalForecastWithProgress } from "./services/historicalService.js";
+import { fetchClimatologyForDays } from "./services/climatologyService.js";
+import { fetchForecastAccuracy } from "./services/accuracyService.js";
+import { scoreForecastDays, getForecastDayTimeline } from "./services/apiService.js";
+import { getStoredScoringProfile, storeScoringProfile } from "./services/scoringProfiles.js";
+import { HISTORICAL_CONSTANTS, SOLAR_EVENTS } from "./constants/app.js";
 import { useScrollContext } from "./contexts/AppContext.jsx";
 import { logger } from "./utils/logger.js";
+import { getSolarEventView } from "./utils/solarEvents.js";
 
 const SunsetForecast = memo(({ forecast, onBack, onDataLoaded }) => {
   const [historicalData, setHistoricalData] = useState(null);
   const [isLoadingHistorical, setIsLoadingHistorical] = useState(true);
+  const [historicalPeriod, setHistoricalPeriod] = useState(HISTORICAL_CONSTANTS.LAST_12_MONTHS);
+  const [climatologyByDate, setClimatologyByDate] = useState(null);
+  const [accuracy, setAccuracy] = useState(null);
+  const [breakdownDate, setBreakdownDate] = useState(null);
+  const [scoringProfile, setScoringProfile] = useState(getStoredScoringProfile);
+  const [solarEvent, setSolarEvent] = useState(SOLAR_EVENTS.SUNSET);
+
+  // Re-score the forecast locally when another profile is picked (no refetch needed)
+  const days = useMemo(() => (
+    forecast.sources ? scoreForecastDays(forecast.sources, { scoringProfile }) : forecast.days
+  ), [forecast, scoringProfile]);
+  const breakdownDay = days.find(day => day.date === breakdownDate);
+  // Golden-hour timeline for the open day, from the hourly data the forecast was scored from
+  const breakdownTimeline = useMemo(() => (
+    breakdownDate && forecast.sources
+      ? getForecastDayTimeline(forecast.sources, breakdownDate, solarEvent, { scoringProfile })
+      : null
+  ), [forecast.sources, breakdownDate, solarEvent, scoringProfile]);
+
+  const handleProfileChange = useCallback((profile) => {
+    setScoringProfile(profile);
+    storeScoringProfile(profile);
+  }, []);
+
+  const toggleBreakdown = useCallback((date) => {
+    setBreakdownDate(current => (current === date ? null : date));
+  }, []);
+
+  // Load "better than X% of sunsets here" context for the forecast days and shown event
+  useEffect(() => {
+    let isCancelled = false;
+    setClimatologyByDate(null);
+    
+    fetchClimatologyForDays(
+      { latitude: forecast.latitude, longitude: forecast.longitude, name: forecast.location },
+      days,
+      scoringProfile,
+      solarEvent
+    ).then((climatology) => {
+      if (!isCancelled) {
+        setClimatologyByDate(climatology);
+      }
+    });
+    
+    return () => {
+      isCancelled = true;
+    };
+  }, [forecast.latitude, forecast.longitude, forecast.location, days, scoringProfile, solarEvent]);
+
+  // Load how well past forecasts for this location matched what was observed
+  useEffect(() => {
+    let isCancelled = false;
+    setAccuracy(null);
+    
+    fetchForecastAccuracy({ latitude: forecast.latitude, longitude: forecast.longitude }).then((stats) => {
+      if (!isCancelled) {
+        setAccuracy(stats);
+      }
+    });
+    
+    return () => {
+      isCancelled = true;
+    };
+  }, [forecast.latitude, forecast.longitude]);
 
   // Auto-load historical data when component mounts
-  // Only run once when forecast changes (not on every render)
+  // Only run again when the forecast location, the selected period or the scoring profile changes
   useEffect(() => {
     let isCancelled = false; // Prevent state updates if component unmounts
+    setIsLoadingHistorical(true);
     
     const loadHistoricalData = async () => {
       try {
@@ -25,11 +101,13 @@ const SunsetForecast = memo(({ forecast, onBack, onDataLoaded }) => {
           name: forecast.location
         };
         
-        logger.debug('🔍 Fetching Historical Data for:', location);
+        logger.debug('🔍 Fetching Historical Data for:', location, historicalPeriod);
         
         const data = await fetchHistoricalForecastWithProgress(
           location, 
-          () => {} // Ignore progress updates
+          () => {}, // Ignore progress updates
+          historicalPeriod,
+          { scoringProfile }
         );
         
         if (!isCancelled) {
@@ -51,6 +129,7 @@ const SunsetForecast = memo(({ forecast, onBack, onDataLoaded }) => {
       } catch (error) {
         logger.error('❌ Historical Data Error:', error);
         if (!isCancelled) {
+          setHistoricalData(null);
           setIsLoadingHistorical(false);
           
           // Still notify parent even on error
@@ -66,7 +145,7 @@ const SunsetForecast = memo(({ forecast, onBack, onDataLoaded }) => {
     return () => {
       isCancelled = true; // Cleanup: cancel if component unmounts
     };
-  }, [forecast.location, forecast.latitude, forecast.longitude]); // Removed onDataLoaded from deps!
+  }, [forecast.location, forecast.latitude, forecast.longitude, historicalPeriod, scoringProfile]); // Removed onDataLoaded from deps!
 
 
   return (
@@ -93,27 +172,65 @@ const SunsetForecast = memo(({ forecast, onBack, onDataLoaded }) => {
               >
                 {forecast.location}
               </h2>
+              <div className="flex flex-wrap items-center justify-center gap-2 sm:gap-3">
+                <SolarEventToggle event={solarEvent} onEventChange={setSolarEvent} />
+                <ScoringProfilePicker profile={scoringProfile} onProfileChange={handleProfileChange} />
+              </div>
             </div>
 
             {/* 7-Day Forecast */}
             <div
               className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 xl:grid-cols-7 gap-2 sm:gap-3 md:gap-4 relative z-10"
               role="list"
-              aria-label="7-day sunset forecast"
+              aria-label={`7-day ${solarEvent} forecast`}
             >
-              {forecast.days.map((day, index) => (
-                <DayCard key={index} day={day} />
+              {days.map((day, index) => (
+                <DayCard
+                  key={index}
+                  day={day}
+                  event={solarEvent}
+                  climatology={climatologyByDate?.[day.date]}
+                  isBreakdownOpen={breakdownDate === day.date}
+                  onToggleBreakdown={toggleBreakdown}
+                />
               ))}
             </div>
 
+            {/* Why this score - breakdown for the selected day */}
+            {breakdownDay && getSolarEventView(breakdownDay, solarEvent).breakdown && (
+              <ScoreBreakdown
+                day={breakdownDay}
+                event={solarEvent}
+                timeline={breakdownTimeline}
+                onClose={() => setBreakdownDate(null)}
+              />
+            )}
+
             {/* Historical Sunsets - Fixed height to prevent layout shift */}
             <div className="mt-3 sm:mt-4 pt-2">
               <MinimalHistoricalSunsets
                 historicalData={historicalData}
+                event={solarEvent}
                 isLoading={isLoadingHistorical}
+                period={historicalPeriod}
+                onPeriodChange={setHistoricalPeriod}
               />
             </div>
 
+            {/* Every day of the historical period as a calendar heatmap */}
+            {!isLoadingHistorical && historicalData && (
+              <div className="mt-3 sm:mt-4 pt-2">
+                <HistoricalCalendarHeatmap historicalData={historicalData} event={solarEvent} />
+              </div>
+            )}
+
+            {/* Forecast vs. observed accuracy - only once some days have been verified */}
+            {accuracy?.verifiedDays > 0 && (
+              <div className="mt-3 sm:mt-4 pt-2">
+                <ForecastAccuracy accuracy={accuracy} event={solarEvent} />
+              </div>
+            )}
+
             {/* Scoring System & Weather Explanation - Now on bottom */}
             <div className="mt-3 sm:mt-4 pt-2">
             <div className="flex flex-col lg:flex-row items-center justify-center gap-4 sm:gap-6 md:gap-8">
@@ -0,0 +1,71 @@
+import { memo } from "react";
+import PropTypes from 'prop-types';
+import { SOLAR_EVENTS } from "../constants/app.js";
+import { getSolarEventLabels } from "../utils/solarEvents.js";
+
+/**
+ * Lead time label - lead 0 is a forecast made on the day itself
+ */
+const getLeadLabel = (lead) => {
+  if (lead === 0) return 'Same day';
+  return lead === 1 ? '1 day ahead' : `${lead} days ahead`;
+};
+
+const formatBias = (bias) => (bias > 0 ? `+${bias}` : String(bias));
+
+/**
+ * How far this location's past forecast scores were from the observed ones, by lead time
+ * Renders nothing until at least one forecast day has been verified
+ */
+const ForecastAccuracy = memo(({ accuracy, event = SOLAR_EVENTS.SUNSET }) => {
+  const stats = accuracy?.events?.[event];
+  const leads = stats?.byLead?.filter(entry => entry.count > 0) || [];
+  if (leads.length === 0) {
+    return null;
+  }
+
+  const eventLabel = getSolarEventLabels(event).singular.toLowerCase();
+
+  return (
+    <div className="text-center" style={{ fontFamily: "'Inter', sans-serif" }}>
+      <h3 className="text-xs sm:text-sm font-bold text-white mb-1">Forecast Accuracy Here</h3>
+      <p className="text-white/60 text-[10px] sm:text-xs font-light mb-2">
+        Average miss of past {eventLabel} forecasts over {stats.overall.count} verified forecasts
+        (bias above zero means forecasts ran high)
+      </p>
+      <div className="inline-grid grid-cols-3 gap-x-4 gap-y-0.5 rounded-lg bg-black/50 px-3 py-1.5 text-[10px] sm:text-xs">
+        <span className="text-white/60 text-left">Lead time</span>
+        <span className="text-white/60">Miss</span>
+        <span className="text-white/60">Bias</span>
+        {leads.map(({ lead, mae, bias, count }) => (
+          <div key={lead} className="contents" title={`${count} verified ${count === 1 ? 'day' : 'days'}`}>
+            <span className="text-white text-left">{getLeadLabel(lead)}</span>
+            <span className="text-white font-semibold">±{mae}</span>
+            <span className="text-white/80">{formatBias(bias)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+});
+
+ForecastAccuracy.displayName = 'ForecastAccuracy';
+
+ForecastAccuracy.propTypes = {
+  accuracy: PropTypes.shape({
+    events: PropTypes.objectOf(PropTypes.shape({
+      overall: PropTypes.shape({
+        count: PropTypes.number
+      }),
+      byLead: PropTypes.arrayOf(PropTypes.shape({
+        lead: PropTypes.number.isRequired,
+        count: PropTypes.number.isRequired,
+        mae: PropTypes.number,
+        bias: PropTypes.number
+      }))
+    }))
+  }),
+  event: PropTypes.oneOf(Object.values(SOLAR_EVENTS))
+};
+
+export default ForecastAccuracy;
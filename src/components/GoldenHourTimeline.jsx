@@ -0,0 +1,171 @@
+import { memo } from "react";
+import PropTypes from 'prop-types';
+import { SOLAR_EVENTS } from "../constants/app";
+import { getSolarEventLabels } from "../utils/solarEvents";
+import { WEATHER_WINDOWS } from "../services/sunsetDataProcessor.js";
+
+// SVG layout (viewBox units) - score curve on top, weather inputs below
+const WIDTH = 320;
+const HEIGHT = 148;
+const PAD_LEFT = 24;
+const PAD_RIGHT = 30;
+const SCORE_PANEL = { top: 14, bottom: 60 };
+const WEATHER_PANEL = { top: 74, bottom: 130 };
+const VISIBILITY_MAX_KM = 25;
+
+const SCORE_COLOR = '#f97316';
+
+// Weather inputs drawn in the lower panel, all on a 0-100 scale
+const WEATHER_SERIES = [
+  { key: 'cloudCoverageHigh', label: 'High clouds', color: '#38bdf8' },
+  { key: 'cloudCoverageMid', label: 'Mid clouds', color: '#818cf8' },
+  { key: 'cloudCoverageLow', label: 'Low clouds', color: '#475569' },
+  { key: 'humidity', label: 'Humidity', color: '#14b8a6', dash: '4 2' },
+  {
+    key: 'visibility',
+    label: `Visibility (0-${VISIBILITY_MAX_KM} km)`,
+    color: '#a3a3a3',
+    dash: '1 2',
+    toPercent: (metres) => Math.min(100, (metres / 1000 / VISIBILITY_MAX_KM) * 100)
+  }
+];
+
+const toY = (panel, percent) => panel.bottom - (Math.max(0, Math.min(100, percent)) / 100) * (panel.bottom - panel.top);
+
+/**
+ * Score and weather through the golden hour around a sunset or sunrise
+ * The score curve uses the same weather window and scoring functions as the day's score, every 15 minutes
+ */
+const GoldenHourTimeline = memo(({ timeline }) => {
+  const { points, event, eventTime, weatherWindow } = timeline;
+  if (points.length < 2) {
+    return null;
+  }
+
+  const first = points[0].offsetMinutes;
+  const last = points[points.length - 1].offsetMinutes;
+  const toX = (offset) => PAD_LEFT + ((offset - first) / (last - first)) * (WIDTH - PAD_LEFT - PAD_RIGHT);
+  const linePath = (panel, getPercent) => points
+    .map((point, index) => `${index === 0 ? 'M' : 'L'}${toX(point.offsetMinutes).toFixed(1)},${toY(panel, getPercent(point)).toFixed(1)}`)
+    .join(' ');
+
+  const scorePath = linePath(SCORE_PANEL, point => point.score);
+  const scoreArea = `${scorePath} L${toX(last).toFixed(1)},${SCORE_PANEL.bottom} L${toX(first).toFixed(1)},${SCORE_PANEL.bottom} Z`;
+  const best = points.reduce((top, point) => (point.score > top.score ? point : top), points[0]);
+  const eventX = toX(0);
+  const eventLabel = getSolarEventLabels(event).singular;
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-baseline justify-between border-b border-gray-200 pb-0.5">
+        <span className="text-[11px] sm:text-xs font-semibold text-gray-700 uppercase tracking-wider">Golden hour</span>
+        <span className="text-[10px] sm:text-xs text-gray-600">
+          Best around {best.time} (score {best.score})
+        </span>
+      </div>
+
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto"
+        role="img"
+        aria-label={`${eventLabel} score from ${points[0].time} to ${points[points.length - 1].time}, best around ${best.time} with ${best.score}`}
+      >
+        {/* Panel frames */}
+        {[SCORE_PANEL, WEATHER_PANEL].map(panel => (
+          <g key={panel.top}>
+            <line x1={PAD_LEFT} x2={WIDTH - PAD_RIGHT} y1={panel.top} y2={panel.top} stroke="#e5e7eb" strokeWidth="0.5" />
+            <line x1={PAD_LEFT} x2={WIDTH - PAD_RIGHT} y1={panel.bottom} y2={panel.bottom} stroke="#d1d5db" strokeWidth="0.5" />
+          </g>
+        ))}
+        <text x={PAD_LEFT - 3} y={SCORE_PANEL.top + 3} textAnchor="end" fontSize="7" fill="#6b7280">100</text>
+        <text x={PAD_LEFT - 3} y={SCORE_PANEL.bottom} textAnchor="end" fontSize="7" fill="#6b7280">0</text>
+        <text x={PAD_LEFT - 3} y={WEATHER_PANEL.top + 3} textAnchor="end" fontSize="7" fill="#6b7280">100%</text>
+        <text x={PAD_LEFT - 3} y={WEATHER_PANEL.bottom} textAnchor="end" fontSize="7" fill="#6b7280">0</text>
+        <text x={WIDTH - PAD_RIGHT + 3} y={WEATHER_PANEL.top + 3} fontSize="7" fill="#a3a3a3">{VISIBILITY_MAX_KM} km</text>
+
+        {/* Event marker */}
+        <line
+          x1={eventX} x2={eventX} y1={SCORE_PANEL.top - 4} y2={WEATHER_PANEL.bottom}
+          stroke="#fb923c" strokeWidth="0.75" strokeDasharray="2 2"
+        />
+        <text x={eventX} y={SCORE_PANEL.top - 6} textAnchor="middle" fontSize="7" fontWeight="600" fill="#c2410c">
+          {eventLabel} {eventTime}
+        </text>
+
+        {/* Score curve */}
+        <path d={scoreArea} fill={SCORE_COLOR} fillOpacity="0.15" />
+        <path d={scorePath} fill="none" stroke={SCORE_COLOR} strokeWidth="1.5" strokeLinejoin="round" />
+        {points.map(point => (
+          <circle
+            key={point.offsetMinutes}
+            cx={toX(point.offsetMinutes)}
+            cy={toY(SCORE_PANEL, point.score)}
+            r={point === best ? 2.5 : 1.25}
+            fill={SCORE_COLOR}
+          >
+            <title>{`${point.time} · score ${point.score}`}</title>
+          </circle>
+        ))}
+
+        {/* Weather inputs */}
+        {WEATHER_SERIES.map(series => (
+          <path
+            key={series.key}
+            d={linePath(WEATHER_PANEL, point => (series.toPercent ? series.toPercent(point[series.key]) : point[series.key]))}
+            fill="none"
+            stroke={series.color}
+            strokeWidth="1"
+            strokeDasharray={series.dash}
+          />
+        ))}
+
+        {/* Time axis every half hour */}
+        {points.filter(point => point.offsetMinutes % 30 === 0).map(point => (
+          <text key={point.offsetMinutes} x={toX(point.offsetMinutes)} y={HEIGHT - 8} textAnchor="middle" fontSize="7" fill="#6b7280">
+            {point.time}
+          </text>
+        ))}
+      </svg>
+
+      <div className="flex flex-wrap gap-x-3 gap-y-0.5 text-[10px] sm:text-xs text-gray-600">
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-0.5" style={{ backgroundColor: SCORE_COLOR }} />
+          Score
+        </span>
+        {WEATHER_SERIES.map(series => (
+          <span key={series.key} className="flex items-center gap-1">
+            <span className="inline-block w-3 h-0.5" style={{ backgroundColor: series.color }} />
+            {series.label}
+          </span>
+        ))}
+      </div>
+      <p className="text-[9px] sm:text-[10px] text-gray-500 leading-tight">
+        Each point is scored as if the {eventLabel.toLowerCase()} were at that time
+        {weatherWindow === WEATHER_WINDOWS.GOLDEN_HOUR ? ', averaged over the golden hour and afterglow around it' : ', on the conditions at that minute'},
+        using the main forecast run only (no ensemble members)
+      </p>
+    </div>
+  );
+});
+
+GoldenHourTimeline.displayName = 'GoldenHourTimeline';
+
+GoldenHourTimeline.propTypes = {
+  timeline: PropTypes.shape({
+    event: PropTypes.oneOf(Object.values(SOLAR_EVENTS)).isRequired,
+    eventTime: PropTypes.string.isRequired,
+    weatherWindow: PropTypes.oneOf(Object.values(WEATHER_WINDOWS)),
+    points: PropTypes.arrayOf(PropTypes.shape({
+      offsetMinutes: PropTypes.number.isRequired,
+      time: PropTypes.string.isRequired,
+      score: PropTypes.number.isRequired,
+      cloudCoverageLow: PropTypes.number,
+      cloudCoverageMid: PropTypes.number,
+      cloudCoverageHigh: PropTypes.number,
+      humidity: PropTypes.number,
+      visibility: PropTypes.number
+    })).isRequired
+  }).isRequired
+};
+
+export default GoldenHourTimeline;
@@ -0,0 +1,236 @@
+import { memo, useMemo, useRef, useState } from "react";
+import PropTypes from 'prop-types';
+import { getHistoricalColors } from "../utils/colorPalette";
+import { SOLAR_EVENTS } from "../constants/app.js";
+import { getSolarEventView, getSolarEventLabels } from "../utils/solarEvents.js";
+
+// Lowest score of each color band, for the legend
+const LEGEND_SCORES = [0, 40, 60, 80, 90];
+
+const WEEKDAY_LABELS = ['', 'Mon', '', 'Wed', '', 'Fri', ''];
+
+const DAY_MS = 86400000;
+
+// Arrow keys move the selected day: up/down within the week, left/right across weeks
+const KEY_STEPS = { ArrowUp: -1, ArrowDown: 1, ArrowLeft: -7, ArrowRight: 7 };
+
+// Dates are plain YYYY-MM-DD days - read them in UTC so the weekday never shifts with the browser timezone
+const parseDay = (date) => new Date(`${date}T00:00:00Z`);
+
+const formatDay = (date) => parseDay(date).toLocaleDateString('en-US', {
+  weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+});
+
+const formatTime = (time) => (time ? time.split('T')[1]?.split(':').slice(0, 2).join(':') || time : null);
+
+const shiftDay = (date, offset) => new Date(parseDay(date).getTime() + offset * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Lay the days out GitHub-style: one column per week (Sunday first), each day placed by
+ * its date - days without a score leave an empty slot
+ */
+const buildWeeks = (days) => {
+  const first = parseDay(days[0].date);
+  const firstSunday = first.getTime() - first.getUTCDay() * DAY_MS;
+  const weeks = [];
+  days.forEach((day) => {
+    const index = Math.round((parseDay(day.date).getTime() - firstSunday) / DAY_MS);
+    while (weeks.length <= Math.floor(index / 7)) {
+      weeks.push(Array(7).fill(null));
+    }
+    weeks[Math.floor(index / 7)][index % 7] = day;
+  });
+  return weeks;
+};
+
+/**
+ * First scored day of each month after the first, where the month labels go
+ */
+const getMonthStarts = (days) => new Set(days
+  .filter((day, index) => index > 0 && day.date.slice(0, 7) !== days[index - 1].date.slice(0, 7))
+  .map(day => day.date));
+
+/**
+ * Average score per calendar month, in date order
+ */
+const getMonthAverages = (days) => {
+  const months = new Map();
+  days.forEach((day) => {
+    const key = day.date.slice(0, 7);
+    const month = months.get(key) || { key, total: 0, count: 0 };
+    month.total += day.score;
+    month.count += 1;
+    months.set(key, month);
+  });
+  return [...months.values()].map(({ key, total, count }) => ({
+    key,
+    label: parseDay(`${key}-01`).toLocaleDateString('en-US', { month: 'short', timeZone: 'UTC' }),
+    average: Math.round(total / count)
+  }));
+};
+
+/**
+ * Every scored day of the historical period as a calendar heatmap, with month
+ * averages and the period's score statistics
+ */
+const HistoricalCalendarHeatmap = memo(({ historicalData, event = SOLAR_EVENTS.SUNSET }) => {
+  const [selectedDate, setSelectedDate] = useState(null);
+  const gridRef = useRef(null);
+  const eventLabels = getSolarEventLabels(event);
+  const statistics = event === SOLAR_EVENTS.SUNRISE ? historicalData.sunriseStatistics : historicalData.statistics;
+
+  const days = useMemo(() => (historicalData.days || [])
+    .map((day) => {
+      const { score, time, conditions } = getSolarEventView(day, event);
+      return { date: day.date, score, time: formatTime(time), conditions };
+    })
+    .filter(day => Number.isFinite(day.score))
+    .sort((a, b) => a.date.localeCompare(b.date)), [historicalData.days, event]);
+
+  const weeks = useMemo(() => (days.length > 0 ? buildWeeks(days) : []), [days]);
+  const monthStarts = useMemo(() => getMonthStarts(days), [days]);
+  const monthAverages = useMemo(() => getMonthAverages(days), [days]);
+
+  if (days.length === 0 || !statistics) {
+    return null;
+  }
+
+  const selectedDay = days.find(day => day.date === selectedDate);
+  // One tab stop for the whole calendar - the selected day, else the latest
+  const focusableDate = selectedDay ? selectedDay.date : days[days.length - 1].date;
+  const hasMonthStart = (week) => week.some(day => day && monthStarts.has(day.date));
+
+  const handleKeyDown = (e) => {
+    const step = KEY_STEPS[e.key];
+    const from = e.target.dataset?.date;
+    if (!step || !from) return;
+    e.preventDefault();
+    const target = gridRef.current?.querySelector(`[data-date="${shiftDay(from, step)}"]`);
+    target?.focus();
+  };
+
+  return (
+    <div className="text-center" style={{ fontFamily: "'Inter', sans-serif" }}>
+      <h3 className="text-xs sm:text-sm font-bold text-white mb-2">Every {eventLabels.singular} of the Period</h3>
+
+      {/* Statistics block */}
+      <div className="inline-grid grid-cols-4 gap-x-4 rounded-lg bg-black/50 px-3 py-1.5 mb-2 text-[10px] sm:text-xs">
+        {[
+          ['Average', statistics.average_score],
+          ['Median', statistics.median_score],
+          ['Top 10%', `≥ ${statistics.top_10_percent}`],
+          ['Top 25%', `≥ ${statistics.top_25_percent}`]
+        ].map(([label, value]) => (
+          <div key={label} className="flex flex-col">
+            <span className="text-white/60">{label}</span>
+            <span className="text-white font-semibold">{value}</span>
+          </div>
+        ))}
+      </div>
+
+      {/* Calendar - scrolls sideways on narrow screens */}
+      <div className="overflow-x-auto pb-1">
+        <div
+          ref={gridRef}
+          className="inline-flex gap-[2px] rounded-lg bg-black/50 p-2"
+          role="group"
+          aria-label={`${eventLabels.singular} scores by day`}
+          onMouseLeave={() => setSelectedDate(null)}
+          onKeyDown={handleKeyDown}
+        >
+          <div className="flex flex-col gap-[2px] pr-1 text-[8px] sm:text-[9px] text-white/50 text-right">
+            <div className="h-3" />
+            {WEEKDAY_LABELS.map((label, index) => (
+              <div key={index} className="h-2.5 sm:h-3 leading-[10px] sm:leading-3">{label}</div>
+            ))}
+          </div>
+          {weeks.map((week, weekIndex) => {
+            // Label the column where each month's days start, and the first column unless a label follows close behind
+            const labelFirstColumn = weekIndex === 0 && !weeks.slice(1, 3).some(hasMonthStart);
+            const monthStart = week.find(day => day && (labelFirstColumn || monthStarts.has(day.date)));
+            return (
+              <div key={weekIndex} className="flex flex-col gap-[2px]">
+                <div className="h-3 text-[8px] sm:text-[9px] text-white/50 text-left whitespace-nowrap w-2.5 sm:w-3">
+                  {monthStart && parseDay(monthStart.date).toLocaleDateString('en-US', { month: 'short', timeZone: 'UTC' })}
+                </div>
+                {week.map((day, dayIndex) => (day ? (
+                  <div
+                    key={day.date}
+                    data-date={day.date}
+                    role="button"
+                    tabIndex={day.date === focusableDate ? 0 : -1}
+                    aria-label={`${formatDay(day.date)}: score ${day.score}`}
+                    className={`w-2.5 h-2.5 sm:w-3 sm:h-3 rounded-sm outline-none ${getHistoricalColors(day.score).circle} ${
+                      day.date === selectedDate ? 'ring-1 ring-white' : ''
+                    }`}
+                    title={`${formatDay(day.date)}: ${day.score}`}
+                    onMouseEnter={() => setSelectedDate(day.date)}
+                    onFocus={() => setSelectedDate(day.date)}
+                    onClick={() => setSelectedDate(day.date)}
+                  />
+                ) : (
+                  <div key={`empty-${dayIndex}`} className="w-2.5 h-2.5 sm:w-3 sm:h-3" />
+                )))}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Selected day details */}
+      <p className="h-4 text-[10px] sm:text-xs text-white/80 font-light" aria-live="polite">
+        {selectedDay
+          ? [
+            formatDay(selectedDay.date),
+            `score ${selectedDay.score}`,
+            selectedDay.time && `${eventLabels.singular.toLowerCase()} ${selectedDay.time}`,
+            selectedDay.conditions
+          ].filter(Boolean).join(' · ')
+          : 'Hover, tap or focus a day for details'}
+      </p>
+
+      {/* Legend */}
+      <div className="flex items-center justify-center gap-1 text-[9px] sm:text-[10px] text-white/60 mt-1">
+        <span>Poor</span>
+        {LEGEND_SCORES.map(score => (
+          <span key={score} className={`inline-block w-2.5 h-2.5 rounded-sm ${getHistoricalColors(score).circle}`} />
+        ))}
+        <span>Spectacular</span>
+      </div>
+
+      {/* Month averages */}
+      <div className="flex flex-wrap justify-center gap-1 mt-2 text-[10px] sm:text-xs">
+        {monthAverages.map(({ key, label, average }) => (
+          <div key={key} className="flex items-center gap-1 rounded-md bg-black/50 px-1.5 py-0.5">
+            <span className="text-white/70">{label}</span>
+            <span className={`font-semibold ${getHistoricalColors(average).text}`}>{average}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+});
+
+HistoricalCalendarHeatmap.displayName = 'HistoricalCalendarHeatmap';
+
+const statisticsShape = PropTypes.shape({
+  average_score: PropTypes.number.isRequired,
+  median_score: PropTypes.number.isRequired,
+  top_10_percent: PropTypes.number.isRequired,
+  top_25_percent: PropTypes.number.isRequired
+});
+
+HistoricalCalendarHeatmap.propTypes = {
+  historicalData: PropTypes.shape({
+    days: PropTypes.arrayOf(PropTypes.shape({
+      date: PropTypes.string.isRequired,
+      sunset_score: PropTypes.number,
+      sunrise_score: PropTypes.number
+    })),
+    statistics: statisticsShape,
+    sunriseStatistics: statisticsShape
+  }).isRequired,
+  event: PropTypes.oneOf(Object.values(SOLAR_EVENTS))
+};
+
+export default HistoricalCalendarHeatmap;
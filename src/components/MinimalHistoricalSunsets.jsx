@@ -2,15 +2,59 @@ import { memo } from "react";
 import PropTypes from 'prop-types';
 import { motion } from "framer-motion";
 import { getHistoricalColors } from "../utils/colorPalette";
+import { getSelectableHistoricalPeriods, getHistoricalPeriodLabel } from "../utils/historicalPeriods.js";
+import { HISTORICAL_CONSTANTS, SOLAR_EVENTS } from "../constants/app.js";
+import { getSolarEventView, getSolarEventLabels } from "../utils/solarEvents.js";
 import { logger } from "../utils/logger.js";
 
 // Static array for loading animation bars - moved outside component to prevent recreation
 const LOADING_BARS = Array.from({ length: 10 }, (_, i) => i);
 
+// Shown when a day has no event time
+const FALLBACK_TIMES = {
+  [SOLAR_EVENTS.SUNSET]: '18:30',
+  [SOLAR_EVENTS.SUNRISE]: '06:30'
+};
+
+/**
+ * Compact year / "last 12 months" picker
+ */
+const PeriodPicker = ({ period, onPeriodChange, disabled }) => (
+  <select
+    value={String(period)}
+    onChange={(e) => {
+      const value = e.target.value;
+      onPeriodChange(value === HISTORICAL_CONSTANTS.LAST_12_MONTHS ? value : Number(value));
+    }}
+    disabled={disabled}
+    aria-label="Historical period"
+    className="bg-black/50 text-white text-[10px] sm:text-xs rounded-md border border-white/20 px-1.5 py-0.5 focus:outline-none focus:ring-1 focus:ring-orange-300 disabled:opacity-60"
+  >
+    {getSelectableHistoricalPeriods().map((option) => (
+      <option key={option} value={String(option)} className="bg-gray-900">
+        {getHistoricalPeriodLabel(option)}
+      </option>
+    ))}
+  </select>
+);
+
+PeriodPicker.propTypes = {
+  period: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+  onPeriodChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
 const MinimalHistoricalSunsets = memo(({
   historicalData,
-  isLoading
+  event = SOLAR_EVENTS.SUNSET,
+  isLoading,
+  period = HISTORICAL_CONSTANTS.LAST_12_MONTHS,
+  onPeriodChange
 }) => {
+  const isRollingWindow = period === HISTORICAL_CONSTANTS.LAST_12_MONTHS;
+  const eventLabels = getSolarEventLabels(event);
+  const topDays = event === SOLAR_EVENTS.SUNRISE ? historicalData?.top10Sunrises : historicalData?.top10;
+
   // DEBUG: Log what the component receives
   logger.debug('🎯 MinimalHistoricalSunsets received:', {
     isLoading: isLoading,
@@ -50,6 +94,12 @@ const MinimalHistoricalSunsets = memo(({
           </span>
         </motion.h3>
         
+        {onPeriodChange && (
+          <div className="mb-2">
+            <PeriodPicker period={period} onPeriodChange={onPeriodChange} disabled />
+          </div>
+        )}
+        
         {/* Container with fixed height matching historical data display */}
         <div className="relative h-[100px]">
           {/* Centered loading animation - no background bar */}
@@ -91,16 +141,26 @@ const MinimalHistoricalSunsets = memo(({
 
   return (
     <div className="text-center">
-      {/* Year's Best Sunsets */}
+      {/* Best sunsets (or sunrises) of the selected year or the last 12 months */}
       <div>
-        <h3 className="text-xs sm:text-sm font-bold text-white mb-2 sm:mb-3">Year's Best Sunsets</h3>
+        <div className="flex items-center justify-center gap-2 mb-2 sm:mb-3">
+          <h3 className="text-xs sm:text-sm font-bold text-white">
+            {isRollingWindow ? `Best ${eventLabels.plural}` : `Year's Best ${eventLabels.plural}`}
+          </h3>
+          {onPeriodChange && (
+            <PeriodPicker period={period} onPeriodChange={onPeriodChange} />
+          )}
+        </div>
+        {topDays?.length === 0 && (
+          <p className="text-white/60 text-[10px] sm:text-xs font-light">No {eventLabels.singular.toLowerCase()} data for this period yet</p>
+        )}
         <div className="relative flex flex-col">
           {/* Black background bar - perfectly aligned with circles row */}
           <div className="absolute top-0 left-1 sm:left-2 right-1 sm:right-2 h-7 sm:h-8 bg-black/50 rounded-lg z-0"></div>
           {/* Grid with circles aligned to background */}
           <div className="relative z-10 grid grid-cols-3 sm:grid-cols-4 md:grid-cols-6 lg:grid-cols-8 xl:grid-cols-10 gap-1 sm:gap-2 text-[10px] sm:text-xs">
-                    {historicalData.top10 && historicalData.top10.map((sunset, index) => {
-                      const score = sunset.sunset_score || sunset.score;
+                    {topDays && topDays.map((sunset, index) => {
+                      const { score = sunset.score, time } = getSolarEventView(sunset, event);
                       const colors = getHistoricalColors(score);
                       return (
                       <motion.div
@@ -118,10 +178,12 @@ const MinimalHistoricalSunsets = memo(({
                           </span>
                         </div>
                         <div className="text-white text-[10px] sm:text-xs font-light">
-                          {new Date(sunset.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+                          {new Date(sunset.date).toLocaleDateString('en-US', isRollingWindow
+                            ? { month: 'short', day: 'numeric', year: '2-digit' }
+                            : { month: 'short', day: 'numeric' })}
                         </div>
                         <div className="text-white text-[10px] sm:text-xs font-light">
-                          {sunset.sunset_time ? sunset.sunset_time.split('T')[1]?.split(':').slice(0, 2).join(':') || sunset.sunset_time : '18:30'}
+                          {time ? time.split('T')[1]?.split(':').slice(0, 2).join(':') || time : FALLBACK_TIMES[event]}
                         </div>
                       </motion.div>
                       );
@@ -141,9 +203,17 @@ MinimalHistoricalSunsets.propTypes = {
       date: PropTypes.string.isRequired,
       score: PropTypes.number.isRequired,
       sunset_time: PropTypes.string
+    })),
+    top10Sunrises: PropTypes.arrayOf(PropTypes.shape({
+      date: PropTypes.string.isRequired,
+      score: PropTypes.number.isRequired,
+      sunrise_time: PropTypes.string
     }))
   }),
-  isLoading: PropTypes.bool.isRequired
+  event: PropTypes.oneOf(Object.values(SOLAR_EVENTS)),
+  isLoading: PropTypes.bool.isRequired,
+  period: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  onPeriodChange: PropTypes.func
 };
 
 export default MinimalHistoricalSunsets;
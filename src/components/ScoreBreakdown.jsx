@@ -0,0 +1,235 @@
+import { memo } from "react";
+import PropTypes from 'prop-types';
+import { motion } from "framer-motion";
+import { X } from "lucide-react";
+import GoldenHourTimeline from "./GoldenHourTimeline";
+import { getScoreColors } from "../utils/colorPalette";
+import { isScoringProfile, getScoringProfile } from "../services/scoringProfiles.js";
+import { getSolarEventView, getSolarEventLabels } from "../utils/solarEvents";
+import { SOLAR_EVENTS } from "../constants/app";
+
+const FACTOR_LABELS = {
+  high: 'High clouds',
+  mid: 'Mid clouds',
+  low: 'Low clouds',
+  clearSky: 'Clear sky',
+  horizon: 'Clouds toward sun',
+  precipitation: 'Rain chance',
+  humidity: 'Humidity',
+  aqi: 'Air quality',
+  visibility: 'Visibility',
+  aerosol: 'Aerosol haze',
+  smoke: 'Smoke'
+};
+
+const BONUS_LABELS = {
+  perfect: 'Perfect conditions: thin high clouds, clean air, long visibility',
+  very_good: 'Very good conditions: thin high clouds, few low clouds, dry',
+  good: 'Good conditions: some mid clouds, few low clouds, dry'
+};
+
+const DEFAULT_LABELS = {
+  cloud_coverage: 'total cloud cover',
+  cloud_coverage_low: 'low clouds',
+  cloud_coverage_mid: 'mid clouds',
+  cloud_coverage_high: 'high clouds',
+  precipitation_chance: 'rain chance',
+  humidity: 'humidity',
+  air_quality_index: 'air quality',
+  visibility: 'visibility',
+  wind_speed: 'wind'
+};
+
+/**
+ * Format a factor's input value for display
+ */
+const formatFactorValue = (name, value) => {
+  if (value === null || value === undefined) return '';
+  if (name === 'visibility') return `${Math.round(value / 100) / 10} km`;
+  if (name === 'aqi') return `AQI ${value}`;
+  if (name === 'aerosol') return `AOD ${value}`;
+  if (name === 'smoke') return `PM2.5 ${Math.round(value)} µg/m³`;
+  return `${Math.round(value)}%`;
+};
+
+const formatPoints = (points) => `${points > 0 ? '+' : ''}${points}`;
+
+/**
+ * Factors that only apply sometimes are hidden when they didn't: clear sky and smoke when they
+ * earned nothing, horizon when there were no samples toward the sun (historical days) and
+ * aerosol haze when the air quality data had no aerosol optical depth
+ */
+const isFactorShown = (name, factor) => {
+  if (name === 'clearSky' || name === 'smoke') return factor.points !== 0;
+  if (name === 'horizon' || name === 'aerosol') return factor.value !== null && factor.value !== undefined;
+  return true;
+};
+
+/**
+ * One scored component (clouds / atmosphere) with its per-factor contributions
+ */
+const ComponentSection = ({ title, component }) => {
+  const factorSum = Object.values(component.factors).reduce((sum, factor) => sum + factor.points, 0);
+  const isClamped = Math.abs(factorSum - component.score) > 0.05;
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-baseline justify-between border-b border-gray-200 pb-0.5">
+        <span className="text-[11px] sm:text-xs font-semibold text-gray-700 uppercase tracking-wider">{title}</span>
+        <span className="text-[11px] sm:text-xs font-bold text-gray-800">
+          {component.score} / {component.max}
+          {isClamped && <span className="font-light text-gray-500"> (limited)</span>}
+        </span>
+      </div>
+      {Object.entries(component.factors)
+        .filter(([name, factor]) => isFactorShown(name, factor))
+        .map(([name, factor]) => (
+          <div key={name} className="flex items-baseline justify-between text-[10px] sm:text-xs text-gray-600">
+            <span>
+              {FACTOR_LABELS[name] || name}
+              <span className="text-gray-400 ml-1">{formatFactorValue(name, factor.value)}</span>
+            </span>
+            <span className={`font-medium ${factor.points < 0 ? 'text-rose-600' : factor.points > 0 ? 'text-emerald-700' : 'text-gray-500'}`}>
+              {formatPoints(factor.points)}
+            </span>
+          </div>
+        ))}
+    </div>
+  );
+};
+
+ComponentSection.propTypes = {
+  title: PropTypes.string.isRequired,
+  component: PropTypes.shape({
+    score: PropTypes.number.isRequired,
+    max: PropTypes.number.isRequired,
+    factors: PropTypes.objectOf(PropTypes.shape({
+      value: PropTypes.number,
+      points: PropTypes.number.isRequired
+    })).isRequired
+  }).isRequired
+};
+
+/**
+ * "Why this score" panel - how each factor contributed to a day's sunset or sunrise score,
+ * plus the golden-hour timeline when the hourly data is available (forecast days)
+ */
+const ScoreBreakdown = memo(({ day, event = SOLAR_EVENTS.SUNSET, timeline = null, onClose }) => {
+  const { score, breakdown, confidence, weather } = getSolarEventView(day, event);
+  const hasAerosols = [weather.aerosol_optical_depth, weather.dust, weather.pm2_5].some(value => value !== null && value !== undefined);
+  const eventName = getSolarEventLabels(event).singular.toLowerCase();
+  const scoreColors = getScoreColors(score);
+  const profileName = isScoringProfile(breakdown.profile) ? getScoringProfile(breakdown.profile).name : null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -8 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="relative z-10 bg-white/60 backdrop-blur-sm rounded-xl sm:rounded-2xl shadow-lg p-3 sm:p-4"
+      style={{ fontFamily: "'Inter', sans-serif" }}
+      role="region"
+      aria-label={`${getSolarEventLabels(event).singular} score breakdown for ${day.date}`}
+    >
+      <div className="flex items-center justify-between mb-2 sm:mb-3">
+        <div className="flex items-center gap-2">
+          <div className={`w-8 h-8 rounded-full ${scoreColors.bg} flex items-center justify-center shadow`}>
+            <span className={`text-sm font-black ${scoreColors.text}`}>{score}</span>
+          </div>
+          <p className="text-xs sm:text-sm font-semibold text-gray-800">
+            Why the {eventName} on {day.day_of_week} {day.date} scores {score}
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-800 p-1"
+          aria-label="Close score breakdown"
+        >
+          <X className="w-4 h-4" aria-hidden="true" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 sm:gap-4">
+        <ComponentSection title="Clouds" component={breakdown.cloud} />
+        <ComponentSection title="Atmosphere" component={breakdown.atmospheric} />
+        <div className="space-y-1">
+          <div className="flex items-baseline justify-between border-b border-gray-200 pb-0.5">
+            <span className="text-[11px] sm:text-xs font-semibold text-gray-700 uppercase tracking-wider">Bonus</span>
+            <span className="text-[11px] sm:text-xs font-bold text-gray-800">
+              {breakdown.bonus.score} / {breakdown.bonus.max}
+            </span>
+          </div>
+          <p className="text-[10px] sm:text-xs text-gray-600">
+            {breakdown.bonus.tier ? BONUS_LABELS[breakdown.bonus.tier] : 'No optimal-conditions bonus'}
+          </p>
+          {breakdown.bonus.clearingStorm && (
+            <p className="text-[10px] sm:text-xs text-sky-700">
+              Clearing storm: {breakdown.bonus.clearingStorm.rainMm} mm of rain earlier, pressure up {breakdown.bonus.clearingStorm.pressureRise} hPa,
+              low cloud down {breakdown.bonus.clearingStorm.lowCloudDrop}%
+            </p>
+          )}
+        </div>
+      </div>
+
+      {timeline && (
+        <div className="mt-2 sm:mt-3">
+          <GoldenHourTimeline timeline={timeline} />
+        </div>
+      )}
+
+      <div className="mt-2 sm:mt-3 pt-1.5 border-t border-gray-200 text-[10px] sm:text-xs text-gray-500 space-y-0.5">
+        <p>
+          {breakdown.cloud.score} + {breakdown.atmospheric.score} + {breakdown.bonus.score} = {breakdown.total}
+          {breakdown.score !== breakdown.total && ` → ${breakdown.score}`}
+          {profileName && ` · ${profileName} profile`}
+        </p>
+        {confidence && (
+          <p>
+            Main forecast run shown - {confidence.members} model runs give a median of {confidence.median} (likely {confidence.low}-{confidence.high})
+          </p>
+        )}
+        {hasAerosols && (
+          <p>
+            Aerosols: AOD {weather.aerosol_optical_depth ?? '-'} · dust {weather.dust ?? '-'} µg/m³ · PM2.5 {weather.pm2_5 ?? '-'} µg/m³
+          </p>
+        )}
+        {breakdown.defaultsUsed.length > 0 && (
+          <p>
+            No data for {breakdown.defaultsUsed.map(field => DEFAULT_LABELS[field] || field).join(', ')} - typical values assumed
+          </p>
+        )}
+      </div>
+    </motion.div>
+  );
+});
+
+ScoreBreakdown.displayName = 'ScoreBreakdown';
+
+ScoreBreakdown.propTypes = {
+  day: PropTypes.shape({
+    date: PropTypes.string.isRequired,
+    day_of_week: PropTypes.string,
+    sunset_score: PropTypes.number.isRequired,
+    sunrise_score: PropTypes.number,
+    sunrise_score_breakdown: PropTypes.object,
+    score_breakdown: PropTypes.shape({
+      model: PropTypes.string,
+      profile: PropTypes.string,
+      total: PropTypes.number.isRequired,
+      score: PropTypes.number.isRequired,
+      cloud: PropTypes.object.isRequired,
+      atmospheric: PropTypes.object.isRequired,
+      bonus: PropTypes.shape({
+        score: PropTypes.number.isRequired,
+        max: PropTypes.number.isRequired,
+        tier: PropTypes.string,
+        clearingStorm: PropTypes.object
+      }).isRequired,
+      defaultsUsed: PropTypes.arrayOf(PropTypes.string).isRequired
+    }).isRequired
+  }).isRequired,
+  event: PropTypes.oneOf(Object.values(SOLAR_EVENTS)),
+  timeline: PropTypes.object,
+  onClose: PropTypes.func.isRequired
+};
+
+export default ScoreBreakdown;
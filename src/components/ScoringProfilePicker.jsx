@@ -0,0 +1,47 @@
+import { memo } from "react";
+import PropTypes from 'prop-types';
+import { getScoringProfileOptions } from "../services/scoringProfiles.js";
+
+// Profiles come from static JSON - build the options once
+const PROFILE_OPTIONS = getScoringProfileOptions();
+
+/**
+ * Scoring profile picker ("Classic", "Photographer", "Clear horizon", ...)
+ */
+const ScoringProfilePicker = memo(({ profile, onProfileChange }) => {
+  const selected = PROFILE_OPTIONS.find(option => option.id === profile);
+
+  return (
+    <div className="flex items-center justify-center gap-2">
+      <label
+        htmlFor="scoring-profile"
+        className="text-white/70 text-[10px] sm:text-xs"
+        style={{ fontFamily: "'Inter', sans-serif" }}
+      >
+        Score for
+      </label>
+      <select
+        id="scoring-profile"
+        value={profile}
+        onChange={(e) => onProfileChange(e.target.value)}
+        title={selected?.description}
+        className="bg-black/50 text-white text-[10px] sm:text-xs rounded-md border border-white/20 px-1.5 py-0.5 focus:outline-none focus:ring-1 focus:ring-orange-300"
+      >
+        {PROFILE_OPTIONS.map((option) => (
+          <option key={option.id} value={option.id} className="bg-gray-900">
+            {option.name}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+});
+
+ScoringProfilePicker.displayName = 'ScoringProfilePicker';
+
+ScoringProfilePicker.propTypes = {
+  profile: PropTypes.string.isRequired,
+  onProfileChange: PropTypes.func.isRequired
+};
+
+export default ScoringProfilePicker;
@@ -0,0 +1,45 @@
+import { memo } from "react";
+import PropTypes from 'prop-types';
+import { Sunrise, Sunset } from "lucide-react";
+import { SOLAR_EVENTS } from "../constants/app.js";
+import { getSolarEventLabels } from "../utils/solarEvents.js";
+
+const EVENT_OPTIONS = [
+  { event: SOLAR_EVENTS.SUNSET, Icon: Sunset },
+  { event: SOLAR_EVENTS.SUNRISE, Icon: Sunrise }
+];
+
+/**
+ * Sunset / sunrise switch for the forecast view
+ */
+const SolarEventToggle = memo(({ event, onEventChange }) => (
+  <div
+    className="inline-flex rounded-md border border-white/20 bg-black/50 p-0.5"
+    role="group"
+    aria-label="Forecast for sunset or sunrise"
+  >
+    {EVENT_OPTIONS.map(({ event: option, Icon }) => (
+      <button
+        key={option}
+        onClick={() => onEventChange(option)}
+        aria-pressed={event === option}
+        className={`flex items-center gap-1 rounded px-1.5 py-0.5 text-[10px] sm:text-xs transition-colors ${
+          event === option ? 'bg-white/20 text-white' : 'text-white/60 hover:text-white'
+        }`}
+        style={{ fontFamily: "'Inter', sans-serif" }}
+      >
+        <Icon className="w-3 h-3" aria-hidden="true" />
+        {getSolarEventLabels(option).singular}
+      </button>
+    ))}
+  </div>
+));
+
+SolarEventToggle.displayName = 'SolarEventToggle';
+
+SolarEventToggle.propTypes = {
+  event: PropTypes.oneOf(Object.values(SOLAR_EVENTS)).isRequired,
+  onEventChange: PropTypes.func.isRequired
+};
+
+export default SolarEventToggle;
@@ -9,6 +9,10 @@ export const API_CONFIG = {
     COMMERCIAL: 'https://customer-api.open-meteo.com/v1/forecast',
     ARCHIVE: 'https://archive-api.open-meteo.com/v1/archive',
   },
+  ENSEMBLE: {
+    FREE: 'https://ensemble-api.open-meteo.com/v1/ensemble',
+    COMMERCIAL: 'https://customer-ensemble-api.open-meteo.com/v1/ensemble',
+  },
   AIR_QUALITY: {
     FREE: 'https://air-quality-api.open-meteo.com/v1/air-quality',
     COMMERCIAL: 'https://customer-air-quality-api.open-meteo.com/v1/air-quality',
@@ -21,6 +25,13 @@ export const API_CONFIG = {
   },
 };
 
+// Cache server configuration
+// Empty string means use same origin (production), localhost for development
+export const CACHE_SERVER_URL = import.meta.env.VITE_CACHE_SERVER_URL !== undefined 
+  ? import.meta.env.VITE_CACHE_SERVER_URL 
+  : 'http://localhost:3001';
+export const USE_CACHE_SERVER = import.meta.env.VITE_USE_CACHE === 'true';
+
 /**
  * Get the appropriate Open-Meteo forecast URL based on API key availability
  * @param {string} apiKey - Optional API key
@@ -39,3 +50,11 @@ export const getAirQualityUrl = (apiKey) => {
   return apiKey ? API_CONFIG.AIR_QUALITY.COMMERCIAL : API_CONFIG.AIR_QUALITY.FREE;
 };
 
+/**
+ * Get the appropriate Ensemble API URL based on API key availability
+ * @param {string} apiKey - Optional API key
+ * @returns {string} The ensemble API URL
+ */
+export const getEnsembleUrl = (apiKey) => {
+  return apiKey ? API_CONFIG.ENSEMBLE.COMMERCIAL : API_CONFIG.ENSEMBLE.FREE;
+};
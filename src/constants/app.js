@@ -13,6 +13,7 @@ export const GEOCODING_CONSTANTS = {
 // Weather & Sunset Configuration
 export const SUNSET_CONSTANTS = {
   APPROXIMATE_SUNSET_HOUR: 18, // Used for historical data when exact time unavailable
+  APPROXIMATE_SUNRISE_HOUR: 6,  // Same, for sunrise
   
   // Default values when API data is unavailable
   // These are chosen as "neutral" values that won't artificially inflate/deflate scores
@@ -21,12 +22,70 @@ export const SUNSET_CONSTANTS = {
   DEFAULT_WIND_SPEED: 10,       // 10 km/h = light breeze (doesn't affect scoring much)
   DEFAULT_HUMIDITY: 50,         // 50% = mid-range humidity (neutral for scoring)
   
+  // Scoring model: 'buckets' (legacy step ranges) or 'curves' (piecewise-linear, see scoringUtils.js)
+  SCORING_MODEL: 'buckets',
+  
+  // Weather window: 'event' (conditions at the event minute) or 'goldenHour'
+  // (average over the golden hour and afterglow around the event, see sunsetDataProcessor.js)
+  WEATHER_WINDOW: 'event',
+  GOLDEN_HOUR_MINUTES: 60,      // Golden hour before sunset / after sunrise
+  AFTERGLOW_MINUTES: 30,        // Afterglow after sunset / pre-dawn glow before sunrise
+  WINDOW_SAMPLE_MINUTES: 10,    // Sampling step inside the window
+  
+  // Golden-hour timeline in the day detail (mirrored for sunrise)
+  TIMELINE_BEFORE_MINUTES: 120, // Timeline start before sunset
+  TIMELINE_AFTER_MINUTES: 60,   // Timeline end after sunset
+  TIMELINE_STEP_MINUTES: 15,    // Score curve resolution
+  
   // Precision notes:
-  // - Sunset hour uses CLOSEST hour (rounds to nearest)
+  // - Hourly weather is linearly interpolated to the event minute (19:58 blends 19:00 and 20:00)
   // - AQI matches by timestamp when available (not just index)
   // - All times use API's timezone='auto' for location accuracy
 };
 
+// Solar events that can be scored (value = Open-Meteo daily field holding the event time)
+export const SOLAR_EVENTS = {
+  SUNSET: 'sunset',
+  SUNRISE: 'sunrise',
+};
+
+// Horizon cloud sampling along the sunset/sunrise bearing (forecast days only)
+// The 0 km sample is the forecast point itself - these are the extra points toward the sun
+export const HORIZON_CONSTANTS = {
+  SAMPLE_DISTANCES_KM: [50, 100, 200],
+};
+
+// Clearing-storm detection: rain in the hours before the event, then rising pressure and
+// low cloud breaking up by the event (the front has passed and the sky opens under the departing cloud)
+export const CLEARING_STORM_CONSTANTS = {
+  LOOKBACK_HOURS: 6,            // Hours before the event checked for rain and trends
+  MIN_RAIN_MM: 1,               // Rain over the lookback that counts as a passing storm
+  MAX_EVENT_RAIN_MM: 0.2,       // Still raining at the event above this - not cleared yet
+  MIN_PRESSURE_RISE_HPA: 1,     // Pressure rise over the lookback as the front moves through
+  MIN_LOW_CLOUD_DROP: 20,       // Low cloud drop from the lookback's peak to the event (% points)
+};
+
+// Forecast confidence from ensemble model runs
+// Each member's fields replace the main forecast's; anything a member lacks comes from the main forecast
+export const ENSEMBLE_CONSTANTS = {
+  MODEL: 'gfs_seamless',        // GFS ensemble: control run + 30 members
+  HOURLY_FIELDS: ['cloud_cover', 'cloud_cover_low', 'cloud_cover_mid', 'cloud_cover_high', 'relative_humidity_2m', 'visibility'],
+  BAND_PERCENTILES: [10, 90],   // Likely score range shown on the day cards
+};
+
+// Air quality fields fetched with the forecast and cached with historical data
+// AOD and dust describe the whole air column (elevated dust or smoke layers), PM2.5 the air at ground level
+export const AIR_QUALITY_CONSTANTS = {
+  HOURLY_FIELDS: ['us_aqi', 'aerosol_optical_depth', 'dust', 'pm2_5'],
+};
+
+// Historical Sunsets Configuration
+export const HISTORICAL_CONSTANTS = {
+  LAST_12_MONTHS: 'last12months', // Period value for the rolling window
+  ROLLING_WINDOW_DAYS: 365,       // Length of the "last 12 months" window
+  SELECTABLE_YEARS: 5,            // Calendar years offered in the picker (current year first)
+};
+
 
 // Animation Configuration (already exists in Home.jsx, but documented here for reference)
 export const ANIMATION_CONSTANTS = {
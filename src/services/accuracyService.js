@@ -0,0 +1,43 @@
+/**
+ * Forecast accuracy service
+ * Asks the cache server how far its past forecast scores were from what was
+ * observed once those days had settled
+ */
+
+import { CACHE_SERVER_URL, USE_CACHE_SERVER } from '../config/api.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Fetch forecast skill (MAE and bias by lead time) for a location
+ * Needs the cache server (it logs forecasts and verifies them) - returns null without it
+ * @param {Object} location - Location object with latitude, longitude
+ * @returns {Promise<Object|null>} { verifiedDays, events: { sunset: { overall, byLead }, sunrise }, ... },
+ *   or null if unavailable
+ */
+export const fetchForecastAccuracy = async (location) => {
+  if (!USE_CACHE_SERVER) {
+    return null;
+  }
+
+  try {
+    const url = `${CACHE_SERVER_URL}/api/accuracy?` + new URLSearchParams({
+      latitude: location.latitude,
+      longitude: location.longitude
+    });
+
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: { 'Accept': 'application/json' },
+      signal: AbortSignal.timeout(10000)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Cache server returned ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    logger.debug('⚠️ Forecast accuracy unavailable:', error.message);
+    return null;
+  }
+};
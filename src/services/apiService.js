@@ -1,24 +1,122 @@
 /**
- * API service for fetching weather data directly from Open-Meteo APIs
- * No caching - direct API calls only
+ * API service for fetching weather data from Open-Meteo APIs
+ * Forecasts go through the cache server's /api/forecast proxy when VITE_USE_CACHE is on,
+ * otherwise (or if the server is unreachable) Open-Meteo is called directly
  */
 
-import { getForecastUrl, getAirQualityUrl } from '../config/api.js';
+import { getForecastUrl, getAirQualityUrl, getEnsembleUrl, CACHE_SERVER_URL, USE_CACHE_SERVER } from '../config/api.js';
 import { parseLocationQuery, processDayData } from './forecastDataProcessor.js';
-import { buildForecastUrl, buildHistoricalUrl, buildAirQualityUrl } from '../utils/apiUrlBuilder.js';
+import { getHorizonSamplePoints, buildHorizonData, HORIZON_HOURLY_FIELDS } from './horizonSampling.js';
+import { getEnsembleMembers } from './ensembleService.js';
+import { getSolarEventTimeline } from './sunsetDataProcessor.js';
+import { ENSEMBLE_CONSTANTS } from '../constants/app.js';
+import { buildForecastUrl, buildHistoricalUrl, buildAirQualityUrl, buildHorizonUrl, buildEnsembleUrl } from '../utils/apiUrlBuilder.js';
 import { logger } from '../utils/logger.js';
 
 /**
- * Fetch live forecast data from Open-Meteo API
- * @param {string} locationQuery - Location name or coordinates
- * @param {string} customLocationName - Optional custom location name
- * @returns {Promise<Object>} - Complete forecast object
+ * Fetch forecast and AQI through the cache server's forecast proxy
+ * @param {Object} coords - Coordinates object with latitude and longitude
+ * @returns {Promise<Object|null>} { apiData, aqiData, horizonData, ensembleData }, or null if the proxy is disabled or unavailable
  */
-export const fetchForecastData = async (locationQuery, customLocationName = null) => {
-  // Step 1: Parse coordinates using utility function
-  const { coords, locationName } = parseLocationQuery(locationQuery, customLocationName);
+const fetchForecastFromCacheServer = async (coords) => {
+  if (!USE_CACHE_SERVER) {
+    return null;
+  }
+  
+  try {
+    const url = `${CACHE_SERVER_URL}/api/forecast?` + new URLSearchParams({
+      latitude: coords.latitude,
+      longitude: coords.longitude
+    });
+    
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: { 'Accept': 'application/json' },
+      signal: AbortSignal.timeout(15000) // 15 second timeout
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Cache server returned ${response.status}`);
+    }
+    
+    const data = await response.json();
+    logger.debug('🌤️ Forecast proxy response:', {
+      fromCache: data.metadata?.fromCache,
+      servedStale: data.metadata?.servedStale,
+      hasAqi: !!data.aqi?.hourly?.us_aqi,
+      hasHorizon: !!data.horizon,
+      hasEnsemble: !!data.ensemble
+    });
+    
+    return {
+      apiData: data.forecast,
+      aqiData: data.aqi,
+      horizonData: data.horizon || null,
+      ensembleData: data.ensemble || null
+    };
+  } catch (error) {
+    logger.debug('⚠️ Forecast proxy unavailable, falling back to direct API:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Fetch cloud layers at points along the sunset and sunrise bearings in one multi-coordinate request
+ * @param {Object} coords - Coordinates object with latitude and longitude
+ * @param {Object} apiData - Forecast response (for the first date and the timezone)
+ * @param {string} apiKey - Optional API key
+ * @returns {Promise<Object|null>} Horizon samples by event, or null if unavailable
+ */
+const fetchHorizonFromAPI = async (coords, apiData, apiKey) => {
+  try {
+    const samplePoints = getHorizonSamplePoints(coords.latitude, coords.longitude, apiData.daily.time[0]);
+    const url = buildHorizonUrl(getForecastUrl(apiKey), samplePoints, HORIZON_HOURLY_FIELDS, apiData.timezone, apiKey);
+    
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Horizon request returned ${response.status}`);
+    }
+    
+    return buildHorizonData(samplePoints, await response.json());
+  } catch (error) {
+    logger.debug('⚠️ Could not fetch horizon cloud samples for live forecast:', error);
+    return null;
+  }
+};
+
+/**
+ * Fetch ensemble members for the forecast confidence range
+ * @param {Object} coords - Coordinates object with latitude and longitude
+ * @param {Object} apiData - Forecast response (for the timezone)
+ * @param {string} apiKey - Optional API key
+ * @returns {Promise<Object|null>} Ensemble response, or null if unavailable
+ */
+const fetchEnsembleFromAPI = async (coords, apiData, apiKey) => {
+  try {
+    const url = buildEnsembleUrl(getEnsembleUrl(apiKey), coords, {
+      model: ENSEMBLE_CONSTANTS.MODEL,
+      hourly: ENSEMBLE_CONSTANTS.HOURLY_FIELDS.join(','),
+      timezone: apiData.timezone
+    }, apiKey);
+    
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Ensemble request returned ${response.status}`);
+    }
+    
+    return await response.json();
+  } catch (error) {
+    logger.debug('⚠️ Could not fetch ensemble data for live forecast:', error);
+    return null;
+  }
+};
 
-  // Step 2: Fetch weather data from Open-Meteo API
+/**
+ * Fetch forecast, AQI, horizon cloud samples and ensemble members directly from Open-Meteo
+ * @param {Object} coords - Coordinates object with latitude and longitude
+ * @returns {Promise<Object>} { apiData, aqiData, horizonData, ensembleData }
+ */
+const fetchForecastFromAPI = async (coords) => {
   const apiKey = (typeof globalThis.import !== 'undefined' && globalThis.import.meta && globalThis.import.meta.env && globalThis.import.meta.env.VITE_OPENMETEO_API_KEY) || '';
   const baseUrl = getForecastUrl(apiKey);
   const url = buildForecastUrl(baseUrl, coords, apiKey);
@@ -39,7 +137,7 @@ export const fetchForecastData = async (locationQuery, customLocationName = null
   
   const apiData = await response.json();
   
-  // Step 3: Fetch air quality data for 7 days (matching forecast range)
+  // Air quality data for 7 days (matching forecast range)
   let aqiData = null;
   try {
     const today = new Date().toISOString().split('T')[0];
@@ -72,8 +170,25 @@ export const fetchForecastData = async (locationQuery, customLocationName = null
     logger.debug('⚠️ Could not fetch AQI data for live forecast:', error);
   }
   
-  // Step 4: Process the data using utility functions (with AQI data)
-  const days = [];
+  const horizonData = await fetchHorizonFromAPI(coords, apiData, apiKey);
+  const ensembleData = await fetchEnsembleFromAPI(coords, apiData, apiKey);
+  
+  return { apiData, aqiData, horizonData, ensembleData };
+};
+
+/**
+ * Fetch live forecast data from Open-Meteo API
+ * @param {string} locationQuery - Location name or coordinates
+ * @param {string} customLocationName - Optional custom location name
+ * @returns {Promise<Object>} - Complete forecast object
+ */
+export const fetchForecastData = async (locationQuery, customLocationName = null) => {
+  // Step 1: Parse coordinates using utility function
+  const { coords, locationName } = parseLocationQuery(locationQuery, customLocationName);
+
+  // Step 2: Fetch forecast + AQI + horizon samples + ensemble via the cache server, or directly from Open-Meteo
+  const { apiData, aqiData, horizonData, ensembleData } = await fetchForecastFromCacheServer(coords)
+    || await fetchForecastFromAPI(coords);
   
   // Check if today's sunset has passed - if so, we should use historical data for Day 0
   const now = new Date();
@@ -115,27 +230,20 @@ export const fetchForecastData = async (locationQuery, customLocationName = null
     }
   }
   
-  for (let i = 0; i < apiData.daily.time.length; i++) {
-    // For Day 0 (today) after sunset, use historical data if available
-    if (i === 0 && sunsetHasPassed && historicalTodayData) {
-      const dayData = processDayData(historicalTodayData, 0, historicalTodayData.hourly, aqiData);
-      dayData._dataSource = 'historical'; // Mark that this came from historical data
-      days.push(dayData);
-      
-      console.log('📊 TODAY\'S SCORE (from actual observations):');
-      console.log('   Score:', dayData.sunset_score + '/100');
-      console.log('   High Clouds:', dayData.cloud_coverage_high + '%');
-      console.log('   Mid Clouds:', dayData.cloud_coverage_mid + '%');
-      console.log('   Low Clouds:', dayData.cloud_coverage_low + '%');
-      console.log('   Humidity:', dayData.humidity + '%');
-      console.log('   Data Source: HISTORICAL (actual weather)');
-      console.log('═══════════════════════════════════════════════════════════\n');
-    } else {
-      // Use forecast data as normal
-      const dayData = processDayData(apiData, i, apiData.hourly, aqiData);
-      dayData._dataSource = 'forecast'; // Mark that this came from forecast
-      days.push(dayData);
-    }
+  // Step 3: Score the days (with AQI data) - the raw data is kept so the days can be
+  // re-scored with another scoring profile
+  const sources = { apiData, aqiData, horizonData, ensembleData, historicalTodayData };
+  const days = scoreForecastDays(sources);
+  
+  if (days[0]?._dataSource === 'historical') {
+    const dayData = days[0];
+    console.log('📊 TODAY\'S SCORE (from actual observations):');
+    console.log('   Score:', dayData.sunset_score + '/100');
+    console.log('   High Clouds:', dayData.cloud_coverage_high + '%');
+    console.log('   Mid Clouds:', dayData.cloud_coverage_mid + '%');
+    console.log('   Low Clouds:', dayData.cloud_coverage_low + '%');
+    console.log('   Humidity:', dayData.humidity + '%');
+    console.log('   Data Source: HISTORICAL (actual weather)');
   }
   console.log('═══════════════════════════════════════════════════════════\n');
 
@@ -144,30 +252,82 @@ export const fetchForecastData = async (locationQuery, customLocationName = null
     latitude: coords.latitude,
     longitude: coords.longitude,
     days: days,
+    sources,
     lastUpdated: new Date().toISOString()
   };
 };
 
+/**
+ * Score forecast days from raw forecast data
+ * Today's sunset is scored from actual observations when they were fetched (sunset already passed)
+ * Horizon samples and ensemble members are forecasts, so they are only used for forecast-scored days
+ * @param {Object} sources - { apiData, aqiData, horizonData, ensembleData, historicalTodayData } as kept on the forecast object
+ * @param {Object} options - { scoringProfile: profile id }
+ * @returns {Array} Processed days
+ */
+export const scoreForecastDays = ({ apiData, aqiData, horizonData = null, ensembleData = null, historicalTodayData }, { scoringProfile } = {}) => {
+  const ensembleMembers = getEnsembleMembers(ensembleData, apiData.hourly);
+  
+  return apiData.daily.time.map((date, i) => {
+    // For Day 0 (today) after sunset, use historical data if available
+    if (i === 0 && historicalTodayData) {
+      const dayData = processDayData(historicalTodayData, 0, historicalTodayData.hourly, aqiData, { scoringProfile });
+      dayData._dataSource = 'historical'; // Mark that this came from historical data
+      return dayData;
+    }
+    
+    // Use forecast data as normal
+    const dayData = processDayData(apiData, i, apiData.hourly, aqiData, { scoringProfile, horizonData, ensembleMembers });
+    dayData._dataSource = 'forecast'; // Mark that this came from forecast
+    return dayData;
+  });
+};
+
+/**
+ * Golden-hour timeline for one forecast day, from the same raw data the day was scored from
+ * @param {Object} sources - { apiData, aqiData, horizonData, historicalTodayData } as kept on the forecast object
+ * @param {string} date - YYYY-MM-DD forecast date
+ * @param {string} event - SOLAR_EVENTS value
+ * @param {Object} options - { scoringProfile, scoringModel, weatherWindow } as the day was scored with
+ * @returns {Object|null} Result of getSolarEventTimeline, or null if the date isn't in the forecast
+ */
+export const getForecastDayTimeline = ({ apiData, aqiData, horizonData = null, historicalTodayData }, date, event, { scoringProfile, scoringModel, weatherWindow } = {}) => {
+  const dayIndex = apiData.daily.time.indexOf(date);
+  if (dayIndex === -1) return null;
+  
+  // Match scoreForecastDays: today from observations when they were fetched
+  const useObservations = dayIndex === 0 && historicalTodayData;
+  const weatherData = useObservations ? historicalTodayData : apiData;
+  
+  return getSolarEventTimeline({
+    dayIndex,
+    dailyData: weatherData.daily,
+    hourlyData: weatherData.hourly,
+    aqiData,
+    event,
+    scoringModel,
+    scoringProfile,
+    weatherWindow,
+    horizonData: useObservations ? null : horizonData
+  });
+};
+
 /**
  * Fetch historical weather data directly from Open-Meteo Archive API
  * NOTE: Historical API requires Professional plan or higher
  * Currently using free Archive API with rate limits
  * @param {number} latitude - Latitude coordinate
  * @param {number} longitude - Longitude coordinate
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format (no later than today)
  * @returns {Promise<Object>} - Historical weather data object
  */
-export const fetchHistoricalWeatherData = async (latitude, longitude) => {
-  // Use current year from January 1st until today
-  const year = new Date().getFullYear();
-  const today = new Date().toISOString().split('T')[0]; // Today's date in YYYY-MM-DD format
-  
+export const fetchHistoricalWeatherData = async (latitude, longitude, startDate, endDate) => {
   logger.debug('🔍 Fetching Historical Weather Data:', {
     latitude,
     longitude,
-    year,
-    today,
-    startDate: `${year}-01-01`,
-    endDate: today
+    startDate,
+    endDate
   });
   
   // NOTE: Current plan (Hobbyist) doesn't include historical API access
@@ -179,8 +339,8 @@ export const fetchHistoricalWeatherData = async (latitude, longitude) => {
     'https://archive-api.open-meteo.com/v1/archive',
     latitude,
     longitude,
-    `${year}-01-01`,
-    today,
+    startDate,
+    endDate,
     apiKey
   );
   
@@ -221,14 +381,13 @@ export const fetchHistoricalWeatherData = async (latitude, longitude) => {
  * Fetch historical air quality data from Open-Meteo Archive API
  * @param {number} latitude - Latitude coordinate
  * @param {number} longitude - Longitude coordinate
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format (no later than today)
  * @returns {Promise<Object>} - Historical air quality data object
  */
-export const fetchHistoricalAirQualityData = async (latitude, longitude) => {
+export const fetchHistoricalAirQualityData = async (latitude, longitude, startDate, endDate) => {
   // Open-Meteo Archive API doesn't support historical air quality data
-  // Use the current air quality API instead for the current year
-  const year = new Date().getFullYear();
-  const startDate = `${year}-01-01`;
-  const endDate = new Date().toISOString().split('T')[0]; // Today's date
+  // Use the air quality API's past data instead
   
   // Add API key if using Open-Meteo Commercial (set in environment variable)
   const apiKey = (typeof globalThis.import !== 'undefined' && globalThis.import.meta && globalThis.import.meta.env && globalThis.import.meta.env.VITE_OPENMETEO_API_KEY) || '';
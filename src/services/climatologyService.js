@@ -0,0 +1,72 @@
+/**
+ * Climatology service
+ * Asks the cache server how forecast scores compare with past years' sunsets
+ * (or sunrises) at the same location and time of year
+ */
+
+import { CACHE_SERVER_URL, USE_CACHE_SERVER } from '../config/api.js';
+import { DEFAULT_SCORING_PROFILE } from './scoringProfiles.js';
+import { SUNSET_CONSTANTS, SOLAR_EVENTS } from '../constants/app.js';
+import { getSolarEventView } from '../utils/solarEvents.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Score of a forecast day to rank against past years: the displayed score (ensemble
+ * median when available) without the horizon term, which historical days never get
+ */
+const getComparableScore = (day, event) => {
+  const { score, confidence, climatologyScore } = getSolarEventView(day, event);
+  return climatologyScore ?? confidence?.median ?? score;
+};
+
+/**
+ * Fetch "better than X% of sunsets here" context for forecast days
+ * Needs the cache server (multi-year archive) - returns null without it
+ * Past years are scored with the same profile, model and weather window as the forecast
+ * @param {Object} location - Location object with latitude, longitude, name
+ * @param {Array} days - Forecast days (processDayData output)
+ * @param {string} scoringProfile - Scoring profile the days were scored with
+ * @param {string} event - SOLAR_EVENTS value to compare
+ * @returns {Promise<Object|null>} Climatology entries keyed by date, or null if unavailable
+ */
+export const fetchClimatologyForDays = async (location, days, scoringProfile = DEFAULT_SCORING_PROFILE, event = SOLAR_EVENTS.SUNSET) => {
+  if (!USE_CACHE_SERVER || !days?.length) {
+    return null;
+  }
+
+  try {
+    const url = `${CACHE_SERVER_URL}/api/climatology?` + new URLSearchParams({
+      latitude: location.latitude,
+      longitude: location.longitude,
+      location: location.name || `${location.latitude},${location.longitude}`,
+      dates: days.map(day => day.date).join(','),
+      scores: days.map(day => getComparableScore(day, event)).join(','),
+      event,
+      profile: scoringProfile,
+      model: SUNSET_CONSTANTS.SCORING_MODEL,
+      window: SUNSET_CONSTANTS.WEATHER_WINDOW
+    });
+
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: { 'Accept': 'application/json' },
+      signal: AbortSignal.timeout(30000) // First build for a location fetches several years
+    });
+
+    if (!response.ok) {
+      throw new Error(`Cache server returned ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    return Object.fromEntries(data.days.map(entry => [entry.date, {
+      ...entry,
+      event: data.event,
+      years: data.years,
+      windowDays: data.windowDays
+    }]));
+  } catch (error) {
+    logger.debug('⚠️ Climatology unavailable:', error.message);
+    return null;
+  }
+};
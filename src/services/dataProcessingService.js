@@ -3,7 +3,8 @@
  * Handles both live and historical data processing
  */
 
-import { processSunsetDay } from './sunsetDataProcessor.js';
+import { processSolarEventDay, toEventDayFields } from './sunsetDataProcessor.js';
+import { SOLAR_EVENTS } from '../constants/app.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -12,10 +13,12 @@ import { logger } from '../utils/logger.js';
  * @param {Object} weatherData - Historical weather data from Open-Meteo
  * @param {Object} aqiData - Historical air quality data (optional)
  * @param {Object} location - Location object with lat, lon, name
- * @param {number} year - Year of the data
+ * @param {number|null} year - Year of the data (null for a rolling 12-month window)
+ * @param {Object} options - { scoringModel: 'buckets' | 'curves', scoringProfile: profile id,
+ *   weatherWindow: 'event' | 'goldenHour' }
  * @returns {Array} - Array of daily sunset data with scores
  */
-export const processHistoricalSunsetData = (weatherData, aqiData, location, year) => {
+export const processHistoricalSunsetData = (weatherData, aqiData, location, year, { scoringModel, scoringProfile, weatherWindow } = {}) => {
   const days = [];
   const totalDays = weatherData.daily?.time?.length || 365;
   
@@ -35,14 +38,19 @@ export const processHistoricalSunsetData = (weatherData, aqiData, location, year
   
   // Process each day of the year - NOW USING UNIFIED SUNSET PROCESSING MODULE
   for (let dayIndex = 0; dayIndex < totalDays; dayIndex++) {
-    // Use unified sunset processing module for consistency with live forecast
-    const sunsetData = processSunsetDay({
+    // Use unified solar event processing module for consistency with live forecast
+    const eventParams = {
       dayIndex,
       dailyData: weatherData.daily,
       hourlyData: weatherData.hourly,
       aqiData,
-      dataType: 'historical'
-    });
+      dataType: 'historical',
+      scoringModel,
+      scoringProfile,
+      weatherWindow
+    };
+    const sunsetData = processSolarEventDay({ ...eventParams, event: SOLAR_EVENTS.SUNSET });
+    const sunriseData = processSolarEventDay({ ...eventParams, event: SOLAR_EVENTS.SUNRISE });
     
     // Get day of week
     const dayOfWeek = new Date(weatherData.daily.time[dayIndex]).toLocaleDateString('en-US', { 
@@ -58,7 +66,7 @@ export const processHistoricalSunsetData = (weatherData, aqiData, location, year
         month: 'long',
         day: 'numeric'
       }),
-      sunset_score: sunsetData.sunsetScore,
+      sunset_score: sunsetData.score,
       conditions: sunsetData.conditions,
       weather_code: sunsetData.weatherCode,
       cloud_coverage: sunsetData.cloudCoverage,
@@ -70,9 +78,19 @@ export const processHistoricalSunsetData = (weatherData, aqiData, location, year
       visibility: sunsetData.visibility,
       wind_speed: sunsetData.windSpeed,
       air_quality_index: sunsetData.aqi,
-      sunset_time: sunsetData.sunsetTime,
+      aerosol_optical_depth: sunsetData.aerosolOpticalDepth,
+      dust: sunsetData.dust,
+      pm2_5: sunsetData.pm25,
+      clearing_storm: sunsetData.clearingStorm,
+      sunset_time: sunsetData.eventTime,
       sunset: weatherData.daily.sunset?.[dayIndex],
-      sunrise: weatherData.daily.sunrise?.[dayIndex]
+      sunrise: weatherData.daily.sunrise?.[dayIndex],
+      score_breakdown: sunsetData.breakdown,
+      sunrise_time: sunriseData.eventTime,
+      sunrise_score: sunriseData.score,
+      sunrise_conditions: sunriseData.conditions,
+      sunrise_weather: toEventDayFields(sunriseData),
+      sunrise_score_breakdown: sunriseData.breakdown
     });
   }
   
@@ -81,20 +99,25 @@ export const processHistoricalSunsetData = (weatherData, aqiData, location, year
 
 
 /**
- * Get top 10 sunsets from historical data
- * @param {Array} historicalData - Array of daily sunset data
- * @returns {Array} - Top 10 sunsets with ranking
+ * Get the best N sunsets (or sunrises) from historical data
+ * @param {Array} historicalData - Array of daily sunset data (not modified)
+ * @param {number} count - How many days to return
+ * @param {Object} options - { event: SOLAR_EVENTS value to rank by (default sunset) }
+ * @returns {Array} - Top days with ranking; score is the ranked event's score
  */
-export const getTop10Sunsets = (historicalData) => {
-  return historicalData
-    .sort((a, b) => b.sunset_score - a.sunset_score)
-    .slice(0, 10)
+export const getTopSunsets = (historicalData, count = 10, { event = SOLAR_EVENTS.SUNSET } = {}) => {
+  const scoreKey = `${event}_score`;
+  
+  return [...historicalData]
+    .sort((a, b) => b[scoreKey] - a[scoreKey])
+    .slice(0, count)
     .map((day, index) => ({
       rank: index + 1,
+      event,
       date: day.date,
       day_of_week: day.day_of_week,
       formatted_date: day.formatted_date,
-      score: day.sunset_score,
+      score: day[scoreKey],
       sunset_score: day.sunset_score,
       conditions: day.conditions,
       weather_code: day.weather_code,
@@ -109,17 +132,31 @@ export const getTop10Sunsets = (historicalData) => {
       air_quality_index: day.air_quality_index,
       sunset_time: day.sunset_time,
       sunset: day.sunset,
-      sunrise: day.sunrise
+      sunrise: day.sunrise,
+      score_breakdown: day.score_breakdown,
+      sunrise_time: day.sunrise_time,
+      sunrise_score: day.sunrise_score,
+      sunrise_conditions: day.sunrise_conditions,
+      sunrise_weather: day.sunrise_weather,
+      sunrise_score_breakdown: day.sunrise_score_breakdown
     }));
 };
 
+/**
+ * Get top 10 sunsets from historical data
+ * @param {Array} historicalData - Array of daily sunset data
+ * @returns {Array} - Top 10 sunsets with ranking
+ */
+export const getTop10Sunsets = (historicalData) => getTopSunsets(historicalData, 10);
+
 /**
  * Get score statistics for historical data
  * @param {Array} historicalData - Array of daily sunset data
+ * @param {Object} options - { event: SOLAR_EVENTS value (default sunset) }
  * @returns {Object} - Statistics object
  */
-export const getScoreStatistics = (historicalData) => {
-  const scores = historicalData.map(day => day.sunset_score);
+export const getScoreStatistics = (historicalData, { event = SOLAR_EVENTS.SUNSET } = {}) => {
+  const scores = historicalData.map(day => day[`${event}_score`]);
   const sortedScores = [...scores].sort((a, b) => b - a);
   
   return {
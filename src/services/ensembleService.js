@@ -0,0 +1,78 @@
+/**
+ * Ensemble Forecast Confidence
+ * Scores every ensemble member with the same pipeline as the main forecast, so each day
+ * gets a median score and a likely range instead of a single number.
+ * Used by both the web app and the cache server's sunset scoring.
+ */
+
+import { ENSEMBLE_CONSTANTS } from '../constants/app.js';
+
+/**
+ * Split an Open-Meteo ensemble response into per-member hourly data
+ * The response holds the control run as plain fields (cloud_cover) and the members as
+ * suffixed fields (cloud_cover_member01, ...). Each member is laid over the main forecast's
+ * hourly data, matched by timestamp, so fields the ensemble lacks keep the forecast values.
+ * @param {Object} ensembleData - Ensemble API response
+ * @param {Object} forecastHourly - Main forecast hourly data
+ * @returns {Array} Hourly data objects, one per member (empty without ensemble data)
+ */
+export const getEnsembleMembers = (ensembleData, forecastHourly) => {
+  const hourly = ensembleData?.hourly;
+  if (!hourly?.time || !forecastHourly?.time) return [];
+
+  const memberSuffixes = new Set(['']);
+  Object.keys(hourly).forEach((key) => {
+    const match = key.match(/(_member\d+)$/);
+    if (match) memberSuffixes.add(match[1]);
+  });
+
+  const ensembleIndexByTime = new Map(hourly.time.map((time, index) => [time, index]));
+  const ensembleIndexes = forecastHourly.time.map(time => ensembleIndexByTime.get(time));
+
+  return [...memberSuffixes].sort().flatMap((suffix) => {
+    const fields = ENSEMBLE_CONSTANTS.HOURLY_FIELDS.filter(field => Array.isArray(hourly[`${field}${suffix}`]));
+    if (fields.length === 0) return [];
+
+    const memberHourly = { ...forecastHourly };
+    fields.forEach((field) => {
+      const values = hourly[`${field}${suffix}`];
+      memberHourly[field] = ensembleIndexes.map((ensembleIndex, index) => {
+        const value = ensembleIndex === undefined ? undefined : values[ensembleIndex];
+        return value === null || value === undefined ? forecastHourly[field]?.[index] : value;
+      });
+    });
+    return [memberHourly];
+  });
+};
+
+/**
+ * Percentile of sorted numbers with linear interpolation between ranks
+ */
+const getPercentile = (sorted, percentile) => {
+  const rank = (percentile / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.min(lower + 1, sorted.length - 1);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+/**
+ * Summarise member scores into a headline score and likely range
+ * @param {Array<number>} scores - One score per ensemble member
+ * @returns {Object|null} { median, low, high, spread, members } - spread is half the low-high range
+ */
+export const summarizeMemberScores = (scores) => {
+  if (!scores.length) return null;
+
+  const sorted = [...scores].sort((a, b) => a - b);
+  const [lowPercentile, highPercentile] = ENSEMBLE_CONSTANTS.BAND_PERCENTILES;
+  const low = Math.round(getPercentile(sorted, lowPercentile));
+  const high = Math.round(getPercentile(sorted, highPercentile));
+
+  return {
+    median: Math.round(getPercentile(sorted, 50)),
+    low,
+    high,
+    spread: Math.round((high - low) / 2),
+    members: sorted.length
+  };
+};
@@ -3,7 +3,9 @@
  * Extracted from apiService.js for better maintainability and testability
  */
 
-import { processSunsetDay } from './sunsetDataProcessor.js';
+import { processSolarEventDay, toEventDayFields } from './sunsetDataProcessor.js';
+import { summarizeMemberScores } from './ensembleService.js';
+import { SOLAR_EVENTS } from '../constants/app.js';
 
 /**
  * Parse location query to extract coordinates and name
@@ -33,21 +35,48 @@ export const parseLocationQuery = (locationQuery, customLocationName = null) =>
 /**
  * Process daily forecast data with scoring using ACTUAL SUNSET HOUR CONDITIONS
  * Now uses unified sunset processing module for consistency
+ * Sunrise is scored the same way from the sunrise hour (sunrise_* fields)
+ * With ensemble members, every member is scored too and summarised in *_confidence
  * @param {Object} apiData - Raw API data
  * @param {number} dayIndex - Day index
  * @param {Object} hourlyData - Hourly weather data
  * @param {Object} aqiData - Optional air quality data
+ * @param {Object} options - { scoringModel: 'buckets' | 'curves', scoringProfile: profile id,
+ *   weatherWindow: 'event' | 'goldenHour', horizonData: horizon cloud samples by event,
+ *   ensembleMembers: member hourly data from getEnsembleMembers }
  * @returns {Object} Processed day data
  */
-export const processDayData = (apiData, dayIndex, hourlyData, aqiData = null) => {
-  // Use unified sunset processing module
-  const sunsetData = processSunsetDay({
+export const processDayData = (apiData, dayIndex, hourlyData, aqiData = null, { scoringModel, scoringProfile, weatherWindow, horizonData, ensembleMembers = [] } = {}) => {
+  // Use unified solar event processing module for both ends of the day
+  const eventParams = {
     dayIndex,
     dailyData: apiData.daily,
     hourlyData,
     aqiData,
-    dataType: 'forecast'
-  });
+    dataType: 'forecast',
+    scoringModel,
+    scoringProfile,
+    weatherWindow,
+    horizonData
+  };
+  const sunsetData = processSolarEventDay({ ...eventParams, event: SOLAR_EVENTS.SUNSET });
+  const sunriseData = processSolarEventDay({ ...eventParams, event: SOLAR_EVENTS.SUNRISE });
+  
+  // Score every ensemble member the same way for the median and likely range
+  const scoreMembers = (event) => ensembleMembers.map(memberHourly => processSolarEventDay({
+    ...eventParams,
+    hourlyData: memberHourly,
+    event,
+    logDebug: false
+  }));
+  const sunsetMembers = scoreMembers(SOLAR_EVENTS.SUNSET);
+  const sunriseMembers = scoreMembers(SOLAR_EVENTS.SUNRISE);
+  
+  // The headline score (ensemble median when available) without the horizon term,
+  // which historical days can't have - the score climatology compares with past years
+  const getClimatologyScore = (eventData, members) => (members.length > 0
+    ? summarizeMemberScores(members.map(member => member.scoreWithoutHorizon)).median
+    : eventData.scoreWithoutHorizon);
   
   // Get day of week
   const dayOfWeek = new Date(apiData.daily.time[dayIndex]).toLocaleDateString('en-US', { 
@@ -63,8 +92,8 @@ export const processDayData = (apiData, dayIndex, hourlyData, aqiData = null) =>
     temperature_min: apiData.daily.temperature_2m_min[dayIndex],
     sunset: apiData.daily.sunset[dayIndex],
     sunrise: apiData.daily.sunrise[dayIndex],
-    sunset_time: sunsetData.sunsetTime,
-    sunset_score: sunsetData.sunsetScore,
+    sunset_time: sunsetData.eventTime,
+    sunset_score: sunsetData.score,
     conditions: sunsetData.conditions,
     cloud_coverage: sunsetData.cloudCoverage,
     cloud_coverage_low: sunsetData.cloudCoverageLow,
@@ -73,6 +102,21 @@ export const processDayData = (apiData, dayIndex, hourlyData, aqiData = null) =>
     humidity: sunsetData.humidity,
     precipitation_chance: sunsetData.precipChance,
     visibility: sunsetData.visibility,
-    wind_speed: sunsetData.windSpeed
+    wind_speed: sunsetData.windSpeed,
+    aerosol_optical_depth: sunsetData.aerosolOpticalDepth,
+    dust: sunsetData.dust,
+    pm2_5: sunsetData.pm25,
+    horizon_cloud_cover: sunsetData.horizonCloudCover,
+    clearing_storm: sunsetData.clearingStorm,
+    score_breakdown: sunsetData.breakdown,
+    sunset_confidence: summarizeMemberScores(sunsetMembers.map(member => member.score)),
+    sunset_climatology_score: getClimatologyScore(sunsetData, sunsetMembers),
+    sunrise_time: sunriseData.eventTime,
+    sunrise_score: sunriseData.score,
+    sunrise_conditions: sunriseData.conditions,
+    sunrise_weather: toEventDayFields(sunriseData),
+    sunrise_score_breakdown: sunriseData.breakdown,
+    sunrise_confidence: summarizeMemberScores(sunriseMembers.map(member => member.score)),
+    sunrise_climatology_score: getClimatologyScore(sunriseData, sunriseMembers)
   };
 };
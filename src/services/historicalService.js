@@ -4,16 +4,12 @@
  */
 
 import { fetchHistoricalWeatherData, fetchHistoricalAirQualityData } from './apiService.js';
-import { processHistoricalSunsetData, getTop10Sunsets, getScoreStatistics } from './dataProcessingService.js';
+import { processHistoricalSunsetData, getTop10Sunsets, getTopSunsets, getScoreStatistics } from './dataProcessingService.js';
+import { CACHE_SERVER_URL, USE_CACHE_SERVER } from '../config/api.js';
+import { HISTORICAL_CONSTANTS, SOLAR_EVENTS } from '../constants/app.js';
+import { getHistoricalDateRange } from '../utils/historicalPeriods.js';
 import { logger } from '../utils/logger.js';
 
-// Cache server configuration
-// Empty string means use same origin (production), localhost for development
-const CACHE_SERVER_URL = import.meta.env.VITE_CACHE_SERVER_URL !== undefined 
-  ? import.meta.env.VITE_CACHE_SERVER_URL 
-  : 'http://localhost:3001';
-const USE_CACHE_SERVER = import.meta.env.VITE_USE_CACHE === 'true';
-
 /**
  * Fetch historical data from cache server (if available) or fallback to direct API
  */
@@ -63,12 +59,17 @@ async function fetchHistoricalWithCache(location, startDate, endDate) {
  * Fetch and process historical sunset data with progress updates
  * @param {Object} location - Location object with lat, lon, name
  * @param {Function} onProgress - Progress callback function
+ * @param {number|string} period - Calendar year or HISTORICAL_CONSTANTS.LAST_12_MONTHS (default)
+ * @param {Object} options - { scoringProfile: profile id }
  * @returns {Promise<Object>} - Complete historical forecast object
  */
-export const fetchHistoricalForecastWithProgress = async (location, onProgress) => {
-  const year = new Date().getFullYear();
-  const startDate = `${year}-01-01`;
-  const endDate = `${year}-12-31`;
+export const fetchHistoricalForecastWithProgress = async (
+  location,
+  onProgress,
+  period = HISTORICAL_CONSTANTS.LAST_12_MONTHS,
+  { scoringProfile } = {}
+) => {
+  const { startDate, endDate, year } = getHistoricalDateRange(period);
   
   try {
     // Progress: Starting
@@ -80,17 +81,18 @@ export const fetchHistoricalForecastWithProgress = async (location, onProgress)
     
     let weatherData, aqiData, processedData;
     
-    if (cachedData && cachedData.metadata?.cached) {
+    if (cachedData && cachedData.weather?.daily) {
       // We have cached RAW data - process it
       logger.debug(`📦 Using cached raw data, processing locally`);
       onProgress({ stage: 'loading_from_cache', progress: 50 });
       
       weatherData = cachedData.weather;
-      aqiData = cachedData.aqi;
+      // Cache server returns the AQI hourly series directly - wrap it like the API response
+      aqiData = cachedData.aqi ? { hourly: cachedData.aqi } : null;
       
       // Progress: Processing cached data
       onProgress({ stage: 'processing_data', progress: 75 });
-      processedData = processHistoricalSunsetData(weatherData, aqiData, location, year);
+      processedData = processHistoricalSunsetData(weatherData, aqiData, location, year, { scoringProfile });
       
     } else {
       // No cache or cache miss - fetch from API
@@ -98,21 +100,29 @@ export const fetchHistoricalForecastWithProgress = async (location, onProgress)
       
       // Progress: Fetching weather data
       onProgress({ stage: 'fetching_weather', progress: 25 });
-      weatherData = await fetchHistoricalWeatherData(location.latitude, location.longitude);
+      weatherData = await fetchHistoricalWeatherData(location.latitude, location.longitude, startDate, endDate);
       
       // Progress: Fetching air quality data
+      // AQI history doesn't reach back as far as the weather archive - score without it if unavailable
       onProgress({ stage: 'fetching_aqi', progress: 50 });
-      aqiData = await fetchHistoricalAirQualityData(location.latitude, location.longitude);
+      try {
+        aqiData = await fetchHistoricalAirQualityData(location.latitude, location.longitude, startDate, endDate);
+      } catch (error) {
+        logger.debug('⚠️ Historical AQI unavailable, scoring without it:', error.message);
+        aqiData = null;
+      }
       
       // Progress: Processing data
       onProgress({ stage: 'processing_data', progress: 75 });
-      processedData = processHistoricalSunsetData(weatherData, aqiData, location, year);
+      processedData = processHistoricalSunsetData(weatherData, aqiData, location, year, { scoringProfile });
     }
     
     // Progress: Calculating statistics
     onProgress({ stage: 'calculating_stats', progress: 90 });
     const top10 = getTop10Sunsets(processedData);
     const statistics = getScoreStatistics(processedData);
+    const top10Sunrises = getTopSunsets(processedData, 10, { event: SOLAR_EVENTS.SUNRISE });
+    const sunriseStatistics = getScoreStatistics(processedData, { event: SOLAR_EVENTS.SUNRISE });
     
     // DEBUG: Log historical service result
     logger.debug('📊 Historical Service Result:', {
@@ -128,10 +138,15 @@ export const fetchHistoricalForecastWithProgress = async (location, onProgress)
     
     const result = {
       location,
+      period,
       year,
+      startDate,
+      endDate,
       days: processedData,
       top10,
+      top10Sunrises,
       statistics,
+      sunriseStatistics,
       lastUpdated: new Date().toISOString(),
       metadata: {
         usedCache: !!cachedData,
@@ -0,0 +1,58 @@
+/**
+ * Horizon Cloud Sampling
+ * Sunset colour needs clouds overhead AND a clear gap toward the sun so light can reach them
+ * from below. These helpers pick points along the sunset and sunrise bearings and shape a
+ * multi-coordinate Open-Meteo response into per-event horizon samples for scoring.
+ * Used by both the web app (direct API path) and the cache server's forecast proxy.
+ */
+
+import { HORIZON_CONSTANTS, SOLAR_EVENTS } from '../constants/app.js';
+import { getSolarEventAzimuth, getDestinationPoint } from '../utils/solarGeometry.js';
+
+export const HORIZON_HOURLY_FIELDS = 'cloud_cover_low,cloud_cover_mid,cloud_cover_high';
+
+/**
+ * Points to sample along the sunset and sunrise bearings
+ * The bearing is taken for the first forecast day - it drifts by at most a few degrees over a
+ * week, which moves even the 200 km point by less than one forecast grid cell
+ * @param {number} latitude - Forecast point latitude
+ * @param {number} longitude - Forecast point longitude
+ * @param {string} date - YYYY-MM-DD date to take the bearing for
+ * @returns {Array} [{ event, bearing, distanceKm, latitude, longitude }]
+ */
+export const getHorizonSamplePoints = (latitude, longitude, date) =>
+  Object.values(SOLAR_EVENTS).flatMap((event) => {
+    const bearing = Math.round(getSolarEventAzimuth(date, latitude, event) * 10) / 10;
+    return HORIZON_CONSTANTS.SAMPLE_DISTANCES_KM.map(distanceKm => ({
+      event,
+      bearing,
+      distanceKm,
+      ...getDestinationPoint(latitude, longitude, bearing, distanceKm)
+    }));
+  });
+
+/**
+ * Group a multi-coordinate response (one result per sample point, in request order) by event
+ * @param {Array} samplePoints - Result of getHorizonSamplePoints
+ * @param {Array|Object} response - Open-Meteo response (an array when several coordinates are requested)
+ * @returns {Object} { sunset: { bearing, points: [{ distanceKm, latitude, longitude, hourly }] }, sunrise: {...} }
+ */
+export const buildHorizonData = (samplePoints, response) => {
+  const results = Array.isArray(response) ? response : [response];
+  const horizon = {};
+
+  samplePoints.forEach((point, index) => {
+    const hourly = results[index]?.hourly;
+    if (!hourly?.time) return;
+
+    horizon[point.event] = horizon[point.event] || { bearing: point.bearing, points: [] };
+    horizon[point.event].points.push({
+      distanceKm: point.distanceKm,
+      latitude: point.latitude,
+      longitude: point.longitude,
+      hourly
+    });
+  });
+
+  return horizon;
+};
@@ -0,0 +1,102 @@
+/**
+ * Sunset scoring profiles
+ * Profiles (src/config/scoringProfiles.json) hold every scoring constant - bucket ranges,
+ * curve anchors, clear-sky and bonus points, component limits and per-factor weights.
+ * A profile can extend another and override only the sections it changes.
+ */
+
+import profileConfig from '../config/scoringProfiles.json' with { type: 'json' };
+
+export const DEFAULT_SCORING_PROFILE = profileConfig.defaultProfile;
+
+// localStorage key for the profile picked in the web app
+const STORAGE_KEY = 'suncast.scoringProfile';
+
+// Profile id -> resolved profile
+const resolvedProfiles = new Map();
+
+/**
+ * Merge a profile over its parent: plain-object sections merge key by key, anything else replaces
+ */
+const mergeProfile = (parent, overrides) => {
+  const merged = { ...parent };
+
+  Object.entries(overrides).forEach(([key, value]) => {
+    const isSection = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isSection ? { ...parent[key], ...value } : value;
+  });
+
+  return merged;
+};
+
+/**
+ * Resolve a profile definition, following its "extends" chain
+ */
+const resolveProfile = (id, seen = []) => {
+  const definition = profileConfig.profiles[id];
+  if (!definition) {
+    throw new Error(`Unknown scoring profile: ${id}`);
+  }
+  if (seen.includes(id)) {
+    throw new Error(`Scoring profile "${id}" extends itself`);
+  }
+
+  const { extends: parentId, ...overrides } = definition;
+  const parent = parentId ? resolveProfile(parentId, [...seen, id]) : {};
+
+  return { ...mergeProfile(parent, overrides), id };
+};
+
+/**
+ * Check whether a scoring profile exists
+ * @param {string} id - Profile id
+ * @returns {boolean}
+ */
+export const isScoringProfile = (id) => Object.hasOwn(profileConfig.profiles, id);
+
+/**
+ * Get a resolved scoring profile
+ * @param {string} id - Profile id (defaults to the configured default profile)
+ * @returns {Object} Profile with ranges, curves, clearSky, bonusPoints, limits and weights
+ */
+export const getScoringProfile = (id = DEFAULT_SCORING_PROFILE) => {
+  if (!resolvedProfiles.has(id)) {
+    resolvedProfiles.set(id, resolveProfile(id));
+  }
+  return resolvedProfiles.get(id);
+};
+
+/**
+ * List the available profiles for pickers
+ * @returns {Array} [{ id, name, description }]
+ */
+export const getScoringProfileOptions = () =>
+  Object.keys(profileConfig.profiles).map((id) => {
+    const { name, description } = getScoringProfile(id);
+    return { id, name, description };
+  });
+
+/**
+ * Profile last picked in the browser (default profile outside the browser or if unset)
+ * @returns {string} Profile id
+ */
+export const getStoredScoringProfile = () => {
+  try {
+    const stored = globalThis.localStorage?.getItem(STORAGE_KEY);
+    return stored && isScoringProfile(stored) ? stored : DEFAULT_SCORING_PROFILE;
+  } catch {
+    return DEFAULT_SCORING_PROFILE;
+  }
+};
+
+/**
+ * Remember the picked profile in the browser
+ * @param {string} id - Profile id
+ */
+export const storeScoringProfile = (id) => {
+  try {
+    globalThis.localStorage?.setItem(STORAGE_KEY, id);
+  } catch {
+    // Storage unavailable (private mode, quota) - the choice just isn't remembered
+  }
+};
@@ -4,7 +4,20 @@
  * Designed to cap at exactly 100 points maximum
  */
 
-import { calculateCloudScore, calculateAtmosphericScore, calculateBonusScore, getConditionsLabel } from './scoringUtils.js';
+import {
+  calculateCloudScore,
+  calculateAtmosphericScore,
+  calculateBonusScore,
+  getCloudFactors,
+  getAtmosphericFactors,
+  getBonusTier,
+  createDefaultsTracker,
+  getConditionsLabel
+} from './scoringUtils.js';
+import { getScoringProfile, DEFAULT_SCORING_PROFILE } from './scoringProfiles.js';
+import { SUNSET_CONSTANTS } from '../constants/app.js';
+
+const roundPoints = (points) => Math.round(points * 10) / 10;
 
 /**
  * Scientific sunset quality score based on atmospheric optics and cloud physics
@@ -12,52 +25,95 @@ import { calculateCloudScore, calculateAtmosphericScore, calculateBonusScore, ge
  * Mid-level clouds (3-8km) provide moderate color enhancement
  * Low clouds (0-3km) often block sunlight and reduce color intensity
  * @param {Object} weather - Weather data object with Open-Meteo cloud cover data
- * @returns {Object} - {score: number, conditions: string}
+ * @param {Object} options - { model: 'buckets' | 'curves', profile: scoring profile id }
+ * @returns {Object} - {score: number, conditions: string, breakdown: Object}
+ *   breakdown: { model, profile, total, score, cloud, atmospheric, bonus, defaultsUsed } where cloud and
+ *   atmospheric carry { score, max, factors: { name: { value, points } } } and bonus carries
+ *   { score, max, tier, clearingStorm: { rainMm, pressureRise, lowCloudDrop } | null }
  */
-export const getSunsetQualityScore = (weather) => {
+export const getSunsetQualityScore = (weather, {
+  model = SUNSET_CONSTANTS.SCORING_MODEL,
+  profile = DEFAULT_SCORING_PROFILE
+} = {}) => {
+  const scoringProfile = getScoringProfile(profile);
+  const { withDefault, defaultsUsed } = createDefaultsTracker();
+  
   // Extract cloud cover data by altitude (Open-Meteo provides actual measurements)
   const cloudData = {
-    cloudCoverageLow: weather.cloud_coverage_low || 0,    // 0-3km altitude
-    cloudCoverageMid: weather.cloud_coverage_mid || 0,    // 3-8km altitude  
-    cloudCoverageHigh: weather.cloud_coverage_high || 0,  // >8km altitude
+    cloudCoverageLow: withDefault(weather.cloud_coverage_low, 0, 'cloud_coverage_low'),    // 0-3km altitude
+    cloudCoverageMid: withDefault(weather.cloud_coverage_mid, 0, 'cloud_coverage_mid'),    // 3-8km altitude  
+    cloudCoverageHigh: withDefault(weather.cloud_coverage_high, 0, 'cloud_coverage_high'), // >8km altitude
+    horizonCloudCover: weather.horizon_cloud_cover ?? null // Low/mid cloud toward the sun, when sampled
   };
   
   // Extract other meteorological factors
   const atmosphericData = {
-    precipChance: weather.precipitation_chance || 0,
-    humidity: weather.humidity || 50,
-    aqi: weather.air_quality_index || 50,
-    visibility: weather.visibility || 10000,
+    precipChance: withDefault(weather.precipitation_chance, 0, 'precipitation_chance'),
+    humidity: withDefault(weather.humidity, 50, 'humidity'),
+    aqi: withDefault(weather.air_quality_index, 50, 'air_quality_index'),
+    visibility: withDefault(weather.visibility, 10000, 'visibility'),
+    // Aerosols score only when the air quality data has them (no neutral default to assume)
+    aerosolOpticalDepth: weather.aerosol_optical_depth ?? null,
+    dust: weather.dust ?? null,
+    pm25: weather.pm2_5 ?? null
   };
   
   // Calculate scores using utility functions
-  const cloudScore = calculateCloudScore(cloudData);
-  const atmosphericScore = calculateAtmosphericScore(atmosphericData);
-  const bonusScore = calculateBonusScore({ ...cloudData, ...atmosphericData });
+  const cloudFactors = getCloudFactors(cloudData, model, scoringProfile);
+  const atmosphericFactors = getAtmosphericFactors(atmosphericData, model, scoringProfile);
+  const cloudScore = calculateCloudScore(cloudData, model, scoringProfile);
+  const atmosphericScore = calculateAtmosphericScore(atmosphericData, model, scoringProfile);
+  // Rain earlier, then rising pressure and breaking low cloud (see detectClearingStorm)
+  const clearingStorm = weather.clearing_storm ?? null;
+  const bonusConditions = { ...cloudData, ...atmosphericData, clearingStorm: clearingStorm !== null };
+  const bonusTier = getBonusTier(bonusConditions);
+  const bonusScore = calculateBonusScore(bonusConditions, scoringProfile);
   
   // Calculate final score
   const totalScore = cloudScore + atmosphericScore + bonusScore;
   const finalScore = Math.max(0, Math.min(100, Math.round(totalScore)));
   
-  // DEBUG: Log scoring breakdown for first few calculations
-  const logThis = weather.humidity && weather.humidity >= 30 && weather.humidity <= 50 && weather.cloud_coverage_high >= 40;
-  if (logThis) {
-    console.log('📊 📊 📊 DETAILED SCORING BREAKDOWN 📊 📊 📊');
-    console.log('Cloud Data:', JSON.stringify(cloudData, null, 2));
-    console.log('Atmospheric Data:', JSON.stringify(atmosphericData, null, 2));
-    console.log('Cloud Score:', cloudScore);
-    console.log('Atmospheric Score:', atmosphericScore);
-    console.log('Bonus Score:', bonusScore);
-    console.log('Total Score:', totalScore);
-    console.log('Final Score:', finalScore);
-    console.log('📊 📊 📊 END SCORING BREAKDOWN 📊 📊 📊');
-  }
-  
   // Determine conditions using utility function
   const conditions = getConditionsLabel(finalScore);
   
   return {
     score: finalScore,
-    conditions: conditions
+    conditions: conditions,
+    breakdown: {
+      model,
+      profile: scoringProfile.id,
+      total: roundPoints(totalScore),
+      score: finalScore,
+      cloud: {
+        score: roundPoints(cloudScore),
+        max: scoringProfile.limits.cloud[1],
+        factors: {
+          high: { value: cloudData.cloudCoverageHigh, points: roundPoints(cloudFactors.high) },
+          mid: { value: cloudData.cloudCoverageMid, points: roundPoints(cloudFactors.mid) },
+          low: { value: cloudData.cloudCoverageLow, points: roundPoints(cloudFactors.low) },
+          clearSky: { value: null, points: roundPoints(cloudFactors.clearSky) },
+          horizon: { value: cloudData.horizonCloudCover, points: roundPoints(cloudFactors.horizon) }
+        }
+      },
+      atmospheric: {
+        score: roundPoints(atmosphericScore),
+        max: scoringProfile.limits.atmospheric[1],
+        factors: {
+          precipitation: { value: atmosphericData.precipChance, points: roundPoints(atmosphericFactors.precipitation) },
+          humidity: { value: atmosphericData.humidity, points: roundPoints(atmosphericFactors.humidity) },
+          aqi: { value: atmosphericData.aqi, points: roundPoints(atmosphericFactors.aqi) },
+          visibility: { value: atmosphericData.visibility, points: roundPoints(atmosphericFactors.visibility) },
+          aerosol: { value: atmosphericData.aerosolOpticalDepth, points: roundPoints(atmosphericFactors.aerosol) },
+          smoke: { value: atmosphericData.pm25, points: roundPoints(atmosphericFactors.smoke) }
+        }
+      },
+      bonus: {
+        score: roundPoints(bonusScore),
+        max: scoringProfile.limits.bonus[1],
+        tier: bonusTier,
+        clearingStorm
+      },
+      defaultsUsed
+    }
   };
-};
\ No newline at end of file
+};
@@ -1,158 +1,188 @@
 /**
  * Sunset Scoring Algorithm Utilities
  * Extracted from scoringService.js for better maintainability and testability
+ *
+ * Scoring constants (ranges, curve anchors, bonus points, limits, weights) come from the
+ * selected scoring profile - see src/config/scoringProfiles.json and scoringProfiles.js
+ *
+ * Two scoring models share the same anchor scores:
+ * - 'buckets' (legacy): each factor scores a flat value per range
+ * - 'curves': each factor is piecewise-linear between anchors at the bucket midpoints,
+ *   so small changes in the input move the score smoothly
  */
 
-// High cloud coverage scoring ranges
-const HIGH_CLOUD_RANGES = [
-  { min: 80, max: 95, score: 40 },
-  { min: 60, max: 80, score: 35 },
-  { min: 40, max: 60, score: 30 },
-  { min: 25, max: 40, score: 25 },
-  { min: 15, max: 25, score: 20 },
-  { min: 0, max: 15, score: 15 }
-];
+import { getScoringProfile } from './scoringProfiles.js';
 
-// Mid cloud coverage scoring ranges
-const MID_CLOUD_RANGES = [
-  { min: 20, max: 40, score: 15 },
-  { min: 10, max: 20, score: 12 },
-  { min: 40, max: 60, score: 8 },
-  { min: 0, max: 10, score: 10 }
-];
-
-// Low cloud coverage scoring ranges
-const LOW_CLOUD_RANGES = [
-  { min: 60, max: 100, score: -20 },
-  { min: 40, max: 60, score: -8 },
-  { min: 20, max: 40, score: 3 },
-  { min: 0, max: 20, score: 5 }
-];
+export const SCORING_MODELS = {
+  BUCKETS: 'buckets',
+  CURVES: 'curves'
+};
 
 /**
- * Calculate cloud altitude scoring (50 points max)
- * @param {Object} cloudData - Cloud coverage data by altitude
- * @returns {number} Cloud score (0-50)
+ * Evaluate a piecewise-linear curve, holding the end scores beyond the first/last anchor
+ * @param {Array} curve - [value, score] anchors sorted by value
+ * @param {number} value - Input value
+ * @returns {number} Interpolated score
  */
-export const calculateCloudScore = (cloudData) => {
-  const { cloudCoverageLow, cloudCoverageMid, cloudCoverageHigh } = cloudData;
-  let cloudScore = 0;
-  
-  // High clouds (>8km) are scientifically optimal for sunset colors
-  if (cloudCoverageHigh > 0) {
-    const range = HIGH_CLOUD_RANGES.find(r => 
-      cloudCoverageHigh >= r.min && cloudCoverageHigh < r.max
-    );
-    cloudScore += range?.score || 15;
+export const interpolateCurve = (curve, value) => {
+  if (value <= curve[0][0]) return curve[0][1];
+  
+  for (let i = 1; i < curve.length; i++) {
+    const [x1, y1] = curve[i];
+    if (value <= x1) {
+      const [x0, y0] = curve[i - 1];
+      return y0 + ((value - x0) / (x1 - x0)) * (y1 - y0);
+    }
   }
   
-  // Mid-level clouds (3-8km) provide moderate color enhancement
-  if (cloudCoverageMid > 0) {
-    const range = MID_CLOUD_RANGES.find(r => 
-      cloudCoverageMid >= r.min && cloudCoverageMid < r.max
+  return curve[curve.length - 1][1];
+};
+
+/**
+ * Score one factor with the profile's buckets or curve, then apply its weight
+ * @param {Object} profile - Resolved scoring profile
+ * @param {string} factor - Factor name (high, mid, low, horizon, precipitation, humidity, aqi, visibility,
+ *   aerosol, smoke)
+ * @param {number} value - Input value
+ * @param {string} model - SCORING_MODELS value
+ * @returns {number} Weighted points
+ */
+const scoreFactor = (profile, factor, value, model) => {
+  let points;
+  
+  if (model === SCORING_MODELS.CURVES) {
+    points = interpolateCurve(profile.curves[factor], value);
+  } else {
+    const { buckets, fallback, inclusiveMax } = profile.ranges[factor];
+    const range = buckets.find(r => 
+      value >= r.min && (inclusiveMax ? value <= r.max : value < r.max)
     );
-    cloudScore += range?.score || 10;
+    points = range ? range.score : fallback;
   }
   
-  // Low clouds (0-3km) typically block sunlight and reduce color intensity
-  if (cloudCoverageLow > 0) {
-    const range = LOW_CLOUD_RANGES.find(r => 
-      cloudCoverageLow >= r.min && cloudCoverageLow < r.max
-    );
-    cloudScore += range?.score || 5;
+  return points * profile.weights[factor];
+};
+
+/**
+ * Score each cloud layer separately
+ * @param {Object} cloudData - Cloud coverage data by altitude
+ * @param {string} model - SCORING_MODELS value
+ * @param {Object} profile - Resolved scoring profile (default profile if omitted)
+ * @returns {Object} { high, mid, low, clearSky, horizon } point contributions (before capping)
+ */
+export const getCloudFactors = (cloudData, model = SCORING_MODELS.BUCKETS, profile = getScoringProfile()) => {
+  const { cloudCoverageLow, cloudCoverageMid, cloudCoverageHigh, horizonCloudCover = null } = cloudData;
+  const factors = { high: 0, mid: 0, low: 0, clearSky: 0, horizon: 0 };
+  
+  if (model === SCORING_MODELS.CURVES) {
+    factors.high = scoreFactor(profile, 'high', cloudCoverageHigh, model);
+    factors.mid = scoreFactor(profile, 'mid', cloudCoverageMid, model);
+    factors.low = scoreFactor(profile, 'low', cloudCoverageLow, model);
+  } else {
+    // High clouds (>8km) are scientifically optimal for sunset colors
+    if (cloudCoverageHigh > 0) {
+      factors.high = scoreFactor(profile, 'high', cloudCoverageHigh, model);
+    }
+    
+    // Mid-level clouds (3-8km) provide moderate color enhancement
+    if (cloudCoverageMid > 0) {
+      factors.mid = scoreFactor(profile, 'mid', cloudCoverageMid, model);
+    }
+    
+    // Low clouds (0-3km) typically block sunlight and reduce color intensity
+    if (cloudCoverageLow > 0) {
+      factors.low = scoreFactor(profile, 'low', cloudCoverageLow, model);
+    }
   }
   
   // Clear skies bonus - when all cloud levels are minimal
-  if (cloudCoverageLow < 5 && cloudCoverageMid < 5 && cloudCoverageHigh < 5) {
-    cloudScore += 10; // Crystal clear skies bonus
+  const { maxCoverage, points } = profile.clearSky;
+  if (cloudCoverageLow < maxCoverage && cloudCoverageMid < maxCoverage && cloudCoverageHigh < maxCoverage) {
+    factors.clearSky = points * profile.weights.clearSky;
   }
   
-  // Cap cloud score at 50 points maximum
-  return Math.min(50, Math.max(0, cloudScore));
+  // "Lit from below" - overhead high cloud only glows when the horizon toward the sun is open
+  // Needs horizon samples along the event bearing (forecast only)
+  if (horizonCloudCover !== null && cloudCoverageHigh >= profile.horizon.minHighCloud) {
+    factors.horizon = scoreFactor(profile, 'horizon', horizonCloudCover, model);
+  }
+  
+  return factors;
 };
 
-// Precipitation scoring ranges
-const PRECIPITATION_RANGES = [
-  { min: 60, max: 100, score: -20 },
-  { min: 40, max: 60, score: -12 },
-  { min: 20, max: 40, score: -6 },
-  { min: 5, max: 20, score: -2 },
-  { min: 0, max: 5, score: 0 }
-];
-
-// Humidity scoring ranges
-const HUMIDITY_RANGES = [
-  { min: 40, max: 70, score: 10 },
-  { min: 30, max: 40, score: 8 },
-  { min: 70, max: 85, score: 5 },
-  { min: 85, max: 100, score: -3 },
-  { min: 0, max: 30, score: 7 }
-];
-
-// Air quality scoring ranges
-const AQI_RANGES = [
-  { min: 0, max: 25, score: 10 },
-  { min: 25, max: 50, score: 8 },
-  { min: 50, max: 75, score: 5 },
-  { min: 75, max: 100, score: 2 },
-  { min: 100, max: 500, score: -5 }
-];
+/**
+ * Calculate cloud altitude scoring (50 points max in the classic profile)
+ * @param {Object} cloudData - Cloud coverage data by altitude
+ * @param {string} model - SCORING_MODELS value
+ * @param {Object} profile - Resolved scoring profile (default profile if omitted)
+ * @returns {number} Cloud score, within the profile's cloud limits
+ */
+export const calculateCloudScore = (cloudData, model = SCORING_MODELS.BUCKETS, profile = getScoringProfile()) => {
+  const { high, mid, low, clearSky, horizon } = getCloudFactors(cloudData, model, profile);
+  const [min, max] = profile.limits.cloud;
+  
+  return Math.min(max, Math.max(min, high + mid + low + clearSky + horizon));
+};
 
-// Visibility scoring ranges
-const VISIBILITY_RANGES = [
-  { min: 20000, max: 100000, score: 8 },
-  { min: 15000, max: 20000, score: 6 },
-  { min: 10000, max: 15000, score: 4 },
-  { min: 5000, max: 10000, score: 2 },
-  { min: 2000, max: 5000, score: -3 },
-  { min: 0, max: 2000, score: -8 }
-];
+/**
+ * Score each atmospheric factor separately
+ * @param {Object} atmosphericData - Atmospheric conditions data
+ * @param {string} model - SCORING_MODELS value
+ * @param {Object} profile - Resolved scoring profile (default profile if omitted)
+ * @returns {Object} { precipitation, humidity, aqi, visibility, aerosol, smoke } point contributions (before capping)
+ */
+export const getAtmosphericFactors = (atmosphericData, model = SCORING_MODELS.BUCKETS, profile = getScoringProfile()) => {
+  const { precipChance, humidity, aqi, visibility, aerosolOpticalDepth = null, dust = null, pm25 = null } = atmosphericData;
+  
+  // Heavy aerosol with high ground-level PM2.5 is smoke; desert dust reddens the light instead
+  const { smokeMinAod, smokeMaxDust } = profile.aerosol;
+  const isSmoky = aerosolOpticalDepth !== null && pm25 !== null &&
+    aerosolOpticalDepth >= smokeMinAod && (dust ?? 0) < smokeMaxDust;
+  
+  return {
+    // Precipitation severely impacts sunset quality
+    precipitation: scoreFactor(profile, 'precipitation', precipChance, model),
+    // Humidity affects color intensity through atmospheric scattering
+    humidity: scoreFactor(profile, 'humidity', humidity, model),
+    // Air quality impacts color purity and visibility
+    aqi: scoreFactor(profile, 'aqi', aqi, model),
+    // Visibility directly affects sunset clarity
+    visibility: scoreFactor(profile, 'visibility', visibility, model),
+    // A moderate aerosol load (dust or smoke aloft) reddens the light, a heavy one dims the sun
+    aerosol: aerosolOpticalDepth !== null ? scoreFactor(profile, 'aerosol', aerosolOpticalDepth, model) : 0,
+    // Thick smoke near the ground mutes colours on top of that
+    smoke: isSmoky ? scoreFactor(profile, 'smoke', pm25, model) : 0
+  };
+};
 
 /**
- * Calculate atmospheric conditions scoring (30 points max)
+ * Calculate atmospheric conditions scoring (30 points max in the classic profile)
  * @param {Object} atmosphericData - Atmospheric conditions data
- * @returns {number} Atmospheric score (-20 to 30)
+ * @param {string} model - SCORING_MODELS value
+ * @param {Object} profile - Resolved scoring profile (default profile if omitted)
+ * @returns {number} Atmospheric score, within the profile's atmospheric limits
  */
-export const calculateAtmosphericScore = (atmosphericData) => {
-  const { precipChance, humidity, aqi, visibility } = atmosphericData;
-  let atmosphericScore = 0;
-  
-  // Precipitation severely impacts sunset quality
-  const precipRange = PRECIPITATION_RANGES.find(r => 
-    precipChance >= r.min && precipChance < r.max
-  );
-  atmosphericScore += precipRange?.score || 0;
-  
-  // Humidity affects color intensity through atmospheric scattering
-  const humidityRange = HUMIDITY_RANGES.find(r => 
-    humidity >= r.min && humidity < r.max
-  );
-  atmosphericScore += humidityRange?.score || 7;
-  
-  // Air quality impacts color purity and visibility
-  const aqiRange = AQI_RANGES.find(r => 
-    aqi >= r.min && aqi <= r.max
-  );
-  atmosphericScore += aqiRange?.score || 2;
-  
-  // Visibility directly affects sunset clarity
-  const visRange = VISIBILITY_RANGES.find(r => 
-    visibility >= r.min && visibility < r.max
-  );
-  atmosphericScore += visRange?.score || 2;
-  
-  // Cap atmospheric score at 30 points maximum
-  return Math.min(30, Math.max(-20, atmosphericScore));
+export const calculateAtmosphericScore = (atmosphericData, model = SCORING_MODELS.BUCKETS, profile = getScoringProfile()) => {
+  const { precipitation, humidity, aqi, visibility, aerosol, smoke } = getAtmosphericFactors(atmosphericData, model, profile);
+  const [min, max] = profile.limits.atmospheric;
+  
+  return Math.min(max, Math.max(min, precipitation + humidity + aqi + visibility + aerosol + smoke));
+};
+
+// Optimal conditions bonus tiers, best first (points per tier come from the profile)
+export const BONUS_TIERS = {
+  PERFECT: 'perfect',
+  VERY_GOOD: 'very_good',
+  GOOD: 'good'
 };
 
 /**
- * Calculate optimal conditions bonus (20 points max)
+ * Find which optimal conditions bonus tier applies
  * @param {Object} conditions - Weather conditions data
- * @returns {number} Bonus score (0-20)
+ * @returns {string|null} BONUS_TIERS value, or null if no bonus applies
  */
-export const calculateBonusScore = (conditions) => {
+export const getBonusTier = (conditions) => {
   const { cloudCoverageHigh, cloudCoverageMid, cloudCoverageLow, precipChance, aqi, visibility } = conditions;
-  let bonusScore = 0;
   
   // Perfect atmospheric conditions for spectacular sunsets
   const hasOptimalHighClouds = cloudCoverageHigh >= 25 && cloudCoverageHigh <= 50;
@@ -163,15 +193,49 @@ export const calculateBonusScore = (conditions) => {
   const hasGoodVisibility = visibility >= 15000;
   
   if (hasOptimalHighClouds && hasMinimalLowClouds && hasLowPrecipitation && hasGoodAirQuality && hasGoodVisibility) {
-    bonusScore += 20; // Perfect conditions bonus
+    return BONUS_TIERS.PERFECT;
   } else if (hasOptimalHighClouds && hasMinimalLowClouds && hasLowPrecipitation) {
-    bonusScore += 12; // Very good conditions
+    return BONUS_TIERS.VERY_GOOD;
   } else if (hasGoodMidClouds && hasMinimalLowClouds && hasLowPrecipitation) {
-    bonusScore += 8; // Good conditions
+    return BONUS_TIERS.GOOD;
   }
   
-  // Cap bonus score at 20 points maximum
-  return Math.min(20, Math.max(0, bonusScore));
+  return null;
+};
+
+/**
+ * Calculate optimal conditions bonus (20 points max in the classic profile)
+ * A clearing storm adds its points on top of the tier, up to the same limit
+ * @param {Object} conditions - Weather conditions data, with clearingStorm: boolean
+ * @param {Object} profile - Resolved scoring profile (default profile if omitted)
+ * @returns {number} Bonus score, within the profile's bonus limits
+ */
+export const calculateBonusScore = (conditions, profile = getScoringProfile()) => {
+  const tier = getBonusTier(conditions);
+  const tierPoints = tier ? profile.bonusPoints[tier] : 0;
+  const clearingPoints = conditions.clearingStorm ? profile.bonusPoints.clearing_storm : 0;
+  const bonusScore = (tierPoints + clearingPoints) * profile.weights.bonus;
+  const [min, max] = profile.limits.bonus;
+  
+  return Math.min(max, Math.max(min, bonusScore));
+};
+
+/**
+ * Track which scoring inputs had to fall back to a default value
+ * A value counts as defaulted when it is missing (or zero) and the fallback differs from it
+ * @returns {Object} { withDefault(value, fallback, field), defaultsUsed: string[] }
+ */
+export const createDefaultsTracker = () => {
+  const defaultsUsed = [];
+  
+  const withDefault = (value, fallback, field) => {
+    if (!value && value !== fallback && !defaultsUsed.includes(field)) {
+      defaultsUsed.push(field);
+    }
+    return value || fallback;
+  };
+  
+  return { withDefault, defaultsUsed };
 };
 
 /**
@@ -5,91 +5,262 @@
  */
 
 import { getSunsetQualityScore } from './scoringService.js';
-import { SUNSET_CONSTANTS } from '../constants/app.js';
+import { createDefaultsTracker } from './scoringUtils.js';
+import { SUNSET_CONSTANTS, SOLAR_EVENTS, CLEARING_STORM_CONSTANTS } from '../constants/app.js';
 import { logger } from '../utils/logger.js';
 
 /**
- * Calculate sunset hour index from sunset datetime
- * @param {string} sunsetDateTime - ISO datetime string of sunset
+ * Weather sampling windows around a solar event
+ * EVENT uses the conditions at the event minute, GOLDEN_HOUR averages the golden hour and afterglow
+ */
+export const WEATHER_WINDOWS = {
+  EVENT: 'event',
+  GOLDEN_HOUR: 'goldenHour'
+};
+
+/**
+ * Calculate the hourly-data index of a solar event (sunset or sunrise)
+ * @param {string} eventDateTime - ISO datetime string of the event
  * @param {number} dayIndex - Index of the day (0-based)
- * @returns {Object} Sunset hour calculation details
+ * @param {number} fallbackHour - Hour used when the event time is unavailable
+ * @returns {Object} { eventTime, eventHour, eventMinute, eventHourIndex }
  */
-export const calculateSunsetHourIndex = (sunsetDateTime, dayIndex) => {
-  // Format sunset time for display
-  const sunsetTime = sunsetDateTime ? 
-    new Date(sunsetDateTime).toLocaleTimeString('en-US', { 
+export const calculateEventHourIndex = (eventDateTime, dayIndex, fallbackHour = SUNSET_CONSTANTS.APPROXIMATE_SUNSET_HOUR) => {
+  // Format event time for display
+  const eventTime = eventDateTime ? 
+    new Date(eventDateTime).toLocaleTimeString('en-US', { 
       hour: '2-digit', 
       minute: '2-digit',
       hour12: false 
-    }) : '18:00';
-  
-  // Calculate sunset hour index in hourly data
-  // Use CLOSEST hour to sunset time for maximum accuracy
-  // This minimizes the time difference between actual sunset and weather data used
-  let sunsetHour = 18; // Default to 6 PM if no data
-  if (sunsetDateTime) {
-    const sunsetDate = new Date(sunsetDateTime);
-    sunsetHour = sunsetDate.getHours(); // Always floor - use hour at/before sunset
+    }) : `${String(fallbackHour).padStart(2, '0')}:00`;
+  
+  // Hour at/before the event plus the minute past it
+  // The minute is used to interpolate between this hour and the next
+  let eventHour = fallbackHour;
+  let eventMinute = 0;
+  if (eventDateTime) {
+    const eventDate = new Date(eventDateTime);
+    eventHour = eventDate.getHours();
+    eventMinute = eventDate.getMinutes();
     
     // Ensure we don't exceed 23:00
-    if (sunsetHour > 23) {
-      sunsetHour = 23;
+    if (eventHour > 23) {
+      eventHour = 23;
     }
   }
   
   // Calculate the exact index in hourly arrays
-  const sunsetHourIndex = (dayIndex * 24) + sunsetHour;
+  const eventHourIndex = (dayIndex * 24) + eventHour;
   return {
-    sunsetTime,
-    sunsetHour,
-    sunsetHourIndex
+    eventTime,
+    eventHour,
+    eventMinute,
+    eventHourIndex
   };
 };
 
 /**
- * Extract weather data at sunset hour from hourly data arrays
+ * Minutes sampled before and after an event for a weather window
+ * The golden hour precedes sunset and follows sunrise; the afterglow is on the other side
+ * @param {string} event - SOLAR_EVENTS value
+ * @param {string} weatherWindow - WEATHER_WINDOWS value
+ * @returns {Object} { before, after } in minutes
+ */
+export const getEventWindow = (event, weatherWindow = SUNSET_CONSTANTS.WEATHER_WINDOW) => {
+  if (weatherWindow !== WEATHER_WINDOWS.GOLDEN_HOUR) {
+    return { before: 0, after: 0 };
+  }
+  
+  const { GOLDEN_HOUR_MINUTES, AFTERGLOW_MINUTES } = SUNSET_CONSTANTS;
+  return event === SOLAR_EVENTS.SUNRISE
+    ? { before: AFTERGLOW_MINUTES, after: GOLDEN_HOUR_MINUTES }
+    : { before: GOLDEN_HOUR_MINUTES, after: AFTERGLOW_MINUTES };
+};
+
+const isPresent = (value) => value !== null && value !== undefined;
+
+/**
+ * Linearly interpolate an hourly series at a fractional index
+ * If one bracketing hour has no data the other is used as-is
+ */
+const interpolateSeries = (getValue, position, lastIndex) => {
+  const clamped = Math.min(Math.max(position, 0), lastIndex);
+  const lower = Math.floor(clamped);
+  const upper = Math.min(lower + 1, lastIndex);
+  const lowerValue = getValue(lower);
+  const upperValue = getValue(upper);
+  
+  if (!isPresent(lowerValue)) return upperValue;
+  if (!isPresent(upperValue)) return lowerValue;
+  return lowerValue + (upperValue - lowerValue) * (clamped - lower);
+};
+
+/**
+ * Average an hourly series over fractional sample positions (undefined when no sample has data)
+ */
+const sampleSeries = (getValue, positions, lastIndex, decimals = 1) => {
+  const samples = positions
+    .map(position => interpolateSeries(getValue, position, lastIndex))
+    .filter(isPresent);
+  
+  if (samples.length === 0) return undefined;
+  const mean = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+  const factor = 10 ** decimals;
+  return Math.round(mean * factor) / factor;
+};
+
+// Hourly block (air quality, horizon samples) -> Map(timestamp -> index), built once per block
+const hourlyTimeIndexes = new WeakMap();
+
+const getTimeIndex = (hourly) => {
+  if (!hourlyTimeIndexes.has(hourly)) {
+    const timeIndex = new Map();
+    hourly.time.forEach((time, index) => {
+      if (!timeIndex.has(time)) timeIndex.set(time, index);
+    });
+    hourlyTimeIndexes.set(hourly, timeIndex);
+  }
+  return hourlyTimeIndexes.get(hourly);
+};
+
+/**
+ * Cloud blocking the light path toward the sun, from samples along the event bearing
+ * Each point counts its thicker low or mid layer (high cloud is lit from below, it doesn't block);
+ * the points are averaged
+ * @returns {number|null} Blocking cloud cover in %, null without horizon samples
+ */
+const getHorizonCloudCover = (horizon, hourlyData, positions, lastIndex) => {
+  if (!horizon?.points?.length) return null;
+  
+  const blocking = horizon.points.map((point) => {
+    const timeIndex = getTimeIndex(point.hourly);
+    const sampleLayer = (field) => sampleSeries((index) => {
+      const pointIndex = timeIndex.get(hourlyData.time?.[index]);
+      return pointIndex === undefined ? undefined : point.hourly[field]?.[pointIndex];
+    }, positions, lastIndex);
+    
+    const low = sampleLayer('cloud_cover_low');
+    const mid = sampleLayer('cloud_cover_mid');
+    return isPresent(low) || isPresent(mid) ? Math.max(low ?? 0, mid ?? 0) : undefined;
+  }).filter(isPresent);
+  
+  if (blocking.length === 0) return null;
+  return Math.round(blocking.reduce((sum, value) => sum + value, 0) / blocking.length * 10) / 10;
+};
+
+/**
+ * Detect a storm clearing at the event: rain in the preceding hours, then rising pressure and
+ * low cloud breaking up by the event
+ * Hourly precipitation is the total of the hour ending at that timestamp
+ * @returns {Object|null} { rainMm, pressureRise, lowCloudDrop } when clearing; null otherwise or
+ *   without pressure/precipitation data
+ */
+const detectClearingStorm = (hourlyData, eventPosition, lastIndex) => {
+  if (!hourlyData.precipitation || !hourlyData.pressure_msl) return null;
+  
+  const {
+    LOOKBACK_HOURS, MIN_RAIN_MM, MAX_EVENT_RAIN_MM, MIN_PRESSURE_RISE_HPA, MIN_LOW_CLOUD_DROP
+  } = CLEARING_STORM_CONSTANTS;
+  const startPosition = Math.max(0, eventPosition - LOOKBACK_HOURS);
+  const at = (field, position) => interpolateSeries(index => hourlyData[field]?.[index], position, lastIndex);
+  
+  const lookbackHours = [];
+  for (let index = Math.floor(startPosition) + 1; index <= Math.min(Math.floor(eventPosition), lastIndex); index++) {
+    lookbackHours.push(index);
+  }
+  const rainfall = lookbackHours.map(index => hourlyData.precipitation[index]).filter(isPresent);
+  const lowClouds = lookbackHours.map(index => hourlyData.cloud_cover_low?.[index]).filter(isPresent);
+  
+  const eventRain = at('precipitation', eventPosition);
+  const pressureStart = at('pressure_msl', startPosition);
+  const pressureEnd = at('pressure_msl', eventPosition);
+  const eventLowCloud = at('cloud_cover_low', eventPosition);
+  if (rainfall.length === 0 || lowClouds.length === 0 ||
+    ![eventRain, pressureStart, pressureEnd, eventLowCloud].every(isPresent)) {
+    return null;
+  }
+  
+  const rainMm = rainfall.reduce((sum, value) => sum + value, 0);
+  const pressureRise = pressureEnd - pressureStart;
+  const lowCloudDrop = Math.max(...lowClouds) - eventLowCloud;
+  
+  const isClearing = rainMm >= MIN_RAIN_MM && eventRain <= MAX_EVENT_RAIN_MM &&
+    pressureRise >= MIN_PRESSURE_RISE_HPA && lowCloudDrop >= MIN_LOW_CLOUD_DROP;
+  
+  return isClearing
+    ? {
+      rainMm: Math.round(rainMm * 10) / 10,
+      pressureRise: Math.round(pressureRise * 10) / 10,
+      lowCloudDrop: Math.round(lowCloudDrop)
+    }
+    : null;
+};
+
+/**
+ * Extract weather at a solar event from hourly data arrays
+ * Every parameter is interpolated between the hours bracketing the event minute and,
+ * for a non-empty window, averaged over samples across that window
  * @param {Object} hourlyData - Hourly weather data object
- * @param {number} hourIndex - Index in hourly arrays
+ * @param {number} hourIndex - Index in hourly arrays of the hour at/before the event
  * @param {Object} aqiData - Optional air quality data
- * @returns {Object} Weather conditions at sunset hour
+ * @param {Object} options - { minute: minutes past that hour, window: { before, after } minutes to average,
+ *   horizon: { bearing, points } cloud samples toward the event (optional) }
+ * @returns {Object} Weather conditions at the event, with the fields that fell back to defaults
  */
-export const extractSunsetHourWeather = (hourlyData, hourIndex, aqiData = null) => {
+export const extractEventHourWeather = (hourlyData, hourIndex, aqiData = null, { minute = 0, window = { before: 0, after: 0 }, horizon = null } = {}) => {
   // Ensure we don't exceed array bounds
-  const safeHourIndex = Math.min(hourIndex, (hourlyData.time?.length || 0) - 1);
-  
-  // Extract all weather parameters at sunset hour
-  const weatherCode = hourlyData.weather_code?.[safeHourIndex] || 0;
-  const cloudCoverage = hourlyData.cloud_cover?.[safeHourIndex] || 0;
-  const cloudCoverageLow = hourlyData.cloud_cover_low?.[safeHourIndex] || 0;
-  const cloudCoverageMid = hourlyData.cloud_cover_mid?.[safeHourIndex] || 0;
-  const cloudCoverageHigh = hourlyData.cloud_cover_high?.[safeHourIndex] || 0;
-  const humidity = hourlyData.relative_humidity_2m?.[safeHourIndex] || SUNSET_CONSTANTS.DEFAULT_HUMIDITY;
-  const precipChance = hourlyData.precipitation_probability?.[safeHourIndex] || 0;
-  const visibility = hourlyData.visibility?.[safeHourIndex] || SUNSET_CONSTANTS.DEFAULT_VISIBILITY;
-  const windSpeed = hourlyData.wind_speed_10m?.[safeHourIndex] || SUNSET_CONSTANTS.DEFAULT_WIND_SPEED;
-  
-  // Get AQI for sunset hour - MATCH BY TIMESTAMP, not by index
+  const lastIndex = (hourlyData.time?.length || 0) - 1;
+  const safeHourIndex = Math.min(hourIndex, lastIndex);
+  
+  // Fractional positions in the hourly arrays to sample
+  const eventPosition = hourIndex + minute / 60;
+  const positions = [];
+  for (let offset = -window.before; offset <= window.after; offset += SUNSET_CONSTANTS.WINDOW_SAMPLE_MINUTES) {
+    positions.push(eventPosition + offset / 60);
+  }
+  const sample = (field) => sampleSeries(index => hourlyData[field]?.[index], positions, lastIndex);
+  
+  // Get an air quality field for an hour - MATCH BY TIMESTAMP, not by index
   // This ensures accuracy even if AQI data has different length/start time
-  let aqi = SUNSET_CONSTANTS.DEFAULT_AQI;
-  if (aqiData && aqiData.hourly && aqiData.hourly.us_aqi && aqiData.hourly.time) {
-    // Get the timestamp we're looking for
-    const targetTimestamp = hourlyData.time?.[safeHourIndex];
-    
-    if (targetTimestamp) {
-      // Find matching timestamp in AQI data
-      const aqiIndex = aqiData.hourly.time.findIndex(t => t === targetTimestamp);
-      
-      if (aqiIndex !== -1 && aqiData.hourly.us_aqi[aqiIndex] !== undefined) {
-        aqi = aqiData.hourly.us_aqi[aqiIndex];
-      } else {
-        // Fallback to index-based if timestamp matching fails
-        aqi = aqiData.hourly.us_aqi[safeHourIndex] || SUNSET_CONSTANTS.DEFAULT_AQI;
-      }
+  const getAirQuality = (field) => (index) => {
+    const series = aqiData?.hourly?.[field];
+    if (!series) return undefined;
+    if (!aqiData.hourly.time) {
+      // Old behavior: index-based (no timestamps available)
+      return series[index];
     }
-  } else if (aqiData && aqiData.hourly && aqiData.hourly.us_aqi) {
-    // Old behavior: index-based (no timestamps available)
-    aqi = aqiData.hourly.us_aqi[safeHourIndex] || SUNSET_CONSTANTS.DEFAULT_AQI;
-  }
+    
+    const targetTimestamp = hourlyData.time?.[index];
+    if (!targetTimestamp) return undefined;
+    
+    const aqiIndex = getTimeIndex(aqiData.hourly).get(targetTimestamp);
+    return aqiIndex !== undefined && series[aqiIndex] !== undefined
+      ? series[aqiIndex]
+      : series[index]; // Fallback to index-based if timestamp matching fails
+  };
+  // Aerosol inputs only score when present (the air quality archive doesn't reach back as far as the weather)
+  const sampleAirQuality = (field, decimals) =>
+    sampleSeries(getAirQuality(field), positions, lastIndex, decimals) ?? null;
+  
+  // Extract all weather parameters around the event
+  // Weather codes are categories, so take the hour nearest the event instead of interpolating
+  const { withDefault, defaultsUsed } = createDefaultsTracker();
+  const nearestHourIndex = Math.min(Math.round(eventPosition), lastIndex);
+  const weatherCode = hourlyData.weather_code?.[nearestHourIndex] || 0;
+  const cloudCoverage = withDefault(sample('cloud_cover'), 0, 'cloud_coverage');
+  const cloudCoverageLow = withDefault(sample('cloud_cover_low'), 0, 'cloud_coverage_low');
+  const cloudCoverageMid = withDefault(sample('cloud_cover_mid'), 0, 'cloud_coverage_mid');
+  const cloudCoverageHigh = withDefault(sample('cloud_cover_high'), 0, 'cloud_coverage_high');
+  const humidity = withDefault(sample('relative_humidity_2m'), SUNSET_CONSTANTS.DEFAULT_HUMIDITY, 'humidity');
+  const precipChance = withDefault(sample('precipitation_probability'), 0, 'precipitation_chance');
+  const visibility = withDefault(sample('visibility'), SUNSET_CONSTANTS.DEFAULT_VISIBILITY, 'visibility');
+  const windSpeed = withDefault(sample('wind_speed_10m'), SUNSET_CONSTANTS.DEFAULT_WIND_SPEED, 'wind_speed');
+  const aqi = withDefault(sampleSeries(getAirQuality('us_aqi'), positions, lastIndex), SUNSET_CONSTANTS.DEFAULT_AQI, 'air_quality_index');
+  const aerosolOpticalDepth = sampleAirQuality('aerosol_optical_depth', 2);
+  const dust = sampleAirQuality('dust');
+  const pm25 = sampleAirQuality('pm2_5');
+  const horizonCloudCover = getHorizonCloudCover(horizon, hourlyData, positions, lastIndex);
+  const clearingStorm = detectClearingStorm(hourlyData, eventPosition, lastIndex);
   
   return {
     safeHourIndex,
@@ -102,7 +273,13 @@ export const extractSunsetHourWeather = (hourlyData, hourIndex, aqiData = null)
     precipChance,
     visibility,
     windSpeed,
-    aqi
+    aqi,
+    aerosolOpticalDepth,
+    dust,
+    pm25,
+    horizonCloudCover,
+    clearingStorm,
+    defaultsUsed
   };
 };
 
@@ -120,85 +297,218 @@ export const createWeatherForScoring = (weatherData) => {
     precipitation_chance: weatherData.precipChance,
     humidity: weatherData.humidity,
     air_quality_index: Math.round(weatherData.aqi),
+    aerosol_optical_depth: weatherData.aerosolOpticalDepth ?? null,
+    dust: weatherData.dust ?? null,
+    pm2_5: weatherData.pm25 ?? null,
     visibility: weatherData.visibility,
-    wind_speed: weatherData.windSpeed
+    wind_speed: weatherData.windSpeed,
+    horizon_cloud_cover: weatherData.horizonCloudCover ?? null,
+    clearing_storm: weatherData.clearingStorm ?? null
   };
 };
 
+const EVENT_FALLBACK_HOURS = {
+  [SOLAR_EVENTS.SUNSET]: SUNSET_CONSTANTS.APPROXIMATE_SUNSET_HOUR,
+  [SOLAR_EVENTS.SUNRISE]: SUNSET_CONSTANTS.APPROXIMATE_SUNRISE_HOUR
+};
+
 /**
- * Process a single day's sunset data (UNIFIED for both historical and live)
+ * Process a single day's solar event - sunset or sunrise (UNIFIED for both historical and live)
  * @param {Object} params - Processing parameters
- * @returns {Object} Complete sunset data with score
+ * @returns {Object} Event time, score, conditions, weather at the event and score breakdown
  */
-export const processSunsetDay = ({
+export const processSolarEventDay = ({
   dayIndex,
   dailyData,
   hourlyData,
   aqiData = null,
-  dataType = 'forecast' // 'forecast' or 'historical'
+  event = SOLAR_EVENTS.SUNSET, // SOLAR_EVENTS value
+  dataType = 'forecast', // 'forecast' or 'historical'
+  scoringModel = SUNSET_CONSTANTS.SCORING_MODEL, // 'buckets' or 'curves'
+  scoringProfile, // Scoring profile id (default profile if omitted)
+  weatherWindow = SUNSET_CONSTANTS.WEATHER_WINDOW, // WEATHER_WINDOWS value
+  horizonData = null, // Horizon cloud samples by event (forecast only)
+  logDebug = true // Off for ensemble members, which would repeat the logs per member
 }) => {
-  // Step 1: Calculate sunset hour index
-  const sunsetDateTime = dailyData.sunset[dayIndex];
-  const { sunsetTime, sunsetHour, sunsetHourIndex } = calculateSunsetHourIndex(sunsetDateTime, dayIndex);
+  const debugLabel = `${dataType === 'historical' ? 'Historical' : 'Live Forecast'} ${event}`;
   
-  // Step 2: Extract weather at sunset hour
-  const weatherAtSunset = extractSunsetHourWeather(hourlyData, sunsetHourIndex, aqiData);
+  // Step 1: Calculate event hour index
+  const eventDateTime = dailyData[event]?.[dayIndex];
+  const { eventTime, eventHour, eventMinute, eventHourIndex } = calculateEventHourIndex(
+    eventDateTime, dayIndex, EVENT_FALLBACK_HOURS[event]
+  );
+  
+  // Step 2: Extract weather at the event minute (or averaged over the window around it)
+  const weatherAtEvent = extractEventHourWeather(hourlyData, eventHourIndex, aqiData, {
+    minute: eventMinute,
+    window: getEventWindow(event, weatherWindow),
+    horizon: horizonData?.[event]
+  });
   
   // Step 3: Debug logging (first 3 days only)
-  if (dayIndex < 3) {
-    logger.debug(`📅 ${dataType === 'historical' ? 'Historical' : 'Live Forecast'} Day ${dayIndex + 1}:`, {
+  if (logDebug && dayIndex < 3) {
+    logger.debug(`📅 ${debugLabel} Day ${dayIndex + 1}:`, {
       date: dailyData.time[dayIndex],
-      sunsetDateTime: sunsetDateTime,
-      sunsetTime: sunsetTime,
-      sunsetHour: sunsetHour,
-      sunsetHourIndex: sunsetHourIndex,
-      safeHourIndex: weatherAtSunset.safeHourIndex,
+      eventDateTime: eventDateTime,
+      eventTime: eventTime,
+      eventHour: eventHour,
+      eventMinute: eventMinute,
+      weatherWindow: weatherWindow,
+      eventHourIndex: eventHourIndex,
+      safeHourIndex: weatherAtEvent.safeHourIndex,
       hourlyDataLength: hourlyData.time?.length || 0
     });
     
-    logger.debug(`🌅 ${dataType === 'historical' ? 'Historical' : 'Live Forecast'} Sunset Conditions Day ${dayIndex + 1}:`, {
-      weatherCode: weatherAtSunset.weatherCode,
-      cloudCoverage: weatherAtSunset.cloudCoverage,
-      cloudCoverageLow: weatherAtSunset.cloudCoverageLow,
-      cloudCoverageMid: weatherAtSunset.cloudCoverageMid,
-      cloudCoverageHigh: weatherAtSunset.cloudCoverageHigh,
-      humidity: weatherAtSunset.humidity,
-      precipChance: weatherAtSunset.precipChance,
-      visibility: weatherAtSunset.visibility,
-      windSpeed: weatherAtSunset.windSpeed,
-      aqi: weatherAtSunset.aqi
+    logger.debug(`🌅 ${debugLabel} Conditions Day ${dayIndex + 1}:`, {
+      weatherCode: weatherAtEvent.weatherCode,
+      cloudCoverage: weatherAtEvent.cloudCoverage,
+      cloudCoverageLow: weatherAtEvent.cloudCoverageLow,
+      cloudCoverageMid: weatherAtEvent.cloudCoverageMid,
+      cloudCoverageHigh: weatherAtEvent.cloudCoverageHigh,
+      humidity: weatherAtEvent.humidity,
+      precipChance: weatherAtEvent.precipChance,
+      visibility: weatherAtEvent.visibility,
+      windSpeed: weatherAtEvent.windSpeed,
+      aqi: weatherAtEvent.aqi,
+      aerosolOpticalDepth: weatherAtEvent.aerosolOpticalDepth,
+      dust: weatherAtEvent.dust,
+      pm25: weatherAtEvent.pm25,
+      horizonCloudCover: weatherAtEvent.horizonCloudCover,
+      clearingStorm: weatherAtEvent.clearingStorm
     });
   }
   
   // Step 4: Create weather object for scoring
-  const weatherForScoring = createWeatherForScoring(weatherAtSunset);
+  const weatherForScoring = createWeatherForScoring(weatherAtEvent);
   
-  // Step 5: Calculate sunset score
-  const scoreResult = getSunsetQualityScore(weatherForScoring);
+  // Step 5: Calculate score (the same atmospheric optics apply to sunrise light)
+  const scoreResult = getSunsetQualityScore(weatherForScoring, { model: scoringModel, profile: scoringProfile });
+  // Historical days never have horizon samples - this is the score they can be compared with
+  const scoreWithoutHorizon = weatherForScoring.horizon_cloud_cover === null
+    ? scoreResult.score
+    : getSunsetQualityScore({ ...weatherForScoring, horizon_cloud_cover: null }, { model: scoringModel, profile: scoringProfile }).score;
   
   // Step 6: Debug scoring result (first 3 days only)
-  if (dayIndex < 3) {
-    logger.debug(`🎯 ${dataType === 'historical' ? 'Historical' : 'Live Forecast'} Scoring Result Day ${dayIndex + 1}:`, {
+  if (logDebug && dayIndex < 3) {
+    logger.debug(`🎯 ${debugLabel} Scoring Result Day ${dayIndex + 1}:`, {
       score: scoreResult.score,
       conditions: scoreResult.conditions,
       weatherForScoring: weatherForScoring
     });
   }
   
-  // Return complete sunset data
+  // Return complete event data
   return {
-    sunsetTime,
-    sunsetScore: scoreResult.score,
+    event,
+    eventTime,
+    score: scoreResult.score,
+    scoreWithoutHorizon,
     conditions: scoreResult.conditions,
-    weatherCode: weatherAtSunset.weatherCode,
-    cloudCoverage: weatherAtSunset.cloudCoverage,
-    cloudCoverageLow: weatherAtSunset.cloudCoverageLow,
-    cloudCoverageMid: weatherAtSunset.cloudCoverageMid,
-    cloudCoverageHigh: weatherAtSunset.cloudCoverageHigh,
-    humidity: weatherAtSunset.humidity,
-    precipChance: weatherAtSunset.precipChance,
-    visibility: weatherAtSunset.visibility,
-    windSpeed: weatherAtSunset.windSpeed,
-    aqi: Math.round(weatherAtSunset.aqi)
+    weatherCode: weatherAtEvent.weatherCode,
+    cloudCoverage: weatherAtEvent.cloudCoverage,
+    cloudCoverageLow: weatherAtEvent.cloudCoverageLow,
+    cloudCoverageMid: weatherAtEvent.cloudCoverageMid,
+    cloudCoverageHigh: weatherAtEvent.cloudCoverageHigh,
+    humidity: weatherAtEvent.humidity,
+    precipChance: weatherAtEvent.precipChance,
+    visibility: weatherAtEvent.visibility,
+    windSpeed: weatherAtEvent.windSpeed,
+    aqi: Math.round(weatherAtEvent.aqi),
+    aerosolOpticalDepth: weatherAtEvent.aerosolOpticalDepth,
+    dust: weatherAtEvent.dust,
+    pm25: weatherAtEvent.pm25,
+    horizonCloudCover: weatherAtEvent.horizonCloudCover,
+    clearingStorm: weatherAtEvent.clearingStorm,
+    breakdown: {
+      ...scoreResult.breakdown,
+      defaultsUsed: [...new Set([...weatherAtEvent.defaultsUsed, ...scoreResult.breakdown.defaultsUsed])]
+    }
   };
 };
+
+/**
+ * Format minutes since midnight as HH:MM, wrapping past midnight
+ */
+const formatClockTime = (minutesOfDay) => {
+  const minutes = ((Math.round(minutesOfDay) % 1440) + 1440) % 1440;
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Conditions and score through the golden hour around a solar event, in fixed steps
+ * Each step is scored as if the event were at that time (interpolated hourly weather, same
+ * weather window and scoring functions), so the point at the event matches the day's score
+ * from the same hourly data. The weather inputs are the window averages the score used.
+ * @param {Object} params - { dayIndex, dailyData, hourlyData, aqiData, event, scoringModel,
+ *   scoringProfile, weatherWindow, horizonData } as for processSolarEventDay
+ * @returns {Object} { event, eventTime, weatherWindow, points: [{ offsetMinutes, time, score, cloudCoverageLow,
+ *   cloudCoverageMid, cloudCoverageHigh, humidity, visibility }] } - offsets are minutes from the event
+ */
+export const getSolarEventTimeline = ({
+  dayIndex,
+  dailyData,
+  hourlyData,
+  aqiData = null,
+  event = SOLAR_EVENTS.SUNSET,
+  scoringModel = SUNSET_CONSTANTS.SCORING_MODEL,
+  scoringProfile,
+  weatherWindow = SUNSET_CONSTANTS.WEATHER_WINDOW,
+  horizonData = null
+}) => {
+  const { eventTime, eventHour, eventMinute, eventHourIndex } = calculateEventHourIndex(
+    dailyData[event]?.[dayIndex], dayIndex, EVENT_FALLBACK_HOURS[event]
+  );
+  
+  // The golden hour precedes sunset and follows sunrise
+  const { TIMELINE_BEFORE_MINUTES, TIMELINE_AFTER_MINUTES, TIMELINE_STEP_MINUTES } = SUNSET_CONSTANTS;
+  const [before, after] = event === SOLAR_EVENTS.SUNRISE
+    ? [TIMELINE_AFTER_MINUTES, TIMELINE_BEFORE_MINUTES]
+    : [TIMELINE_BEFORE_MINUTES, TIMELINE_AFTER_MINUTES];
+  
+  const eventWindow = getEventWindow(event, weatherWindow);
+  const points = [];
+  for (let offset = -before; offset <= after; offset += TIMELINE_STEP_MINUTES) {
+    const weather = extractEventHourWeather(hourlyData, eventHourIndex, aqiData, {
+      minute: eventMinute + offset,
+      window: eventWindow,
+      horizon: horizonData?.[event]
+    });
+    const { score } = getSunsetQualityScore(createWeatherForScoring(weather), { model: scoringModel, profile: scoringProfile });
+    
+    points.push({
+      offsetMinutes: offset,
+      time: formatClockTime(eventHour * 60 + eventMinute + offset),
+      score,
+      cloudCoverageLow: weather.cloudCoverageLow,
+      cloudCoverageMid: weather.cloudCoverageMid,
+      cloudCoverageHigh: weather.cloudCoverageHigh,
+      humidity: weather.humidity,
+      visibility: weather.visibility
+    });
+  }
+  
+  return { event, eventTime, weatherWindow, points };
+};
+
+/**
+ * Weather at a solar event in the snake_case shape used by processed day objects
+ * @param {Object} eventData - Result of processSolarEventDay
+ * @returns {Object} Day fields describing the conditions at the event
+ */
+export const toEventDayFields = (eventData) => ({
+  weather_code: eventData.weatherCode,
+  cloud_coverage: eventData.cloudCoverage,
+  cloud_coverage_low: eventData.cloudCoverageLow,
+  cloud_coverage_mid: eventData.cloudCoverageMid,
+  cloud_coverage_high: eventData.cloudCoverageHigh,
+  humidity: eventData.humidity,
+  precipitation_chance: eventData.precipChance,
+  visibility: eventData.visibility,
+  wind_speed: eventData.windSpeed,
+  air_quality_index: eventData.aqi,
+  aerosol_optical_depth: eventData.aerosolOpticalDepth,
+  dust: eventData.dust,
+  pm2_5: eventData.pm25,
+  horizon_cloud_cover: eventData.horizonCloudCover,
+  clearing_storm: eventData.clearingStorm
+});
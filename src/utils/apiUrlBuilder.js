@@ -3,6 +3,8 @@
  * Centralized URL construction for API requests
  */
 
+import { AIR_QUALITY_CONSTANTS } from '../constants/app.js';
+
 /**
  * Build forecast API URL with proper parameter encoding
  * CRITICAL: Uses forecast_days=7 to ensure we ALWAYS get 7 full days starting from today (midnight)
@@ -17,7 +19,7 @@ export const buildForecastUrl = (baseUrl, coords, apiKey = '') => {
     latitude: coords.latitude,
     longitude: coords.longitude,
     daily: 'weather_code,temperature_2m_max,temperature_2m_min,sunset,sunrise',
-    hourly: 'temperature_2m,relative_humidity_2m,precipitation_probability,weather_code,cloud_cover,cloud_cover_low,cloud_cover_mid,cloud_cover_high,visibility,wind_speed_10m',
+    hourly: 'temperature_2m,relative_humidity_2m,precipitation_probability,weather_code,cloud_cover,cloud_cover_low,cloud_cover_mid,cloud_cover_high,visibility,wind_speed_10m,pressure_msl,precipitation',
     timezone: 'auto',
     forecast_days: '7' // Ensures 7 full days starting from today (midnight), not from current time
   });
@@ -45,7 +47,7 @@ export const buildHistoricalUrl = (baseUrl, latitude, longitude, startDate, endD
     longitude,
     start_date: startDate,
     end_date: endDate,
-    hourly: 'temperature_2m,relative_humidity_2m,precipitation_probability,weather_code,cloud_cover,cloud_cover_low,cloud_cover_mid,cloud_cover_high,visibility,wind_speed_10m',
+    hourly: 'temperature_2m,relative_humidity_2m,precipitation_probability,weather_code,cloud_cover,cloud_cover_low,cloud_cover_mid,cloud_cover_high,visibility,wind_speed_10m,pressure_msl,precipitation',
     daily: 'weather_code,temperature_2m_max,temperature_2m_min,sunset,sunrise',
     timezone: 'auto'
   });
@@ -59,6 +61,7 @@ export const buildHistoricalUrl = (baseUrl, latitude, longitude, startDate, endD
 
 /**
  * Build air quality API URL with proper parameter encoding
+ * Requests US AQI plus aerosol optical depth, dust and PM2.5 (see AIR_QUALITY_CONSTANTS)
  * @param {string} baseUrl - Base API URL
  * @param {number} latitude - Latitude coordinate
  * @param {number} longitude - Longitude coordinate
@@ -73,7 +76,7 @@ export const buildAirQualityUrl = (baseUrl, latitude, longitude, startDate, endD
     longitude,
     start_date: startDate,
     end_date: endDate,
-    hourly: 'us_aqi',
+    hourly: AIR_QUALITY_CONSTANTS.HOURLY_FIELDS.join(','),
     timezone: 'auto'
   });
   
@@ -83,3 +86,55 @@ export const buildAirQualityUrl = (baseUrl, latitude, longitude, startDate, endD
   
   return `${baseUrl}?${params.toString()}`;
 };
+
+/**
+ * Build a multi-coordinate forecast URL for horizon cloud samples
+ * Uses the forecast point's timezone so every sample's hourly times line up with the forecast
+ * @param {string} baseUrl - Base API URL
+ * @param {Array} points - [{ latitude, longitude }] sample points
+ * @param {string} hourly - Comma-separated hourly fields
+ * @param {string} timezone - IANA timezone of the forecast point
+ * @param {string} apiKey - Optional API key
+ * @returns {string} Complete API URL
+ */
+export const buildHorizonUrl = (baseUrl, points, hourly, timezone, apiKey = '') => {
+  const params = new URLSearchParams({
+    latitude: points.map(point => point.latitude).join(','),
+    longitude: points.map(point => point.longitude).join(','),
+    hourly,
+    timezone: timezone || 'auto',
+    forecast_days: '7' // Same days as the forecast itself
+  });
+  
+  if (apiKey) {
+    params.append('apikey', apiKey);
+  }
+  
+  return `${baseUrl}?${params.toString()}`;
+};
+
+/**
+ * Build ensemble forecast API URL with proper parameter encoding
+ * Uses the forecast point's timezone so member hours line up with the forecast
+ * @param {string} baseUrl - Base API URL
+ * @param {Object} coords - Coordinates object with latitude and longitude
+ * @param {Object} options - { model, hourly: comma-separated fields, timezone }
+ * @param {string} apiKey - Optional API key
+ * @returns {string} Complete API URL
+ */
+export const buildEnsembleUrl = (baseUrl, coords, { model, hourly, timezone }, apiKey = '') => {
+  const params = new URLSearchParams({
+    latitude: coords.latitude,
+    longitude: coords.longitude,
+    hourly,
+    models: model,
+    timezone: timezone || 'auto',
+    forecast_days: '7' // Same days as the forecast itself
+  });
+  
+  if (apiKey) {
+    params.append('apikey', apiKey);
+  }
+  
+  return `${baseUrl}?${params.toString()}`;
+};
@@ -0,0 +1,62 @@
+/**
+ * Historical Period Utilities
+ * A period is either a calendar year (number) or the rolling "last 12 months" window
+ */
+
+import { HISTORICAL_CONSTANTS } from '../constants/app.js';
+
+const { LAST_12_MONTHS, ROLLING_WINDOW_DAYS, SELECTABLE_YEARS } = HISTORICAL_CONSTANTS;
+
+/**
+ * Format a Date as YYYY-MM-DD (UTC, matching the API date strings)
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Resolve a period to the date range to fetch
+ * Ranges never extend past today (Archive API constraint)
+ * @param {number|string} period - Calendar year or HISTORICAL_CONSTANTS.LAST_12_MONTHS
+ * @param {Date} now - Reference time
+ * @returns {Object} { startDate, endDate, year } - year is null for the rolling window
+ */
+export const getHistoricalDateRange = (period = LAST_12_MONTHS, now = new Date()) => {
+  const today = toDateString(now);
+  
+  if (period === LAST_12_MONTHS) {
+    const start = new Date(`${today}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() - (ROLLING_WINDOW_DAYS - 1));
+    return { startDate: toDateString(start), endDate: today, year: null };
+  }
+  
+  const year = Number(period);
+  const endOfYear = `${year}-12-31`;
+  return {
+    startDate: `${year}-01-01`,
+    endDate: endOfYear > today ? today : endOfYear,
+    year
+  };
+};
+
+/**
+ * Periods offered in the picker: last 12 months, then recent calendar years
+ * @param {Date} now - Reference time
+ * @returns {Array} Period values
+ */
+export const getSelectableHistoricalPeriods = (now = new Date()) => {
+  const currentYear = now.getUTCFullYear();
+  return [
+    LAST_12_MONTHS,
+    ...Array.from({ length: SELECTABLE_YEARS }, (_, i) => currentYear - i)
+  ];
+};
+
+/**
+ * Human-readable label for a period
+ * @param {number|string} period - Calendar year or HISTORICAL_CONSTANTS.LAST_12_MONTHS
+ * @returns {string} Label
+ */
+export const getHistoricalPeriodLabel = (period) => {
+  return period === LAST_12_MONTHS ? 'Last 12 Months' : String(period);
+};
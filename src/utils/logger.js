@@ -4,7 +4,8 @@
  * Debug logs only appear in development mode
  */
 
-const isDevelopment = import.meta.env.DEV;
+// import.meta.env only exists under Vite - the scoring modules also run on the backend
+const isDevelopment = import.meta.env?.DEV ?? false;
 
 export const logger = {
   /**
@@ -0,0 +1,52 @@
+/**
+ * Solar Event Utilities
+ * Days carry sunset fields at the top level and sunrise fields under sunrise_* -
+ * these helpers give the UI one shape for whichever event is being shown
+ */
+
+import { SOLAR_EVENTS } from '../constants/app.js';
+
+const EVENT_LABELS = {
+  [SOLAR_EVENTS.SUNSET]: { singular: 'Sunset', plural: 'Sunsets' },
+  [SOLAR_EVENTS.SUNRISE]: { singular: 'Sunrise', plural: 'Sunrises' }
+};
+
+/**
+ * Display labels for a solar event
+ * @param {string} event - SOLAR_EVENTS value
+ * @returns {Object} { singular, plural }
+ */
+export const getSolarEventLabels = (event = SOLAR_EVENTS.SUNSET) =>
+  EVENT_LABELS[event] || EVENT_LABELS[SOLAR_EVENTS.SUNSET];
+
+/**
+ * Pick one event's score, time, conditions, breakdown, weather and ensemble confidence from a day
+ * @param {Object} day - Processed day (forecast or historical)
+ * @param {string} event - SOLAR_EVENTS value
+ * @returns {Object} { score, time, conditions, breakdown, weather, confidence, climatologyScore } -
+ *   confidence is null without ensemble data; climatologyScore is the headline score without the
+ *   horizon term (forecast days only, null otherwise)
+ */
+export const getSolarEventView = (day, event = SOLAR_EVENTS.SUNSET) => {
+  if (event === SOLAR_EVENTS.SUNRISE) {
+    return {
+      score: day.sunrise_score,
+      time: day.sunrise_time,
+      conditions: day.sunrise_conditions,
+      breakdown: day.sunrise_score_breakdown,
+      weather: { ...day.sunrise_weather, conditions: day.sunrise_conditions },
+      confidence: day.sunrise_confidence ?? null,
+      climatologyScore: day.sunrise_climatology_score ?? null
+    };
+  }
+
+  return {
+    score: day.sunset_score,
+    time: day.sunset_time,
+    conditions: day.conditions,
+    breakdown: day.score_breakdown,
+    weather: day,
+    confidence: day.sunset_confidence ?? null,
+    climatologyScore: day.sunset_climatology_score ?? null
+  };
+};
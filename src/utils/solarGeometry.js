@@ -0,0 +1,81 @@
+/**
+ * Solar Geometry Utilities
+ * Where on the horizon the sun sets or rises, and points along that bearing
+ */
+
+import { SOLAR_EVENTS } from '../constants/app.js';
+
+const EARTH_RADIUS_KM = 6371;
+// Sun's centre at sunrise/sunset: refraction plus the solar radius put it 0.833° below the horizon
+const EVENT_ALTITUDE_DEG = -0.833;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * Day of the year (1-366) of a YYYY-MM-DD date
+ * @param {string} date - Date string
+ * @returns {number} Day of year
+ */
+const getDayOfYear = (date) => {
+  const start = Date.UTC(Number(date.slice(0, 4)), 0, 1);
+  return Math.floor((Date.parse(`${date}T00:00:00Z`) - start) / 86400000) + 1;
+};
+
+/**
+ * Approximate solar declination for a date (within ~1°, plenty for a horizon bearing)
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} Declination in degrees
+ */
+export const getSolarDeclination = (date) =>
+  -23.44 * Math.cos(toRadians((360 / 365) * (getDayOfYear(date) + 10)));
+
+/**
+ * Compass bearing of the sun at sunset or sunrise
+ * During polar day/night the sun never crosses the horizon - the bearing is then due north or south
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} latitude - Latitude in degrees
+ * @param {string} event - SOLAR_EVENTS value
+ * @returns {number} Bearing in degrees clockwise from north (sunset ~240-300, sunrise ~60-120)
+ */
+export const getSolarEventAzimuth = (date, latitude, event = SOLAR_EVENTS.SUNSET) => {
+  const declination = toRadians(getSolarDeclination(date));
+  const lat = toRadians(latitude);
+  const altitude = toRadians(EVENT_ALTITUDE_DEG);
+
+  const cosAzimuth = (Math.sin(declination) - Math.sin(lat) * Math.sin(altitude)) /
+    (Math.cos(lat) * Math.cos(altitude));
+  const riseAzimuth = toDegrees(Math.acos(Math.min(1, Math.max(-1, cosAzimuth))));
+
+  return event === SOLAR_EVENTS.SUNRISE ? riseAzimuth : 360 - riseAzimuth;
+};
+
+/**
+ * Point reached by travelling a distance along a great-circle bearing
+ * @param {number} latitude - Start latitude in degrees
+ * @param {number} longitude - Start longitude in degrees
+ * @param {number} bearing - Bearing in degrees clockwise from north
+ * @param {number} distanceKm - Distance in kilometres
+ * @returns {Object} { latitude, longitude } rounded to 4 decimals
+ */
+export const getDestinationPoint = (latitude, longitude, bearing, distanceKm) => {
+  const angular = distanceKm / EARTH_RADIUS_KM;
+  const lat1 = toRadians(latitude);
+  const lon1 = toRadians(longitude);
+  const theta = toRadians(bearing);
+
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(theta)
+  );
+  const lon2 = lon1 + Math.atan2(
+    Math.sin(theta) * Math.sin(angular) * Math.cos(lat1),
+    Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+  );
+
+  // Normalise longitude to -180..180
+  const normalisedLon = ((toDegrees(lon2) + 540) % 360) - 180;
+  return {
+    latitude: Number(toDegrees(lat2).toFixed(4)),
+    longitude: Number(normalisedLon.toFixed(4))
+  };
+};
@@ -14,8 +14,16 @@ import {
   mergeCachedData,
   getCacheStats,
   clearLocationCache,
-  clearAllCache
+  clearAllCache,
+  CACHE_FIELDS_VERSION
 } from './backend/cacheManager.js';
+import { fillHistoricalCache } from './backend/historicalFetcher.js';
+import { recordForecast, verifyPendingForecasts } from './backend/forecastAccuracy.js';
+import { createAccuracyStore } from './backend/stores/index.js';
+import { createSqliteStore } from './backend/stores/sqliteStore.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 
 // ANSI color codes for terminal output
 const colors = {
@@ -39,43 +47,76 @@ function section(title) {
   console.log(`${'='.repeat(60)}${colors.reset}\n`);
 }
 
-// Mock data generator
-function generateMockDay(date, score) {
-  return {
-    date,
-    sunset: '18:30:00',
-    sunrise: '06:30:00',
-    sunset_score: score,
-    weather_code: Math.floor(Math.random() * 10),
-    temperature_max: 20 + Math.random() * 10,
-    temperature_min: 10 + Math.random() * 5,
-    precipitation: Math.random() * 5,
-    conditions: 'Clear'
-  };
-}
-
+// Mock data generator - produces raw Open-Meteo style data (parallel arrays)
 function generateDateRange(startDate, endDate) {
-  const days = [];
+  const data = {
+    daily: { time: [], sunset: [], sunrise: [], weather_code: [], temperature_2m_max: [], temperature_2m_min: [] },
+    hourly: { time: [], cloud_cover_low: [], cloud_cover_mid: [], cloud_cover_high: [], relative_humidity_2m: [] },
+    aqi: { time: [], us_aqi: [] }
+  };
   const start = new Date(startDate + 'T00:00:00Z');
   const end = new Date(endDate + 'T00:00:00Z');
   
   const current = new Date(start);
   while (current <= end) {
     const dateStr = current.toISOString().split('T')[0];
-    const score = Math.floor(Math.random() * 100);
-    days.push(generateMockDay(dateStr, score));
+    data.daily.time.push(dateStr);
+    data.daily.sunset.push(`${dateStr}T18:30`);
+    data.daily.sunrise.push(`${dateStr}T06:30`);
+    data.daily.weather_code.push(Math.floor(Math.random() * 10));
+    data.daily.temperature_2m_max.push(20 + Math.random() * 10);
+    data.daily.temperature_2m_min.push(10 + Math.random() * 5);
+    
+    for (let hour = 0; hour < 24; hour++) {
+      const time = `${dateStr}T${String(hour).padStart(2, '0')}:00`;
+      data.hourly.time.push(time);
+      data.hourly.cloud_cover_low.push(Math.floor(Math.random() * 100));
+      data.hourly.cloud_cover_mid.push(Math.floor(Math.random() * 100));
+      data.hourly.cloud_cover_high.push(Math.floor(Math.random() * 100));
+      data.hourly.relative_humidity_2m.push(Math.floor(Math.random() * 100));
+      data.aqi.time.push(time);
+      data.aqi.us_aqi.push(Math.floor(Math.random() * 150));
+    }
     current.setUTCDate(current.getUTCDate() + 1);
   }
   
-  return days;
+  return data;
 }
 
+/**
+ * Stand-in for the Open-Meteo Archive/Air Quality APIs
+ * Answers with mock data for the requested dates and records each requested range.
+ * APIs set in failingApis ('archive', 'air-quality' -> HTTP status) answer with that error instead,
+ * with Retry-After: 0 so retries don't wait
+ */
+const upstreamRequests = [];
+const failingApis = new Map();
+globalThis.fetch = async (url) => {
+  const params = new URL(url).searchParams;
+  const startDate = params.get('start_date');
+  const endDate = params.get('end_date');
+  const data = generateDateRange(startDate, endDate);
+  const isAirQuality = url.includes('air-quality');
+  if (!isAirQuality) upstreamRequests.push(`${startDate}:${endDate}`);
+  const failureStatus = failingApis.get(isAirQuality ? 'air-quality' : 'archive');
+  if (failureStatus) {
+    return { ok: false, status: failureStatus, headers: new Headers({ 'retry-after': '0' }), json: async () => ({}) };
+  }
+  return {
+    ok: true,
+    status: 200,
+    headers: new Headers(),
+    json: async () => (isAirQuality ? { hourly: data.aqi } : { daily: data.daily, hourly: data.hourly })
+  };
+};
+
 // Test locations
 const testLocations = {
   newYork: { lat: 40.7128, lon: -74.0060, name: 'New York' },
   athens: { lat: 37.9838, lon: 23.7275, name: 'Athens' },
   tokyo: { lat: 35.6762, lon: 139.6503, name: 'Tokyo' },
-  london: { lat: 51.5074, lon: -0.1278, name: 'London' }
+  london: { lat: 51.5074, lon: -0.1278, name: 'London' },
+  paris: { lat: 48.8566, lon: 2.3522, name: 'Paris' }
 };
 
 // Test suite
@@ -144,8 +185,7 @@ async function runTests() {
   // Test 4: Save Initial Cache (Jan-Sep 2025)
   section('TEST 4: Save Initial Cache Data (Jan-Oct 25, 2025)');
   try {
-    const initialDays = generateDateRange('2025-01-01', '2025-10-25');
-    const mockData = { days: initialDays };
+    const mockData = generateDateRange('2025-01-01', '2025-10-25');
     
     await saveCachedData(
       testLocations.newYork.lat,
@@ -154,7 +194,7 @@ async function runTests() {
       mockData
     );
     
-    log('💾', `Saved ${initialDays.length} days for New York (Jan 1 - Oct 25)`, colors.green);
+    log('💾', `Saved ${mockData.daily.time.length} days for New York (Jan 1 - Oct 25)`, colors.green);
     passedTests++;
   } catch (error) {
     log('❌', `Failed to save cache: ${error.message}`, colors.red);
@@ -165,14 +205,15 @@ async function runTests() {
   section('TEST 5: Retrieve Cached Data');
   try {
     const cached = await getCachedData(testLocations.newYork.lat, testLocations.newYork.lon);
-    const expectedDays = 299; // Jan 1 to Oct 25 inclusive = 298 days
+    const expectedDays = 298; // Jan 1 to Oct 25 inclusive
+    const days = cached?.daily?.time || [];
     
-    if (cached && cached.days && cached.days.length >= expectedDays - 1 && cached.days.length <= expectedDays + 1) {
-      log('✅', `Retrieved ${cached.days.length} days from cache`, colors.green);
-      log('📊', `Date range: ${cached.days[0].date} to ${cached.days[cached.days.length - 1].date}`, colors.cyan);
+    if (days.length === expectedDays && cached.hourly?.time?.length === expectedDays * 24) {
+      log('✅', `Retrieved ${days.length} days from cache`, colors.green);
+      log('📊', `Date range: ${days[0]} to ${days[days.length - 1]}`, colors.cyan);
       passedTests++;
     } else {
-      throw new Error(`Retrieved data does not match saved data. Got ${cached?.days?.length} days, expected around ${expectedDays}`);
+      throw new Error(`Retrieved data does not match saved data. Got ${days.length} days, expected ${expectedDays}`);
     }
   } catch (error) {
     log('❌', `Failed to retrieve cache: ${error.message}`, colors.red);
@@ -189,7 +230,7 @@ async function runTests() {
       '2025-12-31'
     );
     
-    if (startDate && endDate && missingDatesCount > 0) {
+    if (startDate === '2025-10-26' && endDate === '2025-12-31' && missingDatesCount === 67) {
       log('🔍', `Found ${missingDatesCount} missing dates`, colors.yellow);
       log('📅', `Need to fetch: ${startDate} to ${endDate}`, colors.yellow);
       log('✅', 'Missing date detection working correctly', colors.green);
@@ -205,10 +246,10 @@ async function runTests() {
   // Test 7: Merge New Data (Simulate Fetching Missing Dates)
   section('TEST 7: Merge New Data with Existing Cache');
   try {
-    const newDays = generateDateRange('2025-10-26', '2025-10-27');
-    const mockNewData = { days: newDays };
+    // Overlap by one day (Oct 25) to check that re-fetched days replace rather than duplicate
+    const mockNewData = generateDateRange('2025-10-25', '2025-10-27');
     
-    log('📥', `Attempting to merge ${newDays.length} new days (Oct 26-27)`, colors.cyan);
+    log('📥', `Attempting to merge ${mockNewData.daily.time.length} days (Oct 25-27)`, colors.cyan);
     
     await mergeCachedData(
       testLocations.newYork.lat,
@@ -218,15 +259,15 @@ async function runTests() {
     );
     
     const updated = await getCachedData(testLocations.newYork.lat, testLocations.newYork.lon);
-    const beforeCount = 299; // From previous test
-    const expectedTotal = beforeCount + newDays.length;
+    const updatedDays = updated.daily.time;
+    const expectedTotal = 300; // Jan 1 to Oct 27 inclusive
     
-    if (updated.days.length >= expectedTotal - 1 && updated.days.length <= expectedTotal + 1) {
-      log('✅', `Merged successfully: ${updated.days.length} total days`, colors.green);
-      log('📊', `New range: ${updated.days[0].date} to ${updated.days[updated.days.length - 1].date}`, colors.cyan);
+    if (updatedDays.length === expectedTotal && updated.hourly.time.length === expectedTotal * 24 && updated.aqi.time.length === expectedTotal * 24) {
+      log('✅', `Merged successfully: ${updatedDays.length} total days`, colors.green);
+      log('📊', `New range: ${updatedDays[0]} to ${updatedDays[updatedDays.length - 1]}`, colors.cyan);
       passedTests++;
     } else {
-      throw new Error(`Expected around ${expectedTotal} days, got ${updated.days.length}`);
+      throw new Error(`Expected ${expectedTotal} days, got ${updatedDays.length}`);
     }
   } catch (error) {
     log('❌', `Merge test failed: ${error.message}`, colors.red);
@@ -245,11 +286,11 @@ async function runTests() {
     
     if (!startDate && !endDate && cachedData) {
       log('✅', 'All data served from cache - no API call needed!', colors.green);
-      log('🚀', `Instant response with ${cachedData.days.length} days`, colors.cyan);
+      log('🚀', `Instant response with ${cachedData.daily.time.length} days`, colors.cyan);
       passedTests++;
     } else if (cachedData && startDate && endDate) {
       // Some dates might be missing, but we have most cached
-      const cachedDates = cachedData.days.length;
+      const cachedDates = cachedData.daily.time.length;
       const requestedDays = 300; // Jan 1 to Oct 27
       const coverage = (cachedDates / requestedDays) * 100;
       
@@ -272,21 +313,19 @@ async function runTests() {
   section('TEST 9: Cache Multiple Locations');
   try {
     // Save data for Athens
-    const athensDays = generateDateRange('2025-01-01', '2025-10-27');
     await saveCachedData(
       testLocations.athens.lat,
       testLocations.athens.lon,
       testLocations.athens.name,
-      { days: athensDays }
+      generateDateRange('2025-01-01', '2025-10-27')
     );
     
     // Save data for Tokyo
-    const tokyoDays = generateDateRange('2025-01-01', '2025-10-27');
     await saveCachedData(
       testLocations.tokyo.lat,
       testLocations.tokyo.lon,
       testLocations.tokyo.name,
-      { days: tokyoDays }
+      generateDateRange('2025-01-01', '2025-10-27')
     );
     
     const stats = await getCacheStats();
@@ -363,30 +402,256 @@ async function runTests() {
     );
     
     // We should have some missing dates (at least Oct 28)
-    if (missingDatesCount >= 1 && missingDatesCount <= 5) {
+    if (missingDatesCount === 1 && startDate === '2025-10-28' && endDate === '2025-10-28') {
       log('✅', `Correctly detected ${missingDatesCount} missing day(s)`, colors.green);
       log('🎯', `Would fetch only ${missingDatesCount} day(s) instead of 365!`, colors.cyan);
       log('📅', `Missing range: ${startDate} to ${endDate}`, colors.cyan);
       
       // Simulate adding those days
-      const newDays = generateDateRange(startDate, endDate);
+      const newData = generateDateRange(startDate, endDate);
       await mergeCachedData(
         testLocations.newYork.lat,
         testLocations.newYork.lon,
         testLocations.newYork.name,
-        { days: newDays }
+        newData
       );
       
-      log('💾', `Merged ${newDays.length} day(s) into cache`, colors.green);
+      log('💾', `Merged ${newData.daily.time.length} day(s) into cache`, colors.green);
       passedTests++;
     } else {
-      throw new Error(`Expected 1-5 missing days, got ${missingDatesCount}`);
+      throw new Error(`Expected exactly 1 missing day, got ${missingDatesCount}`);
     }
   } catch (error) {
     log('❌', `Incremental update test failed: ${error.message}`, colors.red);
     failedTests++;
   }
 
+  // Test 13: Separate gaps are fetched as separate runs
+  section('TEST 13: Fill Separate Gaps Run by Run');
+  try {
+    const { lat, lon, name } = testLocations.london;
+    // Cache all of 2024 except Feb 10-12 and Nov 3
+    for (const [start, end] of [['2024-01-01', '2024-02-09'], ['2024-02-13', '2024-11-02'], ['2024-11-04', '2024-12-31']]) {
+      await mergeCachedData(lat, lon, name, generateDateRange(start, end));
+    }
+    
+    const { ranges, missingDatesCount } = await getMissingDates(lat, lon, '2024-01-01', '2024-12-31');
+    const runs = ranges.map(range => `${range.startDate}:${range.endDate}`);
+    if (missingDatesCount !== 4 || runs.join() !== '2024-02-10:2024-02-12,2024-11-03:2024-11-03') {
+      throw new Error(`Expected two gap runs, got ${runs.join(', ') || 'none'} (${missingDatesCount} missing days)`);
+    }
+    
+    upstreamRequests.length = 0;
+    const { newDaysFetched } = await fillHistoricalCache(lat, lon, name, '2024-01-01', '2024-12-31');
+    const filled = await getCachedData(lat, lon);
+    
+    if (upstreamRequests.join() === runs.join() && newDaysFetched === 4 && filled.daily.time.length === 366) {
+      log('✅', `Fetched only the gaps: ${upstreamRequests.join(', ')}`, colors.green);
+      passedTests++;
+    } else {
+      throw new Error(`Unexpected upstream requests: ${upstreamRequests.join(', ')} (${newDaysFetched} days fetched)`);
+    }
+  } catch (error) {
+    log('❌', `Gap run test failed: ${error.message}`, colors.red);
+    failedTests++;
+  }
+
+  // Test 14: Preliminary days are re-validated, settled and frozen days are not,
+  // and days cached before the current fields were fetched are re-fetched once
+  section('TEST 14: Re-validate Preliminary Days');
+  try {
+    const { lat, lon, name } = testLocations.tokyo;
+    const now = Date.now();
+    const daysAgo = (days) => new Date(now - days * 86400000).toISOString().split('T')[0];
+    const cases = [
+      { date: daysAgo(2), fetchedAt: new Date(now).toISOString(), stale: false, label: 'preliminary, just fetched' },
+      { date: daysAgo(3), fetchedAt: new Date(now - 7 * 3600000).toISOString(), stale: true, label: 'preliminary, fetched 7h ago' },
+      { date: daysAgo(30), fetchedAt: `${daysAgo(29)}T12:00:00.000Z`, stale: true, label: 'fetched preliminary, settled since' },
+      { date: daysAgo(40), fetchedAt: `${daysAgo(30)}T12:00:00.000Z`, stale: false, label: 'fetched after settling' },
+      { date: '2024-06-01', fetchedAt: '2024-06-02T12:00:00.000Z', stale: false, label: 'older than the max age (frozen)' },
+      { date: '2024-06-02', fetchedAt: '2024-06-03T12:00:00.000Z', fieldsVersion: null, stale: true, label: 'frozen, cached before field tags' },
+      { date: '2024-06-03', fetchedAt: '2024-06-04T12:00:00.000Z', fieldsVersion: CACHE_FIELDS_VERSION - 1, stale: true, label: 'frozen, older fields version' }
+    ];
+    
+    const data = { daily: { time: [], sunset: [], fetched_at: [], fields_version: [] } };
+    cases.forEach(({ date, fetchedAt, fieldsVersion = CACHE_FIELDS_VERSION }) => {
+      data.daily.time.push(date);
+      data.daily.sunset.push(`${date}T18:30`);
+      data.daily.fetched_at.push(fetchedAt);
+      data.daily.fields_version.push(fieldsVersion);
+    });
+    await saveCachedData(lat, lon, name, data);
+    
+    const wrong = [];
+    for (const { date, stale, label } of cases) {
+      const { staleDatesCount } = await getMissingDates(lat, lon, date, date);
+      if ((staleDatesCount === 1) !== stale) wrong.push(label);
+    }
+    
+    if (wrong.length === 0) {
+      log('✅', `Freshness policy applied to all ${cases.length} cases`, colors.green);
+      passedTests++;
+    } else {
+      throw new Error(`Wrong staleness for: ${wrong.join(', ')}`);
+    }
+  } catch (error) {
+    log('❌', `Re-validation test failed: ${error.message}`, colors.red);
+    failedTests++;
+  }
+
+  // Test 15: SQLite store round trip, merging only the incoming rows
+  section('TEST 15: SQLite Store Round Trip');
+  const sqliteFile = path.join(os.tmpdir(), `suncast-test-${process.pid}.db`);
+  const sqliteStore = createSqliteStore({ file: sqliteFile });
+  try {
+    await sqliteStore.init();
+    const location = { name: 'Athens', latitude: 37.98, longitude: 23.73, cacheKey: '37.98_23.73' };
+    const record = {
+      location,
+      cachedAt: '2025-01-03T00:00:00.000Z',
+      metadata: { totalDays: 2, dateRange: { start: '2025-01-01', end: '2025-01-02' } },
+      daily: [
+        { date: '2025-01-01', sunset: '2025-01-01T17:20', fetched_at: '2025-01-03T00:00:00.000Z' },
+        { date: '2025-01-02', sunset: '2025-01-02T17:21', fetched_at: '2025-01-03T00:00:00.000Z' }
+      ],
+      hourly: [
+        { time: '2025-01-01T17:00', cloud_cover_high: 40, visibility: 20000 },
+        { time: '2025-01-02T17:00', cloud_cover_high: 10, visibility: 15000 }
+      ],
+      aqi: [{ time: '2025-01-01T17:00', us_aqi: 30 }]
+    };
+    await sqliteStore.put(location.cacheKey, record);
+    
+    const roundTrip = await sqliteStore.get(location.cacheKey);
+    if (JSON.stringify(roundTrip) !== JSON.stringify(record)) {
+      throw new Error('Record read back differs from the record written');
+    }
+    
+    // Re-fetch Jan 2 without visibility and add Jan 3 - Jan 1 must come back untouched
+    await sqliteStore.merge(location.cacheKey, {
+      location: { ...location, name: null },
+      cachedAt: '2025-01-04T00:00:00.000Z',
+      daily: [
+        { date: '2025-01-02', sunset: '2025-01-02T17:22', fetched_at: '2025-01-04T00:00:00.000Z' },
+        { date: '2025-01-03', sunset: '2025-01-03T17:23', fetched_at: '2025-01-04T00:00:00.000Z' }
+      ],
+      hourly: [
+        { time: '2025-01-02T17:00', cloud_cover_high: 70 },
+        { time: '2025-01-03T17:00', cloud_cover_high: 80, visibility: 9000 }
+      ],
+      aqi: [{ time: '2025-01-02T17:00', us_aqi: 55 }]
+    });
+    
+    const merged = await sqliteStore.get(location.cacheKey);
+    const hourAt = (time) => merged.hourly.find(row => row.time === time);
+    const checks = {
+      'location name kept': merged.location.name === 'Athens',
+      'metadata recomputed': merged.metadata.totalDays === 3 && merged.metadata.dateRange.end === '2025-01-03',
+      'untouched day kept': JSON.stringify(merged.daily[0]) === JSON.stringify(record.daily[0]),
+      'day replaced': merged.daily[1].sunset === '2025-01-02T17:22',
+      'hour fields merged': hourAt('2025-01-02T17:00').cloud_cover_high === 70 && hourAt('2025-01-02T17:00').visibility === 15000,
+      'AQI merged beside weather': merged.aqi.map(row => row.us_aqi).join() === '30,55',
+      'listed with day total': (await sqliteStore.list())[0]?.totalDays === 3
+    };
+    const failed = Object.keys(checks).filter(check => !checks[check]);
+    
+    if (failed.length === 0 && await sqliteStore.delete(location.cacheKey) && !await sqliteStore.get(location.cacheKey)) {
+      log('✅', 'SQLite store round trip and row-level merge working', colors.green);
+      passedTests++;
+    } else {
+      throw new Error(`Failed checks: ${failed.join(', ') || 'delete'}`);
+    }
+  } catch (error) {
+    log('❌', `SQLite store test failed: ${error.message}`, colors.red);
+    failedTests++;
+  } finally {
+    await sqliteStore.close();
+    await Promise.all(['', '-wal', '-shm'].map(suffix => fs.rm(`${sqliteFile}${suffix}`, { force: true })));
+  }
+
+  // Test 16: Forecast accuracy is only verified from freshly fetched archive days
+  section('TEST 16: Verify Forecasts Only From Fresh Archive Data');
+  const accuracyStore = createAccuracyStore();
+  const { lat: parisLat, lon: parisLon } = testLocations.paris;
+  const parisKey = getCacheKey(parisLat, parisLon);
+  try {
+    await accuracyStore.init();
+    await accuracyStore.delete(parisKey);
+    
+    // A settled day the cache still holds as preliminary (fetched the day after), while Open-Meteo is down
+    const date = new Date(Date.now() - 30 * 86400000).toISOString().split('T')[0];
+    const preliminary = generateDateRange(date, date);
+    preliminary.daily.fetched_at = [new Date(Date.parse(`${date}T12:00:00Z`) + 86400000).toISOString()];
+    preliminary.daily.fields_version = [CACHE_FIELDS_VERSION];
+    await saveCachedData(parisLat, parisLon, 'Paris', preliminary);
+    await recordForecast({ location: { latitude: parisLat, longitude: parisLon }, forecast: generateDateRange(date, date), aqi: null });
+    
+    const observedOf = async () => (await accuracyStore.get(parisKey))?.daily.find(day => day.date === date)?.observed;
+    
+    failingApis.set('archive', 503);
+    const down = await verifyPendingForecasts();
+    const stillPending = down.verifiedDays === 0 && down.failedLocations === 1 && !await observedOf();
+    
+    failingApis.clear();
+    const up = await verifyPendingForecasts();
+    const observed = await observedOf();
+    
+    if (stillPending && up.verifiedDays === 1 && Number.isFinite(observed?.sunset) && Number.isFinite(observed?.sunrise)) {
+      log('✅', 'Day left pending while upstream was down, verified once it answered', colors.green);
+      passedTests++;
+    } else {
+      throw new Error(`Down: ${JSON.stringify(down)} (pending: ${stillPending}), up: ${JSON.stringify(up)}, observed: ${JSON.stringify(observed)}`);
+    }
+  } catch (error) {
+    log('❌', `Accuracy verification test failed: ${error.message}`, colors.red);
+    failedTests++;
+  } finally {
+    failingApis.clear();
+    await accuracyStore.delete(parisKey);
+    await clearLocationCache(parisLat, parisLon);
+  }
+
+  // Test 17: Days fetched while the Air Quality API is down are re-fetched once it answers,
+  // days it rejects outright are not
+  section('TEST 17: Re-fetch Days Fetched Without AQI');
+  try {
+    const { lat, lon, name } = testLocations.paris;
+    await clearLocationCache(lat, lon);
+    const state = async (start, end) => {
+      const { staleDatesCount } = await getMissingDates(lat, lon, start, end);
+      const aqiHours = ((await getCachedData(lat, lon))?.aqi?.time || []).filter(time => time >= start && time <= `${end}T23:59`).length;
+      return { staleDatesCount, aqiHours };
+    };
+    
+    failingApis.set('air-quality', 503);
+    await fillHistoricalCache(lat, lon, name, '2024-03-01', '2024-03-03');
+    const outage = await state('2024-03-01', '2024-03-03');
+    
+    failingApis.clear();
+    upstreamRequests.length = 0;
+    await fillHistoricalCache(lat, lon, name, '2024-03-01', '2024-03-03');
+    const recovered = { ...await state('2024-03-01', '2024-03-03'), requests: upstreamRequests.join() };
+    
+    failingApis.set('air-quality', 400);
+    await fillHistoricalCache(lat, lon, name, '2024-04-01', '2024-04-01');
+    const rejected = await state('2024-04-01', '2024-04-01');
+    
+    if (outage.staleDatesCount === 3 && outage.aqiHours === 0 &&
+        recovered.requests === '2024-03-01:2024-03-03' && recovered.staleDatesCount === 0 && recovered.aqiHours === 72 &&
+        rejected.staleDatesCount === 0) {
+      log('✅', 'Days fetched during an AQI outage re-fetched, rejected AQI requests not retried', colors.green);
+      passedTests++;
+    } else {
+      throw new Error(`Outage: ${JSON.stringify(outage)}, recovered: ${JSON.stringify(recovered)}, rejected: ${JSON.stringify(rejected)}`);
+    }
+  } catch (error) {
+    log('❌', `AQI outage test failed: ${error.message}`, colors.red);
+    failedTests++;
+  } finally {
+    failingApis.clear();
+    await clearLocationCache(testLocations.paris.lat, testLocations.paris.lon);
+  }
+
   // Final Summary
   section('TEST SUMMARY');
   const total = passedTests + failedTests;
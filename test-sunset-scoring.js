@@ -7,9 +7,18 @@
  * 
  * Or test specific location:
  *   node test-sunset-scoring.js 40.7128 -74.0060  # New York
+ *
+ * Or run the offline behaviour checks (no network):
+ *   node test-sunset-scoring.js --checks
  */
 
 import { getSunsetQualityScore } from './src/services/scoringService.js';
+import { SCORING_MODELS, interpolateCurve, getCloudFactors } from './src/services/scoringUtils.js';
+import { getScoringProfile } from './src/services/scoringProfiles.js';
+import { calculateEventHourIndex, extractEventHourWeather, getEventWindow, WEATHER_WINDOWS } from './src/services/sunsetDataProcessor.js';
+import { getEnsembleMembers, summarizeMemberScores } from './src/services/ensembleService.js';
+import { SOLAR_EVENTS } from './src/constants/app.js';
+import { rank, spearman } from './script-helpers.js';
 
 // Color codes for terminal output
 const colors = {
@@ -289,10 +298,133 @@ async function runBatchTests() {
   console.log(`\n${'='.repeat(80)}\n`);
 }
 
+/**
+ * Offline behaviour checks - fixed inputs with known answers, no API calls
+ */
+function runChecks() {
+  let passed = 0;
+  let failed = 0;
+
+  const check = (label, actual, expected) => {
+    const ok = typeof expected === 'function' ? expected(actual) : Math.abs(actual - expected) < 1e-9;
+    if (ok) {
+      passed++;
+      console.log(`  ${colors.green}✓${colors.reset} ${label}`);
+    } else {
+      failed++;
+      console.log(`  ${colors.red}✗ ${label} (got ${JSON.stringify(actual)})${colors.reset}`);
+    }
+  };
+
+  const profile = getScoringProfile();
+
+  console.log(`\n${colors.bright}${colors.cyan}Curve interpolation${colors.reset}`);
+  const curve = [[0, 0], [10, 20], [30, 10]];
+  check('Anchor value returns the anchor score', interpolateCurve(curve, 10), 20);
+  check('Halfway between anchors is the average', interpolateCurve(curve, 5), 10);
+  check('Falling segment interpolates downwards', interpolateCurve(curve, 20), 15);
+  check('Below the first anchor holds the first score', interpolateCurve(curve, -5), 0);
+  check('Beyond the last anchor holds the last score', interpolateCurve(curve, 80), 10);
+
+  const highPoints = (cover, model) =>
+    getCloudFactors({ cloudCoverageLow: 0, cloudCoverageMid: 0, cloudCoverageHigh: cover }, model, profile).high;
+  check('Buckets jump at a bucket edge (39% → 41% high cloud)',
+    highPoints(41, SCORING_MODELS.BUCKETS) - highPoints(39, SCORING_MODELS.BUCKETS), diff => diff >= 5);
+  check('Curves move smoothly across the same edge',
+    highPoints(41, SCORING_MODELS.CURVES) - highPoints(39, SCORING_MODELS.CURVES), diff => diff > 0 && diff < 1);
+
+  console.log(`\n${colors.bright}${colors.cyan}Minute interpolation${colors.reset}`);
+  const hours = [...Array(24).keys()];
+  const hourly = {
+    time: hours.map(hour => `2024-06-01T${String(hour).padStart(2, '0')}:00`),
+    cloud_cover_low: hours.map(hour => hour * 2),
+    cloud_cover_mid: hours.map(hour => (hour === 20 ? null : 10)),
+    cloud_cover_high: hours.map(hour => (hour === 20 ? 60 : 0))
+  };
+  // Air quality starts an hour later, so only timestamp matching lines it up
+  const aqiData = { hourly: { time: hourly.time.slice(1), us_aqi: hours.slice(1).map(hour => hour * 10) } };
+
+  const sunsetIndex = calculateEventHourIndex('2024-06-01T19:58', 0);
+  check('Event index keeps the hour and the minute past it', [sunsetIndex.eventHourIndex, sunsetIndex.eventMinute],
+    ([index, minute]) => index === 19 && minute === 58);
+  const at = (minute, window) => extractEventHourWeather(hourly, 19, aqiData, { minute, window });
+  check('On the hour reads that hour', at(0).cloudCoverageHigh, 0);
+  check('19:30 is halfway to the 20:00 value', at(30).cloudCoverageHigh, 30);
+  check('19:58 is nearly the 20:00 value', at(58).cloudCoverageHigh, 58);
+  check('AQI is matched by timestamp, then interpolated', at(30).aqi, 195);
+  check('A missing bracketing hour falls back to the other', at(30).cloudCoverageMid, 10);
+  const goldenHour = getEventWindow(SOLAR_EVENTS.SUNSET, WEATHER_WINDOWS.GOLDEN_HOUR);
+  check('Sunset golden hour is 60 min before and 30 after', goldenHour, ({ before, after }) => before === 60 && after === 30);
+  check('Sunrise golden hour is mirrored', getEventWindow(SOLAR_EVENTS.SUNRISE, WEATHER_WINDOWS.GOLDEN_HOUR),
+    ({ before, after }) => before === 30 && after === 60);
+  check('Window average of a linear series is its value mid-window (19:15)', at(30, goldenHour).cloudCoverageLow, 38.5);
+
+  console.log(`\n${colors.bright}${colors.cyan}Clearing storm detection${colors.reset}`);
+  // Rain at 14:00-15:00, then pressure rising and low cloud breaking up by a 19:00 sunset
+  const stormHourly = (changes = {}) => ({
+    time: hourly.time,
+    precipitation: hours.map(hour => ({ 14: 1, 15: 0.5 })[hour] ?? 0),
+    pressure_msl: hours.map(hour => 1005 + Math.max(0, hour - 13) * 0.5),
+    cloud_cover_low: hours.map(hour => (hour >= 13 && hour <= 15 ? 90 : 30)),
+    ...changes
+  });
+  const stormAt = (data) => extractEventHourWeather(data, 19, null).clearingStorm;
+  check('Rain, rising pressure and breaking low cloud is a clearing storm', stormAt(stormHourly()),
+    storm => storm?.rainMm === 1.5 && storm.pressureRise === 3 && storm.lowCloudDrop === 60);
+  check('Still raining at the event is not cleared yet',
+    stormAt(stormHourly({ precipitation: hours.map(hour => (hour >= 14 ? 1 : 0)) })), value => value === null);
+  check('Falling pressure is not a clearing storm',
+    stormAt(stormHourly({ pressure_msl: hours.map(hour => 1015 - hour * 0.5) })), value => value === null);
+  check('Low cloud hanging on is not a clearing storm',
+    stormAt(stormHourly({ cloud_cover_low: hours.map(() => 90) })), value => value === null);
+  check('No rain in the lookback is not a clearing storm',
+    stormAt(stormHourly({ precipitation: hours.map(() => 0) })), value => value === null);
+  check('Without pressure data nothing is detected',
+    stormAt(stormHourly({ pressure_msl: undefined })), value => value === null);
+
+  console.log(`\n${colors.bright}${colors.cyan}Ensemble percentiles${colors.reset}`);
+  const summary = summarizeMemberScores([70, 0, 40, 100, 20, 90, 50, 10, 80, 30, 60]);
+  check('Eleven evenly spread members give median 50, range 10-90',
+    summary, ({ median, low, high, spread, members }) => median === 50 && low === 10 && high === 90 && spread === 40 && members === 11);
+  check('Percentiles interpolate between member ranks',
+    summarizeMemberScores([40, 10, 30, 20]), ({ median, low, high }) => median === 25 && low === 13 && high === 37);
+  check('One member has no spread', summarizeMemberScores([64]), ({ median, low, high, spread }) =>
+    median === 64 && low === 64 && high === 64 && spread === 0);
+  check('No members gives no confidence', summarizeMemberScores([]), value => value === null);
+
+  const forecastHourly = { time: ['2024-06-01T18:00', '2024-06-01T19:00'], cloud_cover_high: [5, 5], cloud_cover_low: [50, 50] };
+  const members = getEnsembleMembers({
+    hourly: {
+      time: ['2024-06-01T19:00', '2024-06-01T20:00'],
+      cloud_cover_high: [40, 45],
+      cloud_cover_high_member01: [70, 75],
+      cloud_cover_high_member02: [null, 0]
+    }
+  }, forecastHourly);
+  check('Control run plus each member', members.length, 3);
+  check('Members are matched to the forecast hours by timestamp',
+    members.map(member => member.cloud_cover_high.join('/')).join(' '), value => value === '5/40 5/70 5/5');
+  check('Fields the ensemble lacks keep the forecast values', members[1].cloud_cover_low.join('/'), value => value === '50/50');
+
+  console.log(`\n${colors.bright}${colors.cyan}Backtest rank correlation${colors.reset}`);
+  check('Tied values share their average rank', rank([10, 30, 20, 30]), ranks => ranks.join() === '1,3.5,2,3.5');
+  check('Same order correlates perfectly', spearman([1, 2, 3, 4, 5], [12, 40, 55, 71, 93]), 1);
+  check('Reversed order correlates at -1', spearman([1, 2, 3, 4, 5], [93, 71, 55, 40, 12]), -1);
+  check('Ties in both series use tie-averaged ranks', spearman([1, 2, 2, 3], [10, 20, 20, 30]), 1);
+  check('Ratings tied against distinct scores stay below 1', spearman([1, 1, 2, 2], [10, 20, 30, 40]),
+    value => Math.abs(value - 0.8944271909999159) < 1e-9);
+  check('A constant series has no correlation', spearman([3, 3, 3], [10, 20, 30]), value => value === null);
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed > 0) process.exitCode = 1;
+}
+
 // Main execution
 const args = process.argv.slice(2);
 
-if (args.length >= 2) {
+if (args.includes('--checks')) {
+  runChecks();
+} else if (args.length >= 2) {
   // Test specific location from command line
   const latitude = parseFloat(args[0]);
   const longitude = parseFloat(args[1]);